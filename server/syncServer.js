@@ -0,0 +1,236 @@
+/**
+ * Optional LAN sync server (no dependencies, no cloud): `npm run sync-server`
+ * - Serves the built app (dist/) over plain http so phones and other consoles on the venue network can
+ *   open it (an https page such as GitHub Pages may not talk to a ws:// LAN address)
+ *   - Trade-off: http://<lan-ip> is not a secure context. The admin PIN and hashed answers fall back to
+ *     a pure-JS PBKDF2 (src/sha256.js: same hashes, slower), the service worker doesn't register (no
+ *     offline install), and everything, the sync key included, crosses the LAN unencrypted
+ *   - Each address is its own browser storage, so a console opened here sets up its PIN and rooms anew
+ * - WebSocket endpoint /sync relays room state between operator consoles and mobile controllers
+ *   - operator:   { type: "hello", role: "operator", roomId } then { type: "state", roomId, state } on every change;
+ *     state.rev is the room's revision, one past the last one the console saw
+ *   - controller: { type: "hello", role: "controller" } then { type: "command", roomId, command }
+ *   - server -> controllers: { type: "rooms", serverNowMs, rooms: { id: { state, receivedAtMs, online } } }
+ *   - server -> operators: { type: "welcome", state } (stored room state or null) in reply to hello,
+ *     other consoles' { type: "state" } for the same room, controller { type: "command" }, and
+ *     { type: "stale", state } when a push doesn't beat the stored revision (the console adopts it)
+ * - Shared key, always required: SYNC_KEY=..., or a random one printed at startup; every device
+ *   (consoles and phone controllers) must enter it, since controllers can change the game
+ * - Env: PORT (default 8787), SYNC_KEY
+ */
+import { createHash, randomBytes } from "node:crypto";
+import { createReadStream, existsSync, statSync } from "node:fs";
+import { createServer } from "node:http";
+import { networkInterfaces } from "node:os";
+import { extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+const SYNC_KEY = process.env.SYNC_KEY || randomBytes(4).toString("hex");
+const BASE = "/escape-room-app/"; // keep in sync with `base` in vite.config.js
+const DIST = resolve(fileURLToPath(new URL("../dist", import.meta.url)));
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+};
+
+// ======= Static files (dist/) =======
+function serveStatic(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  if (!url.pathname.startsWith(BASE)) {
+    res.writeHead(302, { Location: BASE });
+    return res.end();
+  }
+  let rel;
+  try {
+    rel = normalize(decodeURIComponent(url.pathname.slice(BASE.length)) || "index.html");
+  } catch {
+    res.writeHead(400); // malformed %-escape
+    return res.end();
+  }
+  let file = join(DIST, rel);
+  if (file !== DIST && !file.startsWith(DIST + sep)) {
+    res.writeHead(403);
+    return res.end();
+  }
+  if (!existsSync(file) || statSync(file).isDirectory()) file = join(DIST, "index.html");
+  if (!existsSync(file)) {
+    res.writeHead(503, { "Content-Type": "text/plain; charset=utf-8" });
+    return res.end("dist/ not found. Run `npm run build` first.");
+  }
+  res.writeHead(200, { "Content-Type": MIME[extname(file)] || "application/octet-stream" });
+  createReadStream(file).pipe(res);
+}
+
+// ======= WebSocket framing (RFC 6455, text frames only) =======
+function encodeFrame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  const header = len < 126 ? Buffer.alloc(2) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x81; // FIN + text
+  if (len < 126) {
+    header[1] = len;
+  } else if (len < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/** Pulls complete frames off `buffer`; returns { frames: [{ opcode, payload }], rest } */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let len = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length < pos + 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length < pos + 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (len > MAX_MESSAGE_BYTES) throw new Error("message too large");
+    const maskLen = masked ? 4 : 0;
+    if (buffer.length < pos + maskLen + len) break;
+    const mask = buffer.subarray(pos, pos + maskLen);
+    const payload = Buffer.from(buffer.subarray(pos + maskLen, pos + maskLen + len));
+    if (masked) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    offset = pos + maskLen + len;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// ======= Rooms + clients =======
+const rooms = new Map(); // roomId -> { state, receivedAtMs } (highest-revision operator push)
+const clients = new Set(); // { socket, role, roomId }
+
+function send(client, msg) {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(msg)));
+}
+
+function isOnline(roomId) {
+  return [...clients].some((c) => c.role === "operator" && c.roomId === roomId);
+}
+
+function roomsMessage() {
+  const list = {};
+  for (const [id, r] of rooms) list[id] = { ...r, online: isOnline(id) };
+  return { type: "rooms", serverNowMs: Date.now(), rooms: list };
+}
+
+function broadcastRooms() {
+  const msg = roomsMessage();
+  for (const c of clients) if (c.role === "controller") send(c, msg);
+}
+
+function handleMessage(client, msg) {
+  if (msg.type === "hello") {
+    if (msg.key !== SYNC_KEY) {
+      send(client, { type: "error", message: "bad key" });
+      return client.socket.end();
+    }
+    client.role = msg.role === "controller" ? "controller" : "operator";
+    client.roomId = typeof msg.roomId === "string" ? msg.roomId : null;
+    if (client.role === "controller") return send(client, roomsMessage());
+    // a joining console takes the live room state before it pushes anything
+    send(client, { type: "welcome", state: rooms.get(client.roomId)?.state ?? null });
+    broadcastRooms();
+    return;
+  }
+  if (!client.role) return; // nothing before hello
+
+  if (msg.type === "state" && client.role === "operator" && client.roomId && msg.state) {
+    const stored = rooms.get(client.roomId);
+    const rev = Number.isInteger(msg.state.rev) ? msg.state.rev : 0;
+    if (stored && rev <= (stored.state.rev ?? 0)) return send(client, { type: "stale", state: stored.state });
+    rooms.set(client.roomId, { state: { ...msg.state, rev }, receivedAtMs: Date.now() });
+    for (const c of clients) {
+      if (c !== client && c.role === "operator" && c.roomId === client.roomId) send(c, { type: "state", state: msg.state });
+    }
+    broadcastRooms();
+    return;
+  }
+
+  if (msg.type === "command" && client.role === "controller" && msg.command) {
+    const targets = [...clients].filter((c) => c.role === "operator" && c.roomId === msg.roomId);
+    if (!targets.length) return send(client, { type: "error", message: "room offline" });
+    // one console applies it; the others follow through its state push
+    send(targets[0], { type: "command", command: msg.command });
+  }
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (new URL(req.url, "http://localhost").pathname !== "/sync" || !key) return socket.destroy();
+
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = { socket, role: null, roomId: null };
+  clients.add(client);
+  let pending = Buffer.alloc(0);
+
+  socket.on("data", (chunk) => {
+    let decoded;
+    try {
+      decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    } catch {
+      return socket.destroy();
+    }
+    pending = decoded.rest;
+    for (const { opcode, payload } of decoded.frames) {
+      if (opcode === 0x8) return socket.end(Buffer.from([0x88, 0x00]));
+      if (opcode === 0x9) socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+      if (opcode !== 0x1) continue;
+      try {
+        handleMessage(client, JSON.parse(payload.toString("utf8")));
+      } catch {
+        // malformed message: ignore
+      }
+    }
+  });
+
+  const drop = () => {
+    if (!clients.delete(client)) return;
+    if (client.role === "operator") broadcastRooms();
+  };
+  socket.on("close", drop);
+  socket.on("error", drop);
+}
+
+const server = createServer(serveStatic);
+server.on("upgrade", handleUpgrade);
+server.listen(PORT, "0.0.0.0", () => {
+  console.log(`Escape room sync server on port ${PORT}`);
+  console.log(`  key:        ${process.env.SYNC_KEY ? "(SYNC_KEY)" : SYNC_KEY}`);
+  for (const nets of Object.values(networkInterfaces())) {
+    for (const net of nets || []) {
+      if (net.family === "IPv4" && !net.internal) {
+        console.log(`  app:        http://${net.address}:${PORT}${BASE}`);
+        console.log(`  controller: http://${net.address}:${PORT}${BASE}?controller=1`);
+        console.log(`  sync URL:   ws://${net.address}:${PORT}/sync`);
+      }
+    }
+  }
+});
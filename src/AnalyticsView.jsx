@@ -0,0 +1,233 @@
+import React, { useMemo, useState } from "react";
+import { clearTimeBuckets, filterSessions, hintStats, loadHistory, summaryStats } from "./analytics.js";
+import { loadRoomHints } from "./rooms.js";
+import { formatTime } from "./utils.js";
+
+/** "YYYY-MM-DD" (date input) -> local midnight ms, end of that day with `endOfDay` */
+function dateInputMs(value, endOfDay) {
+  if (!value) return null;
+  const [y, m, d] = value.split("-").map(Number);
+  return endOfDay ? new Date(y, m - 1, d + 1).getTime() - 1 : new Date(y, m - 1, d).getTime();
+}
+
+function percent(ratio) {
+  return ratio == null ? "-" : `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Admin analytics over finished sessions (./analytics.js), every room on this device
+ * - Filter by room and date range (session start date)
+ * - Charts are plain styled bars: nothing leaves the device
+ */
+export default function AnalyticsView({ rooms, onClose }) {
+  const [sessions] = useState(() => Object.keys(rooms).flatMap((id) => loadHistory(id)));
+  const [roomFilter, setRoomFilter] = useState("");
+  const [fromInput, setFromInput] = useState("");
+  const [toInput, setToInput] = useState("");
+
+  const filtered = useMemo(
+    () => filterSessions(sessions, { roomId: roomFilter, fromMs: dateInputMs(fromInput, false), toMs: dateInputMs(toInput, true) }),
+    [sessions, roomFilter, fromInput, toInput]
+  );
+  const summary = summaryStats(filtered);
+  const buckets = clearTimeBuckets(filtered);
+  const maxBucket = Math.max(1, ...buckets.map((b) => b.count));
+  const codes = hintStats(filtered);
+  // titles only make sense for one room's catalogue
+  const titles = useMemo(() => (roomFilter ? loadRoomHints(roomFilter) : {}), [roomFilter]);
+
+  return (
+    <div style={analyticsOverlay()}>
+      <div style={analyticsPanel()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+          <h2 style={{ margin: 0, fontSize: 18 }}>세션 분석</h2>
+          <button onClick={onClose} style={analyticsBtn()}>
+            닫기
+          </button>
+        </div>
+
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+          <select value={roomFilter} onChange={(e) => setRoomFilter(e.target.value)} style={analyticsInput()}>
+            <option value="">모든 방</option>
+            {Object.values(rooms).map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+          <input type="date" value={fromInput} onChange={(e) => setFromInput(e.target.value)} style={analyticsInput()} />
+          <span style={{ color: "#7f8aa6" }}>~</span>
+          <input type="date" value={toInput} onChange={(e) => setToInput(e.target.value)} style={analyticsInput()} />
+        </div>
+
+        <div style={analyticsStatGrid()}>
+          <AnalyticsStat label="완료 세션" value={`${summary.count}회`} />
+          <AnalyticsStat label="탈출률" value={percent(summary.escapeRate)} />
+          <AnalyticsStat label="탈출 시간 (중앙값)" value={summary.medianClearSec == null ? "-" : formatTime(summary.medianClearSec)} />
+          <AnalyticsStat label="팀당 평균 힌트" value={summary.avgHintUses == null ? "-" : `${summary.avgHintUses.toFixed(1)}회`} />
+        </div>
+
+        {filtered.length === 0 ? (
+          <div style={{ marginTop: 16, fontSize: 13, color: "#aab2c5" }}>
+            조건에 맞는 완료 세션이 없습니다. (탈출 성공 또는 시간 종료로 끝난 세션부터 기록됩니다.)
+          </div>
+        ) : (
+          <>
+            <h3 style={analyticsHeading()}>탈출 시간 분포</h3>
+            {buckets.length ? (
+              <div style={{ display: "flex", alignItems: "flex-end", gap: 4, height: 140 }}>
+                {buckets.map((b) => (
+                  <div key={b.fromMin} style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", height: "100%" }}>
+                    <div style={{ flex: 1, width: "100%", display: "flex", flexDirection: "column", justifyContent: "flex-end" }}>
+                      <div style={{ fontSize: 11, color: "#aab2c5", textAlign: "center" }}>{b.count || ""}</div>
+                      <div style={{ ...analyticsBar(), height: `${(b.count / maxBucket) * 100}%` }} />
+                    </div>
+                    <div style={{ fontSize: 11, color: "#7f8aa6", marginTop: 4 }}>{b.fromMin}분</div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div style={{ fontSize: 13, color: "#aab2c5" }}>탈출한 팀이 없습니다.</div>
+            )}
+
+            <h3 style={analyticsHeading()}>힌트별 열람 ({codes.length})</h3>
+            <div style={{ fontSize: 12, color: "#7f8aa6", marginBottom: 6 }}>
+              열람률 = 해당 힌트를 한 번이라도 연 팀 비율 · 시각 = 처음 연 시점의 진행 시간 중앙값 (자동 공개 제외)
+            </div>
+            {codes.length ? (
+              <div style={{ display: "grid", gap: 6 }}>
+                {codes.map((c) => (
+                  <div key={c.code} style={analyticsHintRow()}>
+                    <span style={{ fontWeight: 700 }}>
+                      {c.code}
+                      {titles[c.code]?.title ? (
+                        <span style={{ marginLeft: 6, fontWeight: 400, color: "#aab2c5" }}>{titles[c.code].title}</span>
+                      ) : null}
+                    </span>
+                    <div style={analyticsTrack()}>
+                      <div style={{ ...analyticsBar(), width: `${c.rate * 100}%`, height: "100%" }} />
+                    </div>
+                    <span style={{ fontVariantNumeric: "tabular-nums" }}>
+                      {c.sessions}팀 ({percent(c.rate)})
+                    </span>
+                    <span style={{ fontVariantNumeric: "tabular-nums", color: "#aab2c5" }}>{formatTime(c.medianSec)}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div style={{ fontSize: 13, color: "#aab2c5" }}>열람한 힌트가 없습니다.</div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function AnalyticsStat({ label, value }) {
+  return (
+    <div style={analyticsStatBox()}>
+      <div style={{ fontSize: 12, color: "#8fa3c5" }}>{label}</div>
+      <div style={{ marginTop: 4, fontSize: 20, fontWeight: 800 }}>{value}</div>
+    </div>
+  );
+}
+
+// ======= Analytics styles =======
+function analyticsOverlay() {
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 45,
+    background: "rgba(5, 8, 14, 0.8)",
+    overflowY: "auto",
+    padding: 18,
+    boxSizing: "border-box",
+  };
+}
+
+function analyticsPanel() {
+  return {
+    maxWidth: 860,
+    margin: "0 auto",
+    background: "rgba(16, 22, 37, 0.97)",
+    border: "1px solid rgba(31, 42, 64, 0.95)",
+    borderRadius: 16,
+    padding: 18,
+    color: "#e6e8ee",
+  };
+}
+
+function analyticsHeading() {
+  return { margin: "18px 0 8px", fontSize: 15, color: "#cfd5e4" };
+}
+
+function analyticsStatGrid() {
+  return {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+    gap: 8,
+    marginTop: 14,
+  };
+}
+
+function analyticsStatBox() {
+  return {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(31, 42, 64, 0.95)",
+    background: "rgba(12, 18, 32, 0.85)",
+  };
+}
+
+function analyticsHintRow() {
+  return {
+    display: "grid",
+    gridTemplateColumns: "minmax(120px, 1.4fr) 2fr 96px 64px",
+    gap: 10,
+    alignItems: "center",
+    padding: "6px 10px",
+    borderRadius: 10,
+    background: "rgba(12, 18, 32, 0.85)",
+    fontSize: 13,
+  };
+}
+
+function analyticsTrack() {
+  return {
+    height: 10,
+    borderRadius: 5,
+    background: "#111726",
+    overflow: "hidden",
+  };
+}
+
+function analyticsBar() {
+  return {
+    borderRadius: 4,
+    background: "#3b6fd1",
+    minHeight: 2,
+  };
+}
+
+function analyticsInput() {
+  return {
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid #2a3550",
+    background: "#0b0f19",
+    color: "#e6e8ee",
+  };
+}
+
+function analyticsBtn() {
+  return {
+    padding: "8px 14px",
+    borderRadius: 10,
+    border: "1px solid #25314b",
+    background: "#111726",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontWeight: 700,
+  };
+}
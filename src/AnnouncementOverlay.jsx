@@ -0,0 +1,98 @@
+import React, { useEffect } from "react";
+import HintBody from "./HintBody.jsx";
+import { playChime } from "./cues.js";
+import { shouldChime } from "./gmMessages.js";
+import { makeT } from "./i18n.js";
+
+/**
+ * Announcement overlay (scheduled announcements / pushed hints / game-master messages)
+ * - Shown on the operator screen, display window and hint windows
+ * - Dismissal is per window; a newer announcement shows again
+ * - A game-master message sent with the chime plays it once when it comes up (./gmMessages.js)
+ */
+export default function AnnouncementOverlay({ announcement, lang, onDismiss }) {
+  const t = makeT(lang);
+  const { id, chime, atMs } = announcement;
+
+  // keyed on the id: live snapshots hand over a fresh copy of the same message
+  useEffect(() => {
+    if (shouldChime({ chime, atMs }, Date.now())) playChime(chime);
+  }, [id, chime, atMs]);
+  return (
+    <div style={overlayShell()}>
+      <div style={overlayCard()}>
+        <div style={{ fontSize: 14, color: "#f3c76b", fontWeight: 700, letterSpacing: 0.3 }}>
+          {announcement.kind === "hint"
+            ? t("announce.hint")
+            : announcement.kind === "message"
+            ? t("announce.message")
+            : t("announce.notice")}
+        </div>
+        {announcement.title ? (
+          <div style={{ marginTop: 8, fontSize: 22, fontWeight: 700 }}>{announcement.title}</div>
+        ) : null}
+        {announcement.kind === "hint" ? (
+          <div style={{ marginTop: 10, textAlign: "left" }}>
+            <HintBody text={announcement.text} fontSize={20} lang={lang} />
+          </div>
+        ) : (
+          <div
+            style={{
+              marginTop: 10,
+              fontSize: announcement.kind === "message" ? 30 : 20,
+              fontWeight: announcement.kind === "message" ? 700 : 400,
+              lineHeight: 1.6,
+              whiteSpace: "pre-wrap",
+            }}
+          >
+            {announcement.text}
+          </div>
+        )}
+        <button style={overlayBtn()} onClick={onDismiss}>
+          {t("announce.ok")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ======= Overlay styles =======
+function overlayShell() {
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 40,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+    background: "rgba(5, 7, 12, 0.78)",
+  };
+}
+
+function overlayCard() {
+  return {
+    width: "100%",
+    maxWidth: 640,
+    textAlign: "center",
+    background: "rgba(16, 22, 37, 0.97)",
+    border: "1px solid rgba(243, 199, 107, 0.55)",
+    borderRadius: 18,
+    padding: 24,
+    color: "#e7e9ee",
+    boxShadow: "0 10px 30px rgba(0,0,0,0.4)",
+  };
+}
+
+function overlayBtn() {
+  return {
+    marginTop: 18,
+    padding: "10px 18px",
+    borderRadius: 12,
+    border: "1px solid #25314b",
+    background: "rgba(25, 45, 84, 0.9)",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontWeight: 700,
+  };
+}
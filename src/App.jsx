@@ -1,217 +1,762 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  TIMER_FINISHED,
+  TIMER_IDLE,
+  TIMER_PAUSED,
+  TIMER_RUNNING,
+  adjustTimer,
+  createTimer,
+  finishTimer,
+  getElapsedMs,
+  getRemainingSec,
+  normalizeTimer,
+  pauseTimer,
+  resumeTimer,
+  setTimerDuration,
+  startTimer,
+} from "./timer.js";
+import {
+  DEFAULT_ROOM_ID,
+  LS_TIMER,
+  LS_USES,
+  LS_ANNOUNCEMENT,
+  LS_LAST_HINT,
+  LS_LOG,
+  LS_SCHEDULE_FIRED,
+} from "./storage.js";
+import {
+  listSnapshots,
+  onStateWriteError,
+  readRoomItem,
+  restoreSnapshot,
+  stateHealth,
+  takeSnapshot,
+  unreadableItems,
+  writeRoomItem,
+} from "./stateStore.js";
+import RecoveryScreen from "./RecoveryScreen.jsx";
+import {
+  clearRoomStorage,
+  copyRoomHints,
+  createRoom,
+  defaultHintsFor,
+  HINT_DISPLAY_MODAL,
+  HINT_DISPLAY_MODES,
+  HINT_DISPLAY_POPUP,
+  loadRoomHints,
+  loadRooms,
+  normalizeRoomId,
+  referencedMediaIds,
+  saveRoomHints,
+  saveRooms,
+} from "./rooms.js";
+import { openRoomChannel, buildSnapshot, useRoomSnapshot } from "./sync.js";
+import {
+  RULE_ANNOUNCE,
+  RULE_PUSH_HINT,
+  describeRule,
+  dueRules,
+  makeRule,
+  parseClockInput,
+  sortSchedule,
+} from "./schedule.js";
+import {
+  EVENT_LABELS,
+  appendEvent,
+  describeEvent,
+  finishData,
+  logToCsv,
+  logToJson,
+  makeEvent,
+} from "./sessionLog.js";
+import {
+  buildDisplayUrl,
+  buildHintUrl,
+  buildRoomUrl,
+  downloadText,
+  fileStamp,
+  formatClock,
+  formatTime,
+  normalizeCode,
+} from "./utils.js";
+import { loadLeaderboard, makeResult, rankOf, saveLeaderboard, sortLeaderboard } from "./leaderboard.js";
+import {
+  DEFAULT_TIER_LABELS,
+  hintTiers,
+  loadHintProgress,
+  localizeHint,
+  makeHint,
+  makeHintI18n,
+  revealedHints,
+  saveHintProgress,
+  tierCost,
+} from "./hintTiers.js";
+import { issueHintToken, redeemHintToken } from "./hintTokens.js";
+import {
+  COST_SCORE,
+  COST_TIME,
+  HINT_COST_MODELS,
+  chargeHint,
+  formatCodeCosts,
+  hintCharges,
+  hintRuleText,
+  hintScore,
+  hintUnits,
+  parseCodeCosts,
+} from "./hintCost.js";
+import { catalogToCsv, catalogToJson, parseCatalogCsv, parseCatalogJson, renameHint } from "./hintCatalog.js";
+import { loadBonusGrants, makeGrant, saveBonusGrants, totalBonus } from "./bonus.js";
+import {
+  CUE_FLASH_MS,
+  clockColor,
+  crossedMilestone,
+  loadCueSettings,
+  parseMilestones,
+  playCue,
+  saveCueSettings,
+  unlockAudio,
+} from "./cues.js";
+import { MAX_MESSAGE_LENGTH, makeMessage } from "./gmMessages.js";
+import {
+  ADMIN_IDLE_TIMEOUT_MS,
+  MAX_FAILED_ATTEMPTS,
+  MIN_PIN_LENGTH,
+  clearFailures,
+  createAdminAuth,
+  isPinValid,
+  loadAdminAuth,
+  registerFailure,
+  saveAdminAuth,
+  verifyPin,
+} from "./adminAuth.js";
+import AnnouncementOverlay from "./AnnouncementOverlay.jsx";
+import CueFlash from "./CueFlash.jsx";
+import TimeUpModal from "./TimeUpModal.jsx";
+import DisplayWindow from "./DisplayWindow.jsx";
+import HintBody from "./HintBody.jsx";
+import HintView from "./HintView.jsx";
+import MediaAttachButton from "./MediaAttachButton.jsx";
+import { appendMediaLine, sweepMedia } from "./hintMedia.js";
+import { DEFAULT_LANG, LANGS, loadLang, localTierLabel, makeT, normalizeLang, saveLang } from "./i18n.js";
+import { buildAnswerConfig, cooldownUntilMs, hasAnswers, matchAnswer, normalizeAnswer } from "./answers.js";
+import {
+  loadPuzzleSolves,
+  makePuzzle,
+  parseCodeList,
+  puzzleForCode,
+  puzzleProgress,
+  savePuzzleSolves,
+  stalledStage,
+} from "./puzzles.js";
+import ResultScreen from "./ResultScreen.jsx";
+import AnalyticsView from "./AnalyticsView.jsx";
+import { archiveSession, summarizeSession } from "./analytics.js";
+import PrintCards from "./PrintCards.jsx";
+import { CODE_HANDOFF_WAIT_MS, cardStatus, loadPrintedCards, noteRenamedCard } from "./hintCards.js";
+import {
+  KIOSK_LONG_PRESS_MS,
+  KIOSK_REVEAL_MS,
+  enterFullscreen,
+  exitFullscreen,
+  loadKiosk,
+  saveKiosk,
+  useKiosk,
+} from "./kiosk.js";
+import ControllerView from "./ControllerView.jsx";
+import {
+  CMD_ADJUST,
+  CMD_BONUS,
+  CMD_PAUSE,
+  CMD_RESUME,
+  SYNC_ERROR_LABELS,
+  SYNC_OFF,
+  SYNC_ONLINE,
+  SYNC_STATUS_LABELS,
+  buildLanState,
+  connectLanSync,
+  controllerUrl,
+  isNewerState,
+  loadSyncServer,
+  makeRoomSync,
+  normalizeServerUrl,
+  saveSyncServer,
+  sendRoomState,
+} from "./lanSync.js";
 
 /**
  * Escape Room App (Client-only)
- * - Start button + countdown
+ * - Start / pause / resume + countdown (timer state machine in ./timer.js)
+ * - Admin: custom duration, add/subtract minutes, full session reset
  * - Remaining time button
- * - Hint: enter hint code -> open hint in a new window (as /?hint=CODE)
- * - Hint usage limit: base 3, admin code can grant +1 repeatedly (bonus)
- * - Admin mode: can add exactly 1 hint per admin session
- * - FREE_HINT_CODES (e.g., E-00) do NOT consume hint uses
- *
- * Note: This is NOT secure if deployed publicly with source exposed.
+ * - Multi-room: ?room=ID selects a room (config in ./rooms.js, state namespaced per room)
+ * - Hint: enter hint code -> open hint in a new window (as /?hint=CODE&token=...); the popup
+ *   only renders with a single-use, short-lived reveal token (./hintTokens.js), and the hint
+ *   catalogue is stored obfuscated (./hintCipher.js)
+ * - "탈출 성공": stops the clock, result screen, per-room leaderboard (./leaderboard.js)
+ * - Time cues: chime / spoken countdown / screen flash at milestones, in-app time-up modal (./cues.js)
+ * - Puzzles: ordered stages linked to hint codes, solve marks, time per stage, stall flag (./puzzles.js)
+ * - Answer entry: per-puzzle accepted answers (optionally hashed), wrong-guess penalty / cooldown (./answers.js)
+ * - Languages: ko / en / ja player UI (./i18n.js), per-language hint title/body with Korean fallback
+ * - Schedule: timed announcements / free hint pushes per room, run by the tick loop (./schedule.js)
+ * - Game-master messages: free text or per-room quick-reply templates shown as an overlay on every
+ *   player screen, optional chime, logged per session (./gmMessages.js)
+ * - Session log: start/hints/bonus/finish timeline, CSV/JSON export (./sessionLog.js)
+ * - Analytics: finished sessions archived per room; admin dashboard of hint open rates / times,
+ *   escape rate and clear-time distribution by room and date (./analytics.js, ./AnalyticsView.jsx)
+ * - Hint cards: printable card per code with an offline QR (./PrintCards.jsx, ./qrCode.js); scanning
+ *   opens /?code=CODE, which fills the hint code input (handed to an already open room tab when
+ *   there is one); deleted / renamed codes flag their printed cards (./hintCards.js)
+ * - Player display: /?display=1 window kept in sync live (./DisplayWindow.jsx, ./sync.js)
+ * - Hint usage limit: room base count + bonus grants (amount, reason, undo) from ./bonus.js;
+ *   past it the room's cost model refuses, deducts time or deducts score (./hintCost.js)
+ * - Admin PIN: set on first run, stored only as a salted PBKDF2 hash (./adminAuth.js),
+ *   lockout after repeated failures, admin session expires when idle.
+ *   Forgotten PIN: remove the escape_admin_auth_v1 localStorage entry to set a new one.
+ * - Admin mode: add / inline edit / delete hints, JSON·CSV import-export (./hintCatalog.js)
+ * - Room free codes (e.g., E-00) do NOT consume hint uses
+ * - Hint bodies: safe Markdown subset + images/audio kept in IndexedDB (./markdown.js, ./hintMedia.js)
+ * - Tiered hints: reopening a code reveals its next tier at that tier's cost (./hintTiers.js)
+ * - "사용한 힌트": hints revealed this session, re-readable for free (cleared on reset)
+ * - Hint display per room: popup / in-page modal / side panel (./HintView.jsx); a blocked
+ *   popup falls back to the modal, and a hint is only charged once it is on screen
+ * - Kiosk mode: fullscreen, wake lock, operator controls behind a long-press + admin PIN,
+ *   reload / back blocked while the timer runs (./kiosk.js); installable offline PWA (./pwa.js)
+ * - Persistence: one versioned, checksummed state document with v1 migration, rolling snapshots
+ *   and a recovery screen instead of a silent reset on corruption (./stateStore.js)
+ * - LAN sync (optional): shares timer / hint uses / bonus / tiers through ../server/syncServer.js and
+ *   applies phone controller commands (?controller=1, ./ControllerView.jsx); standalone without it
  */
 
-// ======= Config =======
-const DEFAULT_DURATION_MIN = 70; // 1시간 10분
-const MAX_HINT_USES = 5;
-const FREE_HINT_CODES = new Set(["E-00"]);
+// ======= Hint-only Window UI =======
+function HintWindow({ roomId, code, token, lang }) {
+  // the hint itself is a snapshot; only announcements follow the operator live
+  const { announcement } = useRoomSnapshot(roomId);
+  const [dismissedId, setDismissedId] = useState(null);
+  // single-use: a copied / reloaded / expired URL gets the "not authorized" card instead
+  const [grant] = useState(() => redeemHintToken(roomId, token, code));
+  const t = makeT(lang);
+
+  return (
+    <div style={hintWindowShell()}>
+      {announcement && announcement.id !== dismissedId ? (
+        <AnnouncementOverlay announcement={announcement} lang={lang} onDismiss={() => setDismissedId(announcement.id)} />
+      ) : null}
+      {grant ? (
+        <HintView
+          code={code}
+          hint={localizeHint(loadRoomHints(roomId)[code], lang)}
+          revealed={grant.revealed}
+          lang={lang}
+          note={t("hintView.windowNote")}
+          onClose={() => window.close()}
+        />
+      ) : (
+        <div style={hintDeniedCard()}>
+          <h1 style={{ margin: 0, fontSize: 16 }}>{t("hintView.deniedTitle")}</h1>
+          <div style={{ marginTop: 10, color: "#aab2c5", fontSize: 14 }}>{t("hintView.deniedBody")}</div>
+          <button style={hintDeniedBtn()} onClick={() => window.close()}>
+            {t("hintView.close")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ======= App (routes by URL) =======
+export default function App() {
+  const params = useMemo(() => new URLSearchParams(window.location.search), []);
 
-// 운영 편의용 관리자 코드(배포 시 바꾸세요)
-const ADMIN_CODE = "2134";
+  // Room (fixed for the lifetime of the page; switching rooms = navigating to ?room=ID)
+  const roomId = normalizeRoomId(params.get("room")) || DEFAULT_ROOM_ID;
 
-// localStorage keys
-const LS_HINTS = "escape_hints_v1";
-const LS_USES = "escape_hint_uses_v1";
-const LS_TIMER = "escape_timer_v1";
-const LS_BONUS = "escape_hint_bonus_v1";
+  // ✅ If opened as ?hint=CODE&token=..., show hint-only UI (token issued by handleUseHint)
+  const hintParam = normalizeCode(params.get("hint"));
+  if (hintParam) {
+    return (
+      <HintWindow
+        roomId={roomId}
+        lang={normalizeLang(params.get("lang"))}
+        code={hintParam}
+        token={params.get("token")}
+      />
+    );
+  }
 
-// ======= Helpers =======
-function safeJsonParse(raw, fallback) {
-  try {
-    if (!raw) return fallback;
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
+  // ?display=1: player-facing TV screen, follows the operator tab live
+  if (params.get("display") === "1") {
+    return <DisplayWindow roomId={roomId} />;
   }
-}
 
-function formatTime(sec) {
-  const s = Math.max(0, Math.floor(sec));
-  const hh = String(Math.floor(s / 3600)).padStart(2, "0");
-  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
-  const ss = String(s % 60).padStart(2, "0");
-  return `${hh}:${mm}:${ss}`;
-}
+  // ?controller=1: phone controller for every room on the LAN sync server
+  if (params.get("controller") === "1") {
+    return <ControllerView />;
+  }
 
-function normalizeCode(code) {
-  return (code || "").trim().toUpperCase();
-}
+  // unreadable saved state: ask before anything is written
+  const health = stateHealth();
+  if (!health.ok) {
+    return <RecoveryScreen problem={health.problem} />;
+  }
+
+  // ?code=CODE from a printed hint card: only fills the hint input, opening still charges as usual
+  const codeParam = normalizeCode(params.get("code"));
+  if (codeParam) {
+    return <CodeEntry roomId={roomId} code={codeParam} />;
+  }
 
-/** Build a GitHub Pages-safe URL using Vite base URL */
-function buildHintUrl(code) {
-  const base = import.meta.env.BASE_URL || "/"; // ex) "/escape-room-app/"
-  // Ensure base starts/ends with "/"
-  const baseNorm = base.startsWith("/") ? base : `/${base}`;
-  const baseFinal = baseNorm.endsWith("/") ? baseNorm : `${baseNorm}/`;
-  return `${window.location.origin}${baseFinal}?hint=${encodeURIComponent(code)}`;
+  return <OperatorConsole roomId={roomId} />;
 }
 
-// ======= Hint-only Window UI =======
-function HintWindow({ code, hint }) {
+/**
+ * Scanned hint card: hands the code to a room tab already open in this browser (it answers
+ * "code_ack"). With none, this tab becomes the room screen only where that room's console has run
+ * before; anywhere else (a player's own phone) it just shows the code to type in on the room screen,
+ * so no second console with a fresh timer and hint allowance appears
+ */
+function CodeEntry({ roomId, code }) {
+  const [handedOff, setHandedOff] = useState(null); // null = waiting for an open tab
+  const t = makeT(loadLang(roomId));
+
+  useEffect(() => {
+    const channel = openRoomChannel(roomId, (msg) => {
+      if (msg?.type === "code_ack" && msg.code === code) setHandedOff(true);
+    });
+    channel.post({ type: "code", code });
+    const id = setTimeout(() => setHandedOff((v) => v ?? false), CODE_HANDOFF_WAIT_MS);
+    return () => {
+      clearTimeout(id);
+      channel.close();
+    };
+  }, [roomId, code]);
+
+  if (handedOff === null) return null;
+  if (!handedOff) {
+    // every console persists its timer, so a saved one marks this browser as the room's screen
+    if (readRoomItem(roomId, LS_TIMER) !== undefined) return <OperatorConsole roomId={roomId} initialHintCode={code} />;
+    return (
+      <div style={hintWindowShell()}>
+        <div style={hintDeniedCard()}>
+          <h1 style={{ margin: 0, fontSize: 16 }}>{t("codeEntry.manualTitle")}</h1>
+          <div style={{ margin: "14px 0", fontSize: 32, fontWeight: 800, letterSpacing: 1, textAlign: "center" }}>{code}</div>
+          <div style={{ color: "#aab2c5", fontSize: 14 }}>{t("codeEntry.manualBody")}</div>
+        </div>
+      </div>
+    );
+  }
   return (
     <div style={hintWindowShell()}>
-      <div style={hintWindowCard()}>
-        <h1 style={{ margin: 0, fontSize: 16, letterSpacing: 0.2 }}>
-          {hint?.title || "힌트"}
-        </h1>
-
-        {hint ? (
-          <>
-            <div
-              style={{
-                marginTop: 10,
-                fontSize: 14,
-                lineHeight: 1.65,
-                whiteSpace: "pre-wrap",
-              }}
-            >
-              {hint.body || ""}
-            </div>
-            <div style={{ marginTop: 12, fontSize: 12, color: "#98a2b3" }}>
-              이 창은 힌트 전용 창입니다. (코드: {code})
-            </div>
-          </>
-        ) : (
-          <div style={{ marginTop: 12, color: "#aab2c5", fontSize: 13 }}>
-            유효하지 않은 힌트 코드입니다: <b>{code}</b>
-          </div>
-        )}
-
-        <button style={hintWindowBtn()} onClick={() => window.close()}>
-          닫기
+      <div style={hintDeniedCard()}>
+        <h1 style={{ margin: 0, fontSize: 16 }}>{t("codeEntry.sentTitle")}</h1>
+        <div style={{ marginTop: 10, color: "#aab2c5", fontSize: 14 }}>{t("codeEntry.sentBody", { code })}</div>
+        <button style={hintDeniedBtn()} onClick={() => window.close()}>
+          {t("hintView.close")}
         </button>
       </div>
     </div>
   );
 }
 
-// ======= App =======
-export default function App() {
+// ======= Operator console =======
+function OperatorConsole({ roomId, initialHintCode }) {
+  const [rooms, setRooms] = useState(() => loadRooms());
+  const room = useMemo(() => rooms[roomId] || createRoom(roomId), [rooms, roomId]);
+  const isRegisteredRoom = Boolean(rooms[roomId]);
+  const freeHintCodes = useMemo(() => new Set(room.freeCodes), [room.freeCodes]);
+
   // Hints store
-  const [hints, setHints] = useState(() => {
-    const saved = safeJsonParse(localStorage.getItem(LS_HINTS), null);
-    if (saved && typeof saved === "object") return saved;
-
-    // 초기 기본 힌트(예시) - 운영 시 지우거나 수정
-    return {
-      "E-00": { title: "튜토리얼", body: "게임을 시작하지" },
-      "E-01": {
-        title: "힌트 001",
-        body: "A → Z, B → Y,",
-      },
-      "E-02": {
-        title: "힌트 002",
-        body: "한글과 격자의 유사성.",
-      },
-      "E-03": {
-        title: "힌트 003",
-        body: "왜 뒤집혀 있을까",
-      },
-      "E-04": { title: "힌트 004", body: "빈칸이 나타내고 있는 알파벳" },
-      "E-05": { title: "힌트 005", body: "반대말" },
-      "E-06": { title: "힌트 006", body: "IS는 동사?." },
-      "E-07": { title: "힌트 007", body: "방향을 영어로." },
-      "E-08": { title: "힌트 008", body: "사이의 알파벳." },
-      "E-09": { title: "힌트 009", body: "무게 계산(방정식)." },
-      "E-10": { title: "힌트 010", body: "마방진." },
-      "E-11": { title: "힌트 011", body: "WE는 우리, CHILD는 아이." },
-      "E-12": { title: "힌트 012", body: "AND와 ONOFF" },
-      "E-13": { title: "힌트 013", body: "/는 나누기 기호 아닌가?" },
-      "E-14": { title: "힌트 014", body: "돌려서 숫자로" },
-      "E-15": { title: "힌트 015", body: "9번 풀어야 할 수 있음. 다이얼과 대칭 알파벳" },
-      "E-16": { title: "힌트 016", body: "사각형은 4번째 글자." },
-      "E-17": { title: "힌트 017", body: "돌리고 돌리고." },
-      "E-18": { title: "힌트 018", body: "이걸 왜 눌러." },
-    };
-  });
+  const [hints, setHints] = useState(() => loadRoomHints(roomId));
 
   // Hint uses (already used count)
   const [hintUses, setHintUses] = useState(() => {
-    const saved = Number(localStorage.getItem(LS_USES));
+    const saved = Number(readRoomItem(roomId, LS_USES));
     return Number.isFinite(saved) ? saved : 0;
   });
 
-  // Bonus hint uses (granted by admin login; accumulative)
-  const [hintBonus, setHintBonus] = useState(() => {
-    const saved = Number(localStorage.getItem(LS_BONUS));
-    return Number.isFinite(saved) ? saved : 0;
+  // Bonus hint grants (explicit admin action with reason; bonus = sum of history)
+  const [bonusGrants, setBonusGrants] = useState(() => loadBonusGrants(roomId));
+  const hintBonus = useMemo(() => totalBonus(bonusGrants), [bonusGrants]);
+
+  // Session event log (append-only, cleared on session reset)
+  const [sessionLog, setSessionLog] = useState(() => {
+    const saved = readRoomItem(roomId, LS_LOG);
+    return Array.isArray(saved) ? saved : [];
   });
 
-  // Timer state
-  const [durationSec, setDurationSec] = useState(DEFAULT_DURATION_MIN * 60);
-  const [running, setRunning] = useState(false);
-  const [startAtMs, setStartAtMs] = useState(null); // epoch ms
-  const [nowMs, setNowMs] = useState(Date.now());
+  // Escaped teams (kept across session resets) + result currently on screen
+  const [leaderboard, setLeaderboard] = useState(() => loadLeaderboard(roomId));
+  const [shownResultId, setShownResultId] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showPrintCards, setShowPrintCards] = useState(false);
+
+  // Revealed tier count per code (this session)
+  const [hintProgress, setHintProgress] = useState(() => loadHintProgress(roomId));
+
+  // Latest opened hint (shown on the player display)
+  const [lastHint, setLastHint] = useState(() => readRoomItem(roomId, LS_LAST_HINT) ?? null);
+
+  // Player UI language for this session (Korean again after a reset)
+  const [lang, setLang] = useState(() => loadLang(roomId));
+  const tr = makeT(lang);
+
+  // Puzzle solves this session ({ puzzleId: { atMs, elapsedSec } })
+  const [puzzleSolves, setPuzzleSolves] = useState(() => loadPuzzleSolves(roomId));
+
+  // Scheduled pushes: overlay currently shown + rule ids already fired this session
+  const [announcement, setAnnouncement] = useState(() => readRoomItem(roomId, LS_ANNOUNCEMENT) ?? null);
+  const [announcementDismissedId, setAnnouncementDismissedId] = useState(null);
+  const [scheduleFired, setScheduleFired] = useState(() => {
+    const saved = readRoomItem(roomId, LS_SCHEDULE_FIRED);
+    return Array.isArray(saved) ? saved : [];
+  });
+
+  // Milestone cues: settings persist per room, flash / time-up modal are transient
+  const [cueSettings, setCueSettings] = useState(() => loadCueSettings(roomId));
+  const [cueFlash, setCueFlash] = useState(null);
+  const [timeUpShown, setTimeUpShown] = useState(false);
+  const lastCueSecRef = useRef(null);
+
+  // Timer state (idle / running / paused / finished)
+  const [timer, setTimer] = useState(() => normalizeTimer(readRoomItem(roomId, LS_TIMER), room.durationMin * 60));
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const running = timer.status === TIMER_RUNNING;
 
   // Admin state
   const [adminMode, setAdminMode] = useState(false);
   const [adminInput, setAdminInput] = useState("");
-  const [adminAddRemaining, setAdminAddRemaining] = useState(0); // admin session add quota
+  const [adminAuth, setAdminAuth] = useState(() => loadAdminAuth()); // null until a PIN is set
+  const [adminBusy, setAdminBusy] = useState(false); // PBKDF2 in flight
+  const [adminNotice, setAdminNotice] = useState(""); // i18n key (shown on the player screen)
+  const [bonusAmountInput, setBonusAmountInput] = useState("1");
+
+  // Cue settings form
+  const [cueMilestonesInput, setCueMilestonesInput] = useState(() => cueSettings.milestonesMin.join(", "));
+
+  // Puzzle editor form
+  const [newPuzzleName, setNewPuzzleName] = useState("");
+  const [newPuzzleCodes, setNewPuzzleCodes] = useState("");
+  const [stallMinInput, setStallMinInput] = useState(() => String(room.stallMin));
+  const [answerEditId, setAnswerEditId] = useState(null);
+  const [answerEditText, setAnswerEditText] = useState("");
+  const [answerEditHashed, setAnswerEditHashed] = useState(false);
+  const [answerEditPenalty, setAnswerEditPenalty] = useState("0");
+  const [answerEditCooldown, setAnswerEditCooldown] = useState("0");
+  const [answerEditFollowUp, setAnswerEditFollowUp] = useState("");
+
+  // Schedule rule form
+  const [ruleKindInput, setRuleKindInput] = useState(RULE_ANNOUNCE);
+  const [ruleAtInput, setRuleAtInput] = useState("remaining");
+  const [ruleTimeInput, setRuleTimeInput] = useState("20:00");
+  const [ruleMessageInput, setRuleMessageInput] = useState("");
+  const [ruleCodeInput, setRuleCodeInput] = useState("");
+  const [ruleOnlyIfUnopened, setRuleOnlyIfUnopened] = useState(true);
+  const [bonusReasonInput, setBonusReasonInput] = useState("");
+  const [pinConfirmInput, setPinConfirmInput] = useState("");
+  const [currentPinInput, setCurrentPinInput] = useState("");
+  const [newPinInput, setNewPinInput] = useState("");
+  const [newPinConfirmInput, setNewPinConfirmInput] = useState("");
+  const adminActivityRef = useRef(0);
+
+  // Kiosk mode (this device): operator controls hidden until a long-press on the title + admin PIN
+  const [kiosk, setKiosk] = useState(() => loadKiosk(roomId));
+  const [kioskRevealed, setKioskRevealed] = useState(false); // admin login shown after the long-press
+  const longPressRef = useRef(null);
+  const kioskLocked = kiosk && !adminMode;
+
+  // Backups of the state document + save failures (storage full)
+  const [snapshots, setSnapshots] = useState(() => listSnapshots());
+  const [storageError, setStorageError] = useState(false);
+  const [unreadable] = useState(() => unreadableItems());
+
+  // LAN sync server (optional, this device): address form + connection status
+  const [syncServer, setSyncServer] = useState(() => loadSyncServer());
+  const [syncStatus, setSyncStatus] = useState(SYNC_OFF);
+  const [syncError, setSyncError] = useState(""); // last server error (e.g. wrong key)
+  const [syncUrlInput, setSyncUrlInput] = useState(() => syncServer?.url || "");
+  const [syncKeyInput, setSyncKeyInput] = useState(() => syncServer?.key || "");
+
+  const [durationMinInput, setDurationMinInput] = useState(() => String(room.durationMin));
+
+  // Room settings / management form
+  const [roomNameInput, setRoomNameInput] = useState(room.name);
+  const [roomDurationInput, setRoomDurationInput] = useState(String(room.durationMin));
+  const [roomMaxUsesInput, setRoomMaxUsesInput] = useState(String(room.maxHintUses));
+  const [roomFreeCodesInput, setRoomFreeCodesInput] = useState(room.freeCodes.join(", "));
+  const [roomHintDisplayInput, setRoomHintDisplayInput] = useState(room.hintDisplay);
+  const [costModelInput, setCostModelInput] = useState(room.hintCost.model);
+  const [costPenaltyMinInput, setCostPenaltyMinInput] = useState(String(room.hintCost.penaltySec / 60));
+  const [costStartScoreInput, setCostStartScoreInput] = useState(String(room.hintCost.startScore));
+  const [costPointsInput, setCostPointsInput] = useState(String(room.hintCost.pointsPerHint));
+  const [codeCostsInput, setCodeCostsInput] = useState(formatCodeCosts(room.hintCost.codeCosts));
+  const [newRoomId, setNewRoomId] = useState("");
+  const [newRoomName, setNewRoomName] = useState("");
+
+  // Answer input state
+  const [answerPuzzleId, setAnswerPuzzleId] = useState("");
+  const [answerInput, setAnswerInput] = useState("");
+  const [answerBusy, setAnswerBusy] = useState(false);
+  const [answerFeedback, setAnswerFeedback] = useState(null); // { ok, text }
+
+  // Game-master message form
+  const [messageInput, setMessageInput] = useState("");
+  const [messageChime, setMessageChime] = useState(true);
 
   // Hint input state
-  const [hintCodeInput, setHintCodeInput] = useState("");
+  const [hintCodeInput, setHintCodeInput] = useState(initialHintCode || "");
+  const hintInputRef = useRef(null);
+  // Hint shown inside this page ({ code, mode }) when not using / not able to use a popup
+  const [inPageHint, setInPageHint] = useState(null);
+  const [popupBlockedNotice, setPopupBlockedNotice] = useState(false);
 
   // Admin add form
   const [newCode, setNewCode] = useState("");
   const [newTitle, setNewTitle] = useState("");
   const [newBody, setNewBody] = useState("");
 
+  // Admin inline edit (one hint at a time)
+  const [editingCode, setEditingCode] = useState(null);
+  const [editCode, setEditCode] = useState("");
+  const [editTitle, setEditTitle] = useState("");
+  const [editTiers, setEditTiers] = useState([]); // [{ label, body, cost }]
+  const [editLang, setEditLang] = useState(DEFAULT_LANG);
+  const [editI18n, setEditI18n] = useState({}); // { en: { title, bodies: [per tier] }, ja: ... }
+  const importInputRef = useRef(null);
+
   const intervalRef = useRef(null);
 
   // Derived limits
-  const maxHintUses = MAX_HINT_USES + hintBonus;
+  const maxHintUses = room.maxHintUses + hintBonus;
   const hintRemaining = maxHintUses - hintUses;
-
-  // ===== Hint-only mode (popup page) =====
-  const params = useMemo(() => new URLSearchParams(window.location.search), []);
-  const hintParam = normalizeCode(params.get("hint"));
-  const isHintWindow = Boolean(hintParam);
-  const hintForWindow = hintParam ? hints[hintParam] : null;
+  const charges = useMemo(() => hintCharges(sessionLog), [sessionLog]);
+  const score = hintScore(room.hintCost, charges);
 
   // Persist hints/uses/bonus
   useEffect(() => {
-    localStorage.setItem(LS_HINTS, JSON.stringify(hints));
+    saveRoomHints(roomId, hints);
+  }, [roomId, hints]);
+
+  // Stored media nothing references any more (edited / deleted hints, deleted rooms once their
+  // backups have rolled off) is removed on load and after every catalogue change
+  useEffect(() => {
+    sweepMedia(referencedMediaIds(), Date.now()).catch(() => {});
   }, [hints]);
 
   useEffect(() => {
-    localStorage.setItem(LS_USES, String(hintUses));
-  }, [hintUses]);
+    writeRoomItem(roomId, LS_USES, hintUses);
+  }, [roomId, hintUses]);
 
   useEffect(() => {
-    localStorage.setItem(LS_BONUS, String(hintBonus));
-  }, [hintBonus]);
+    saveBonusGrants(roomId, bonusGrants);
+  }, [roomId, bonusGrants]);
 
-  // Load timer from storage on mount
   useEffect(() => {
-    const saved = safeJsonParse(localStorage.getItem(LS_TIMER), null);
-    if (saved && typeof saved === "object") {
-      if (Number.isFinite(saved.durationSec)) setDurationSec(saved.durationSec);
-      if (typeof saved.running === "boolean") setRunning(saved.running);
-      if (Number.isFinite(saved.startAtMs)) setStartAtMs(saved.startAtMs);
-    }
-  }, []);
+    writeRoomItem(roomId, LS_LAST_HINT, lastHint);
+  }, [roomId, lastHint]);
+
+  useEffect(() => {
+    writeRoomItem(roomId, LS_LOG, sessionLog);
+  }, [roomId, sessionLog]);
+
+  // Finished session -> analytics history (once per session; re-runs are ignored by id)
+  useEffect(() => {
+    const record = summarizeSession(sessionLog, { roomId, hintUses });
+    if (record) archiveSession(roomId, record);
+  }, [roomId, sessionLog, hintUses]);
+
+  useEffect(() => {
+    saveHintProgress(roomId, hintProgress);
+  }, [roomId, hintProgress]);
+
+  useEffect(() => {
+    writeRoomItem(roomId, LS_ANNOUNCEMENT, announcement);
+  }, [roomId, announcement]);
+
+  useEffect(() => {
+    writeRoomItem(roomId, LS_SCHEDULE_FIRED, scheduleFired);
+  }, [roomId, scheduleFired]);
+
+  useEffect(() => {
+    saveLang(roomId, lang);
+  }, [roomId, lang]);
+
+  useEffect(() => {
+    savePuzzleSolves(roomId, puzzleSolves);
+  }, [roomId, puzzleSolves]);
+
+  useEffect(() => {
+    saveCueSettings(roomId, cueSettings);
+  }, [roomId, cueSettings]);
+
+  useEffect(() => {
+    saveLeaderboard(roomId, leaderboard);
+  }, [roomId, leaderboard]);
+
+  useEffect(() => {
+    saveKiosk(roomId, kiosk);
+  }, [roomId, kiosk]);
+
+  useKiosk(kiosk, running);
+
+  useEffect(() => onStateWriteError(() => setStorageError(true)), []);
+
+  // LAN sync: push this room's state on every change, adopt other consoles' pushes, run controller commands
+  const lanState = useMemo(
+    () => buildLanState({ room, timer, hintUses, bonusGrants, hintProgress }),
+    [room, timer, hintUses, bonusGrants, hintProgress]
+  );
+  const lanRef = useRef(null);
+  const lanStateRef = useRef(lanState);
+  const lanAdoptedRef = useRef(""); // last adopted state, so it isn't echoed back
+  const lanSyncRef = useRef(makeRoomSync());
+  const lanHandlerRef = useRef(null);
+  useEffect(() => {
+    lanStateRef.current = lanState;
+  }, [lanState]);
+
+  useEffect(() => {
+    if (!syncServer) return;
+    const conn = connectLanSync(syncServer.url, {
+      hello: { type: "hello", role: "operator", roomId, key: syncServer.key },
+      onStatus: (status) => {
+        // nothing goes out until the server's welcome has been adopted
+        if (status !== SYNC_ONLINE) lanSyncRef.current.ready = false;
+        setSyncStatus(status);
+      },
+      onMessage: (msg) => lanHandlerRef.current?.(msg),
+    });
+    lanRef.current = conn;
+    return () => {
+      conn.close();
+      lanRef.current = null;
+    };
+  }, [syncServer, roomId]);
+
+  useEffect(() => {
+    if (JSON.stringify(lanState) === lanAdoptedRef.current) return;
+    sendRoomState(lanRef.current, lanSyncRef.current, lanState);
+  }, [lanState]);
+
+  useEffect(() => {
+    lanHandlerRef.current = (msg) => {
+      const sync = lanSyncRef.current;
+      if (msg.type === "error") setSyncError(msg.message);
+      if (msg.type === "welcome") {
+        sync.ready = true;
+        setSyncError("");
+        if (isNewerState(sync, msg.state)) adoptLanState(msg.state);
+        // empty / restarted server, or changes made while offline on top of the live revision
+        else if (!msg.state || sync.pending || msg.state.rev < sync.rev) sendRoomState(lanRef.current, sync, lanStateRef.current);
+      }
+      if (msg.type === "state" && isNewerState(sync, msg.state)) adoptLanState(msg.state);
+      // our push lost to a newer revision: take the winner
+      if (msg.type === "stale" && msg.state) adoptLanState(msg.state);
+      if (msg.type === "command" && msg.command) runLanCommand(msg.command);
+    };
+  });
+
+  // The revealed login hides again if nobody signs in
+  useEffect(() => {
+    if (!kioskRevealed || adminMode) return;
+    const id = setTimeout(() => setKioskRevealed(false), KIOSK_REVEAL_MS);
+    return () => clearTimeout(id);
+  }, [kioskRevealed, adminMode]);
 
   // Persist timer
   useEffect(() => {
-    localStorage.setItem(LS_TIMER, JSON.stringify({ durationSec, running, startAtMs }));
-  }, [durationSec, running, startAtMs]);
+    writeRoomItem(roomId, LS_TIMER, timer);
+  }, [roomId, timer]);
+
+  // ?code= from a scanned hint card: drop it so a reload doesn't fill the input again
+  useEffect(() => {
+    if (!initialHintCode) return;
+    window.history.replaceState(window.history.state, "", buildRoomUrl(roomId));
+    hintInputRef.current?.focus();
+  }, [initialHintCode, roomId]);
+
+  // Push every change to open display windows
+  const channelRef = useRef(null);
+  useEffect(() => {
+    // a scanned hint card in another tab (CodeEntry) hands its code over
+    const channel = openRoomChannel(roomId, (msg) => {
+      if (msg?.type !== "code" || !normalizeCode(msg.code)) return;
+      setHintCodeInput(normalizeCode(msg.code));
+      hintInputRef.current?.focus();
+      channel.post({ type: "code_ack", code: msg.code });
+    });
+    channelRef.current = channel;
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [roomId]);
+
+  useEffect(() => {
+    channelRef.current?.post({
+      type: "state",
+      snapshot: buildSnapshot({ room, timer, hintUses, hintBonus, charges, lastHint, announcement, cueFlash, lang }),
+    });
+  }, [room, timer, hintUses, hintBonus, charges, lastHint, announcement, cueFlash, lang]);
+
+  // Persist room registry
+  useEffect(() => {
+    saveRooms(rooms);
+  }, [rooms]);
+
+  // Admin session expires after ADMIN_IDLE_TIMEOUT_MS without input
+  useEffect(() => {
+    if (!adminMode) return;
+    const touch = () => {
+      adminActivityRef.current = Date.now();
+    };
+    touch();
+    window.addEventListener("pointerdown", touch);
+    window.addEventListener("keydown", touch);
+    const id = setInterval(() => {
+      if (Date.now() - adminActivityRef.current > ADMIN_IDLE_TIMEOUT_MS) {
+        setAdminMode(false);
+        setAdminNotice("admin.idleEnded");
+      }
+    }, 15000);
+    return () => {
+      window.removeEventListener("pointerdown", touch);
+      window.removeEventListener("keydown", touch);
+      clearInterval(id);
+    };
+  }, [adminMode]);
+
+  // Latest timer for the tick callback (the interval outlives renders)
+  const timerRef = useRef(timer);
+  useEffect(() => {
+    timerRef.current = timer;
+  }, [timer]);
+
+  // Per-tick work that needs the latest render's state (the interval outlives renders)
+  const tickHandlerRef = useRef(null);
+  useEffect(() => {
+    tickHandlerRef.current = (t, now, timedOut) => {
+      runSchedule(t, now);
+      runCues(t, now, timedOut);
+    };
+  });
 
   // Tick
   useEffect(() => {
     if (running) {
       if (intervalRef.current) clearInterval(intervalRef.current);
-      intervalRef.current = setInterval(() => setNowMs(Date.now()), 250);
+      intervalRef.current = setInterval(() => {
+        const now = Date.now();
+        setNowMs(now);
+        // Auto-stop when time up
+        const t = timerRef.current;
+        const timedOut = t.status === TIMER_RUNNING && getRemainingSec(t, now) <= 0;
+        if (timedOut) {
+          const finished = finishTimer(t, now, "timeout");
+          timerRef.current = finished;
+          setTimer(finished);
+          setSessionLog((log) => appendEvent(log, makeEvent("finish", finished, now, finishData(finished, now, "timeout"))));
+        }
+        tickHandlerRef.current?.(t, now, timedOut);
+      }, 250);
       return () => {
         if (intervalRef.current) clearInterval(intervalRef.current);
       };
@@ -220,91 +765,493 @@ export default function App() {
     intervalRef.current = null;
   }, [running]);
 
-  const remainingSec = useMemo(() => {
-    if (!running || !startAtMs) return durationSec;
-    const elapsedSec = (nowMs - startAtMs) / 1000;
-    return Math.max(0, durationSec - elapsedSec);
-  }, [running, startAtMs, nowMs, durationSec]);
+  const remainingSec = useMemo(() => getRemainingSec(timer, nowMs), [timer, nowMs]);
 
-  // Auto-stop when time up
-  useEffect(() => {
-    if (running && remainingSec <= 0) {
-      setRunning(false);
-      alert("시간 종료!");
+  /** Append to the session log, stamped against `t` (defaults to the current timer) */
+  function logEvent(type, data, t = timer) {
+    const now = Date.now();
+    setSessionLog((log) => appendEvent(log, makeEvent(type, t, now, data)));
+  }
+
+  /** Apply a timer transition and log it if it changed anything */
+  function transitionTimer(transition, type, data) {
+    const now = Date.now();
+    const next = transition(timer, now);
+    if (next === timer) return;
+    timerRef.current = next;
+    setTimer(next);
+    setNowMs(now);
+    logEvent(type, data, next);
+  }
+
+  /** Fire schedule rules that came due at `now` (called from the tick loop) */
+  function runSchedule(t, now) {
+    const due = dueRules(room.schedule, t, now, scheduleFired);
+    if (!due.length) return;
+    setScheduleFired((prev) => [...prev, ...due.map((r) => r.id)]);
+
+    for (const rule of due) {
+      if (rule.kind === RULE_ANNOUNCE) {
+        setAnnouncement({ id: `${rule.id}@${now}`, kind: "announce", text: rule.message, atMs: now });
+        logEvent("announce", { message: rule.message }, t);
+        continue;
+      }
+
+      // push_hint: reveal the next tier for free (skipped if already opened when so configured)
+      const hint = hints[rule.code];
+      const revealed = hintProgress[rule.code] || 0;
+      const shown = localizeHint(hint, lang);
+      const tiers = hintTiers(shown);
+      if (!hint || (rule.onlyIfUnopened && revealed > 0) || revealed >= tiers.length) continue;
+
+      const tierData = tiers.length > 1 ? { tier: revealed + 1, tierCount: tiers.length } : {};
+      setHintProgress((prev) => ({ ...prev, [rule.code]: Math.max(prev[rule.code] || 0, revealed + 1) }));
+      setLastHint({ code: rule.code, title: shown.title, body: tiers[revealed].body, atMs: now, ...tierData });
+      setAnnouncement({
+        id: `${rule.id}@${now}`,
+        kind: "hint",
+        title: `${rule.code} · ${shown.title}`,
+        text: tiers[revealed].body,
+        atMs: now,
+      });
+      logEvent("hint", { code: rule.code, title: hint.title, free: true, cost: 0, auto: true, ...tierData }, t);
+    }
+  }
+
+  /** Milestone / time-up cues (called from the tick loop); the first tick after load only sets the baseline */
+  function runCues(t, now, timedOut) {
+    const sec = getRemainingSec(t, now);
+    const prev = lastCueSecRef.current;
+    lastCueSecRef.current = sec;
+    if (timedOut) {
+      fireCue(null, now);
+      setTimeUpShown(true);
+      return;
+    }
+    if (prev == null) return;
+    const min = crossedMilestone(prev, sec, cueSettings.milestonesMin);
+    if (min != null) fireCue(min, now);
+  }
+
+  /** Sound + flash for one cue; min = null is time-up */
+  function fireCue(min, now) {
+    playCue(cueSettings, min, lang);
+    if (!cueSettings.flash) return;
+    const flash = { id: now, min, timeUp: min == null };
+    setCueFlash(flash);
+    setTimeout(() => setCueFlash((f) => (f?.id === flash.id ? null : f)), CUE_FLASH_MS);
+  }
+
+  function updateCueSettings(patch) {
+    setCueSettings((prev) => ({ ...prev, ...patch }));
+  }
+
+  function handleSaveMilestones() {
+    if (!adminMode) return;
+    const milestonesMin = parseMilestones(cueMilestonesInput);
+    updateCueSettings({ milestonesMin });
+    setCueMilestonesInput(milestonesMin.join(", "));
+  }
+
+  function handleTestCue() {
+    unlockAudio();
+    fireCue(cueSettings.milestonesMin.at(-1) ?? 1, Date.now());
+  }
+
+  /** Take over a newer room state from the server (another console's push, or the welcome) */
+  function adoptLanState(state) {
+    const nextTimer = normalizeTimer(state.timer, timer.durationSec);
+    const nextUses = Number.isFinite(state.hintUses) ? state.hintUses : hintUses;
+    const nextGrants = Array.isArray(state.bonusGrants) ? state.bonusGrants : bonusGrants;
+    const nextProgress = state.hintProgress && typeof state.hintProgress === "object" ? state.hintProgress : hintProgress;
+    lanAdoptedRef.current = JSON.stringify(
+      buildLanState({ room, timer: nextTimer, hintUses: nextUses, bonusGrants: nextGrants, hintProgress: nextProgress })
+    );
+    lanSyncRef.current.rev = Number.isInteger(state.rev) ? state.rev : lanSyncRef.current.rev;
+    lanSyncRef.current.pending = false;
+    timerRef.current = nextTimer;
+    setTimer(nextTimer);
+    setHintUses(nextUses);
+    setBonusGrants(nextGrants);
+    setHintProgress(nextProgress);
+    setNowMs(Date.now());
+  }
+
+  /**
+   * Commands from the phone controller go through the same transitions / log as the buttons;
+   * only with a server key set, which is what stands in for the admin PIN on the phone
+   */
+  function runLanCommand(command) {
+    if (!syncServer?.key) return;
+    switch (command.kind) {
+      case CMD_PAUSE:
+        return transitionTimer(pauseTimer, "pause", { remote: true });
+      case CMD_RESUME:
+        return transitionTimer(resumeTimer, "resume", { remote: true });
+      case CMD_ADJUST: {
+        const deltaSec = command.deltaSec;
+        if (!Number.isInteger(deltaSec) || deltaSec === 0) return;
+        return transitionTimer((t) => adjustTimer(t, deltaSec), "time_adjust", { deltaSec, remote: true });
+      }
+      case CMD_BONUS: {
+        const amount = command.amount;
+        if (!Number.isInteger(amount) || amount === 0 || hintBonus + amount < -room.maxHintUses) return;
+        const reason = typeof command.reason === "string" ? command.reason.trim() : "";
+        setBonusGrants((prev) => [...prev, makeGrant(amount, reason, Date.now())]);
+        logEvent("bonus", { amount, reason, remote: true });
+        return;
+      }
+      default:
+        return;
     }
-  }, [running, remainingSec]);
+  }
+
+  function handleSaveSyncServer() {
+    if (!adminMode) return;
+    const url = normalizeServerUrl(syncUrlInput);
+    if (!url) return alert("서버 주소를 확인해 주세요. (예: 192.168.0.10:8787)");
+    const key = syncKeyInput.trim();
+    if (!key) return alert("서버 키를 입력해 주세요. (동기화 서버를 실행한 화면에 표시됩니다.)");
+    const next = { url, key };
+    saveSyncServer(next);
+    setSyncServer(next);
+    setSyncUrlInput(url);
+    setSyncError("");
+  }
+
+  function handleDisconnectSync() {
+    if (!adminMode) return;
+    saveSyncServer(null);
+    setSyncServer(null);
+    setSyncError("");
+  }
+
+  /** Snapshot of the saved document before a destructive change */
+  function backup(reason) {
+    takeSnapshot(reason);
+    setSnapshots(listSnapshots());
+  }
+
+  // snapshot id comes from the button's data-id
+  function handleRestoreSnapshot(e) {
+    if (!adminMode) return;
+    const snap = snapshots.find((s) => s.id === e.currentTarget.dataset.id);
+    if (!snap) return;
+    if (!confirm(`${new Date(snap.atMs).toLocaleString("ko-KR")} 백업으로 모든 방의 데이터를 되돌릴까요?\n(현재 상태도 백업해 둡니다.)`)) return;
+    if (!restoreSnapshot(snap.id)) return alert("이 백업을 읽을 수 없습니다.");
+    window.location.reload();
+  }
+
+  function handleDownloadUnreadable() {
+    downloadText(`escape-unreadable-${fileStamp(Date.now())}.json`, JSON.stringify(unreadable, null, 2), "application/json");
+  }
+
+  function handleTitlePressStart() {
+    if (!kioskLocked) return;
+    clearTimeout(longPressRef.current);
+    longPressRef.current = setTimeout(() => setKioskRevealed(true), KIOSK_LONG_PRESS_MS);
+  }
+
+  function handleTitlePressEnd() {
+    clearTimeout(longPressRef.current);
+  }
+
+  function handleToggleKiosk() {
+    if (!adminMode) return;
+    if (kiosk) {
+      setKiosk(false);
+      exitFullscreen();
+      return;
+    }
+    enterFullscreen(); // still inside this click's user gesture
+    setKiosk(true);
+    handleKioskLock();
+  }
+
+  function handleKioskLock() {
+    setAdminMode(false);
+    setKioskRevealed(false);
+  }
 
   function handleStart() {
-    if (running) return;
-    setStartAtMs(Date.now());
+    unlockAudio();
+    transitionTimer(startTimer, "start");
+  }
+
+  function handlePause() {
+    transitionTimer(pauseTimer, "pause");
+  }
+
+  function handleResume() {
+    unlockAudio();
+    transitionTimer(resumeTimer, "resume");
+  }
+
+  function handleEscape() {
+    if (timer.status !== TIMER_RUNNING && timer.status !== TIMER_PAUSED) return;
+    const input = prompt(tr("escape.teamPrompt"));
+    if (input === null) return;
+    const teamName = input.trim() || tr("escape.unnamedTeam");
+
+    const now = Date.now();
+    const finished = finishTimer(timer, now, "escaped");
+    const result = makeResult({
+      teamName,
+      clearSec: Math.floor(getElapsedMs(finished, now) / 1000),
+      hintUses,
+      hintBonus,
+      costModel: room.hintCost.model,
+      penaltySec: charges.penaltySec,
+      score,
+      durationSec: finished.durationSec,
+      finishedAtMs: now,
+    });
+
+    timerRef.current = finished;
+    setTimer(finished);
+    setNowMs(now);
+    setLeaderboard((prev) => [...prev, result]);
+    setShownResultId(result.id);
+    logEvent("finish", { ...finishData(finished, now, "escaped"), teamName }, finished);
+  }
+
+  function handleDeleteResult(id) {
+    if (!adminMode) return;
+    if (!confirm("이 기록을 리더보드에서 삭제할까요?")) return;
+    setLeaderboard((prev) => prev.filter((r) => r.id !== id));
+  }
+
+  function handleClearLeaderboard() {
+    if (!adminMode) return;
+    if (!confirm(`${room.name} 방의 리더보드를 모두 삭제할까요?`)) return;
+    setLeaderboard([]);
+  }
+
+  // minutes come from the button's data-delta-min
+  function handleAdjustTime(e) {
+    if (!adminMode) return;
+    const deltaMin = Number(e.currentTarget.dataset.deltaMin);
+    transitionTimer((t) => adjustTimer(t, deltaMin * 60), "time_adjust", { deltaSec: deltaMin * 60 });
+  }
+
+  function handleSetDuration() {
+    if (!adminMode) return;
+    const min = Number(durationMinInput);
+    if (!Number.isFinite(min) || min <= 0) return alert("진행 시간(분)을 올바르게 입력해 주세요.");
+    setTimer((t) => setTimerDuration(t, Math.round(min * 60)));
+  }
+
+  function handleResetSession() {
+    if (!adminMode) return;
+    if (!confirm("타이머, 힌트 사용 횟수, 보너스, 게임 기록을 모두 초기화할까요?\n(필요하면 먼저 기록을 내보내 주세요.)")) return;
+    backup("세션 초기화 전");
+    // the duration chosen for this session (custom or room default) carries over
+    setTimer((t) => createTimer(t.status === TIMER_IDLE ? t.durationSec : t.sessionDurationSec));
+    setHintUses(0);
+    setBonusGrants([]);
+    setLastHint(null);
+    setHintProgress({});
+    setPuzzleSolves({});
+    setLang(DEFAULT_LANG);
+    setAnnouncement(null);
+    setScheduleFired([]);
+    setTimeUpShown(false);
+    setSessionLog([]);
+    setShownResultId(null);
     setNowMs(Date.now());
-    setRunning(true);
   }
 
-  // ✅ Hint open: open same site with ?hint=CODE (no document.write -> avoids white popup)
+  // ✅ Hint open: open same site with ?hint=CODE&token=... (no document.write -> avoids white popup)
   function handleUseHint() {
     const code = normalizeCode(hintCodeInput);
     if (!code) {
-      alert("힌트 코드를 입력해 주세요.");
+      alert(tr("hint.enterCode"));
       return;
     }
 
     const hint = hints[code];
     if (!hint) {
-      alert("유효하지 않은 힌트 코드입니다.");
+      alert(tr("hint.invalidCode"));
       return;
     }
 
-    const isFree = FREE_HINT_CODES.has(code);
+    const isFree = freeHintCodes.has(code);
 
-    if (!isFree) {
-      if (hintUses >= maxHintUses) {
-        alert(`힌트는 최대 ${maxHintUses}번까지 사용할 수 있습니다.`);
-        return;
-      }
-      setHintUses((x) => x + 1);
-    }
+    // Each open reveals the next tier; once all are revealed, reopening is free
+    const tiers = hintTiers(hint);
+    const revealed = Math.min(hintProgress[code] || 0, tiers.length);
+    const isNewTier = revealed < tiers.length;
+    const tierIndex = isNewTier ? revealed : tiers.length - 1;
+    const cost = isNewTier ? hintUnits(room.hintCost, code, tierCost(tiers[tierIndex], isFree)) : 0;
 
-    const url = buildHintUrl(code);
-    const w = window.open(url, "_blank", "width=520,height=640");
-    if (!w) {
+    // past the allowance the room's cost model decides: refuse, time penalty or score deduction
+    const charge = chargeHint(room.hintCost, cost, hintUses, maxHintUses);
+    if (!charge) {
       alert(
-        "팝업이 차단되어 힌트를 열 수 없습니다.\n\n" +
-          "Chrome/Edge: 주소창 오른쪽 팝업 차단 아이콘 → 이 사이트 팝업 허용"
+        cost > 1
+          ? tr("hint.notEnough", { cost, max: maxHintUses })
+          : tr("hint.maxUses", { max: maxHintUses })
       );
       return;
     }
+    if (charge.penaltySec > 0 && !confirm(tr("hint.confirmPenalty", { min: charge.penaltySec / 60 }))) return;
+    if (charge.points > 0 && !confirm(tr("hint.confirmPoints", { points: charge.points }))) return;
+
+    // Show first, charge after: a blocked popup falls back to the in-page modal
+    const nextProgress = isNewTier ? { ...hintProgress, [code]: revealed + 1 } : hintProgress;
+    showHint(code, nextProgress);
+
+    if (cost > 0) setHintUses((x) => x + cost);
+    if (isNewTier) setHintProgress(nextProgress);
+    // a finished clock can't lose time, so nothing is recorded then
+    const penalized = charge.penaltySec > 0 ? adjustTimer(timer, -charge.penaltySec) : timer;
+    if (penalized !== timer) {
+      timerRef.current = penalized;
+      setTimer(penalized);
+    }
+    const chargeData = {
+      ...(penalized !== timer ? { penaltySec: charge.penaltySec } : {}),
+      ...(charge.points > 0 ? { points: charge.points } : {}),
+    };
+
+    const tierData = tiers.length > 1 ? { tier: tierIndex + 1, tierCount: tiers.length } : {};
+    const shown = localizeHint(hint, lang);
+    setLastHint({ code, title: shown.title, body: hintTiers(shown)[tierIndex].body, atMs: Date.now(), ...tierData });
+    if (isNewTier) logEvent("hint", { code, title: hint.title, free: cost === 0, cost, ...chargeData, ...tierData }, penalized);
+    setHintCodeInput("");
+  }
+
+  /** Opens the hint in the room's display mode (in-page modal when the popup is blocked) */
+  function showHint(code, progress) {
+    if (room.hintDisplay !== HINT_DISPLAY_POPUP) {
+      setInPageHint({ code, mode: room.hintDisplay });
+      return;
+    }
+
+    const token = issueHintToken(roomId, code, progress[code] || 0);
+    const w = window.open(buildHintUrl(code, roomId, lang, token), "_blank", "width=520,height=640");
+    if (!w) {
+      setPopupBlockedNotice(true);
+      setInPageHint({ code, mode: HINT_DISPLAY_MODAL });
+      return;
+    }
     try {
       w.opener = null;
     } catch {}
     w.focus();
+    setPopupBlockedNotice(false);
+  }
 
-    setHintCodeInput("");
+  /** Re-show an already revealed hint: no charge, no new tier, not logged */
+  function handleReopenHint(code) {
+    if (!hints[code]) return alert(tr("hint.deletedAlert"));
+    showHint(code, hintProgress);
   }
 
-  function handleAdminLogin() {
-    if (adminInput.trim() === ADMIN_CODE) {
-      // admin code grants +1 repeatedly
-      setHintBonus((b) => b + 1);
+  function updateAdminAuth(next) {
+    saveAdminAuth(next);
+    setAdminAuth(next);
+  }
 
-      // enter admin mode & allow 1 hint add per session
-      setAdminMode(true);
-      setAdminAddRemaining(1);
+  // First run: no PIN stored yet
+  async function handleSetupPin() {
+    const pin = adminInput.trim();
+    if (!isPinValid(pin)) return alert(tr("admin.pinInvalid", { min: MIN_PIN_LENGTH }));
+    if (pin !== pinConfirmInput.trim()) return alert(tr("admin.pinMismatch"));
 
-      setAdminInput("");
-      alert("관리자 승인: 힌트 사용 가능 횟수 +1");
-    } else {
-      alert("관리자 코드가 올바르지 않습니다.");
+    setAdminBusy(true);
+    try {
+      updateAdminAuth(await createAdminAuth(pin));
+    } catch {
+      return alert(tr("admin.setupFailed"));
+    } finally {
+      setAdminBusy(false);
     }
+    setAdminInput("");
+    setPinConfirmInput("");
+    setAdminNotice("");
+    setAdminMode(true);
+    alert(tr("admin.pinSet"));
   }
 
-  function handleAddHint() {
-    if (!adminMode) return;
+  async function handleAdminLogin() {
+    if (!adminAuth || adminBusy) return;
+    if (adminAuth.lockedUntilMs > Date.now()) {
+      return alert(tr("admin.locked", { time: formatClock(adminAuth.lockedUntilMs) }));
+    }
 
-    if (adminAddRemaining <= 0) {
-      alert("관리자 모드에서 힌트 추가는 1회만 가능합니다.");
-      return;
+    setAdminBusy(true);
+    let ok = false;
+    try {
+      ok = await verifyPin(adminAuth, adminInput.trim());
+    } catch {
+      return alert(tr("admin.checkFailed"));
+    } finally {
+      setAdminBusy(false);
+    }
+    setAdminInput("");
+
+    if (!ok) {
+      const next = registerFailure(adminAuth, Date.now());
+      updateAdminAuth(next);
+      if (next.lockedUntilMs > adminAuth.lockedUntilMs) {
+        return alert(tr("admin.lockedNow", { max: MAX_FAILED_ATTEMPTS, time: formatClock(next.lockedUntilMs) }));
+      }
+      return alert(tr("admin.wrongPin", { left: MAX_FAILED_ATTEMPTS - next.failedAttempts }));
+    }
+
+    updateAdminAuth(clearFailures(adminAuth));
+    logEvent("admin_login");
+
+    // login itself changes nothing in the game
+    setAdminNotice("");
+    setAdminMode(true);
+  }
+
+  async function handleChangePin() {
+    if (!adminMode || !adminAuth || adminBusy) return;
+    const next = newPinInput.trim();
+    if (!isPinValid(next)) return alert(`새 PIN은 ${MIN_PIN_LENGTH}자리 이상 숫자로 입력해 주세요.`);
+    if (next !== newPinConfirmInput.trim()) return alert("새 PIN 확인이 일치하지 않습니다.");
+
+    setAdminBusy(true);
+    try {
+      if (!(await verifyPin(adminAuth, currentPinInput.trim()))) return alert("현재 PIN이 올바르지 않습니다.");
+      updateAdminAuth(await createAdminAuth(next));
+    } catch {
+      return alert("PIN을 변경하지 못했습니다. 브라우저 암호화 기능에 오류가 있습니다.");
+    } finally {
+      setAdminBusy(false);
     }
+    setCurrentPinInput("");
+    setNewPinInput("");
+    setNewPinConfirmInput("");
+    alert("관리자 PIN이 변경되었습니다.");
+  }
+
+  function handleGrantBonus() {
+    if (!adminMode) return;
+    const amount = Number(bonusAmountInput);
+    if (!Number.isInteger(amount) || amount === 0) return alert("지급할 힌트 횟수를 0이 아닌 정수로 입력해 주세요. (차감은 음수)");
+    if (hintBonus + amount < -room.maxHintUses) return alert("기본 힌트 횟수보다 많이 차감할 수 없습니다.");
+
+    const reason = bonusReasonInput.trim();
+    setBonusGrants((prev) => [...prev, makeGrant(amount, reason, Date.now())]);
+    logEvent("bonus", { amount, reason });
+    setBonusAmountInput("1");
+    setBonusReasonInput("");
+  }
+
+  function handleUndoBonus() {
+    if (!adminMode || !bonusGrants.length) return;
+    const last = bonusGrants[bonusGrants.length - 1];
+    if (!confirm(`마지막 지급(${last.amount > 0 ? "+" : ""}${last.amount}${last.reason ? `, ${last.reason}` : ""})을 취소할까요?`)) return;
+    setBonusGrants((prev) => prev.slice(0, -1));
+    logEvent("bonus_undo", { amount: last.amount, reason: last.reason });
+  }
+
+  function handleAddHint() {
+    if (!adminMode) return;
 
     const code = normalizeCode(newCode);
     if (!code) return alert("추가할 힌트 코드를 입력해 주세요.");
@@ -313,7 +1260,6 @@ export default function App() {
     if (hints[code]) return alert("이미 존재하는 힌트 코드입니다. 다른 코드를 사용해 주세요.");
 
     setHints((prev) => ({ ...prev, [code]: { title: newTitle.trim(), body: newBody.trim() } }));
-    setAdminAddRemaining((n) => n - 1);
 
     setNewCode("");
     setNewTitle("");
@@ -330,27 +1276,500 @@ export default function App() {
     });
   }
 
-  function handlePopupTest() {
-    // open a known hint window without consuming a hint
-    const testCode = "E-00";
-    const url = buildHintUrl(testCode);
-    const w = window.open(url, "_blank", "width=520,height=640");
-    if (!w) {
-      alert("팝업이 차단되어 테스트 창을 열 수 없습니다. 이 사이트 팝업을 허용해 주세요.");
+  function handleStartEdit(code) {
+    setEditingCode(code);
+    setEditCode(code);
+    setEditTitle(hints[code]?.title || "");
+    setEditTiers(hintTiers(hints[code]).map((t) => ({ label: t.label || "", body: t.body, cost: String(t.cost ?? 1) })));
+    setEditLang(DEFAULT_LANG);
+    setEditI18n(
+      Object.fromEntries(
+        Object.entries(hints[code]?.i18n || {}).map(([l, tr]) => [
+          l,
+          { title: tr.title || "", bodies: Array.isArray(tr.tiers) ? tr.tiers.map((x) => x?.body || "") : [tr.body || ""] },
+        ])
+      )
+    );
+  }
+
+  function updateEditTranslation(patch) {
+    setEditI18n((prev) => {
+      const cur = prev[editLang] || { title: "", bodies: [] };
+      return { ...prev, [editLang]: { ...cur, ...patch } };
+    });
+  }
+
+  function handleDeleteEditTier(index) {
+    setEditTiers((prev) => prev.filter((_, j) => j !== index));
+    setEditI18n((prev) =>
+      Object.fromEntries(Object.entries(prev).map(([l, v]) => [l, { ...v, bodies: v.bodies.filter((_, j) => j !== index) }]))
+    );
+  }
+
+  function updateEditTier(index, patch) {
+    setEditTiers((prev) => prev.map((t, i) => (i === index ? { ...t, ...patch } : t)));
+  }
+
+  function handleSaveEdit() {
+    if (!adminMode || !editingCode) return;
+    const code = normalizeCode(editCode);
+    if (!code) return alert("힌트 코드를 입력해 주세요.");
+    if (!editTitle.trim()) return alert("힌트 제목을 입력해 주세요.");
+    if (editTiers.some((t) => !t.body.trim())) return alert("힌트 내용(모든 단계)을 입력해 주세요.");
+    if (editTiers.some((t) => !/^\d+$/.test(String(t.cost).trim()))) return alert("단계별 차감 횟수는 0 이상의 정수여야 합니다.");
+    if (code !== editingCode && hints[code]) return alert(`${code}는 이미 존재하는 힌트 코드입니다.`);
+
+    const i18n = makeHintI18n(
+      Object.fromEntries(
+        Object.entries(editI18n).map(([l, v]) => [l, { title: v.title, bodies: editTiers.map((_, i) => v.bodies[i] || "") }])
+      )
+    );
+    const hint = {
+      ...makeHint(
+        editTitle.trim(),
+        editTiers.map((t) => ({ label: t.label.trim(), body: t.body.trim(), cost: Number(t.cost) }))
+      ),
+      ...(i18n ? { i18n } : {}),
+    };
+    setHints((prev) => renameHint(prev, editingCode, code, hint));
+
+    // tier progress follows the code
+    if (code !== editingCode && hintProgress[editingCode]) {
+      setHintProgress((prev) => {
+        const next = { ...prev, [code]: prev[editingCode] };
+        delete next[editingCode];
+        return next;
+      });
+    }
+
+    // printed cards of the old code get flagged
+    if (code !== editingCode) noteRenamedCard(roomId, editingCode, code);
+
+    // a renamed free code stays free
+    if (code !== editingCode && room.freeCodes.includes(editingCode)) {
+      const freeCodes = room.freeCodes.map((c) => (c === editingCode ? code : c));
+      setRooms((prev) => ({ ...prev, [roomId]: { ...room, freeCodes } }));
+      setRoomFreeCodesInput(freeCodes.join(", "));
+    }
+    setEditingCode(null);
+  }
+
+  function handleExportHints(format) {
+    const name = `hints-${roomId}-${fileStamp(Date.now())}`;
+    if (format === "csv") {
+      downloadText(`${name}.csv`, "\ufeff" + catalogToCsv(hints), "text/csv");
+    } else {
+      downloadText(`${name}.json`, catalogToJson(hints), "application/json");
+    }
+  }
+
+  async function handleImportHints(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!adminMode || !file) return;
+
+    const text = await file.text();
+    const { hints: imported, errors } = /\.csv$/i.test(file.name) ? parseCatalogCsv(text) : parseCatalogJson(text);
+    if (errors.length) {
+      const shown = errors.slice(0, 10).join("\n");
+      const more = errors.length > 10 ? `\n... 외 ${errors.length - 10}건` : "";
+      return alert(`가져오기 실패 (${errors.length}건)\n\n${shown}${more}`);
+    }
+
+    const count = Object.keys(imported).length;
+    if (!confirm(`${file.name}에서 힌트 ${count}개를 가져옵니다. 현재 힌트 목록을 대체할까요?`)) return;
+    backup("힌트 가져오기 전");
+    setHints(imported);
+    setEditingCode(null);
+  }
+
+  function handleResetHints() {
+    if (!adminMode) return;
+    // each room resets to its own defaults: only the default room ships with built-in hints
+    const defaults = defaultHintsFor(roomId);
+    const what = Object.keys(defaults).length ? "앱에 포함된 기본 힌트로 되돌릴까요?" : "비울까요? (이 방에는 기본 힌트가 없습니다)";
+    if (!confirm(`힌트 목록을 ${what} 추가/수정한 힌트는 사라집니다.`)) return;
+    backup("기본 힌트 복원 전");
+    setHints(defaults);
+    setEditingCode(null);
+  }
+
+  function updateSchedule(schedule) {
+    setRooms((prev) => ({ ...prev, [roomId]: { ...room, schedule } }));
+  }
+
+  function handleAddRule() {
+    if (!adminMode) return;
+    const sec = parseClockInput(ruleTimeInput);
+    if (!Number.isFinite(sec)) return alert("시간을 MM:SS 또는 분 단위로 입력해 주세요. (예: 20:00)");
+
+    let rule;
+    if (ruleKindInput === RULE_ANNOUNCE) {
+      const message = ruleMessageInput.trim();
+      if (!message) return alert("안내 문구를 입력해 주세요.");
+      rule = makeRule({ kind: RULE_ANNOUNCE, at: ruleAtInput, sec, message }, Date.now());
+    } else {
+      const code = normalizeCode(ruleCodeInput);
+      if (!hints[code]) return alert("존재하는 힌트 코드를 입력해 주세요.");
+      rule = makeRule({ kind: RULE_PUSH_HINT, at: ruleAtInput, sec, code, onlyIfUnopened: ruleOnlyIfUnopened }, Date.now());
+    }
+
+    updateSchedule([...room.schedule, rule]);
+    setRuleMessageInput("");
+    setRuleCodeInput("");
+  }
+
+  function handleDeleteRule(id) {
+    if (!adminMode) return;
+    updateSchedule(room.schedule.filter((r) => r.id !== id));
+  }
+
+  // ===== Puzzles =====
+  function updatePuzzles(puzzles) {
+    setRooms((prev) => ({ ...prev, [roomId]: { ...room, puzzles } }));
+  }
+
+  /** Codes already linked to a puzzle other than `exceptId` */
+  function takenCodes(codes, exceptId) {
+    return codes.filter((c) => room.puzzles.some((p) => p.id !== exceptId && p.codes.includes(c)));
+  }
+
+  function confirmCodes(codes, exceptId) {
+    const taken = takenCodes(codes, exceptId);
+    if (taken.length) {
+      alert(`이미 다른 퍼즐에 연결된 힌트 코드입니다: ${taken.join(", ")}`);
+      return false;
+    }
+    const unknown = codes.filter((c) => !hints[c]);
+    return !unknown.length || confirm(`등록되지 않은 힌트 코드가 있습니다: ${unknown.join(", ")}\n그래도 연결할까요?`);
+  }
+
+  function handleAddPuzzle() {
+    if (!adminMode) return;
+    const name = newPuzzleName.trim();
+    if (!name) return alert("퍼즐 이름을 입력해 주세요.");
+    const puzzle = makePuzzle(name, newPuzzleCodes, Date.now());
+    if (!confirmCodes(puzzle.codes, null)) return;
+    updatePuzzles([...room.puzzles, puzzle]);
+    setNewPuzzleName("");
+    setNewPuzzleCodes("");
+  }
+
+  function handleEditPuzzle(id) {
+    if (!adminMode) return;
+    const puzzle = room.puzzles.find((p) => p.id === id);
+    if (!puzzle) return;
+    const name = prompt("퍼즐 이름", puzzle.name);
+    if (name === null) return;
+    const codesText = prompt("연결할 힌트 코드 (쉼표로 구분)", puzzle.codes.join(", "));
+    if (codesText === null) return;
+    const codes = parseCodeList(codesText);
+    if (!confirmCodes(codes, id)) return;
+    updatePuzzles(room.puzzles.map((p) => (p.id === id ? { ...p, name: name.trim() || p.name, codes } : p)));
+  }
+
+  function handleMovePuzzle(id, dir) {
+    if (!adminMode) return;
+    const i = room.puzzles.findIndex((p) => p.id === id);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= room.puzzles.length) return;
+    const next = [...room.puzzles];
+    [next[i], next[j]] = [next[j], next[i]];
+    updatePuzzles(next);
+  }
+
+  function handleDeletePuzzle(id) {
+    if (!adminMode) return;
+    const puzzle = room.puzzles.find((p) => p.id === id);
+    if (!puzzle || !confirm(`퍼즐 "${puzzle.name}"을(를) 삭제할까요?`)) return;
+    updatePuzzles(room.puzzles.filter((p) => p.id !== id));
+    setPuzzleSolves((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }
+
+  function handleSaveStallMin() {
+    if (!adminMode) return;
+    const stallMin = Number(stallMinInput);
+    if (!Number.isFinite(stallMin) || stallMin < 0) return alert("정체 기준(분)을 올바르게 입력해 주세요. (0 = 사용 안 함)");
+    setRooms((prev) => ({ ...prev, [roomId]: { ...room, stallMin } }));
+  }
+
+  // puzzle id comes from the button's data-puzzle-id
+  function handleTogglePuzzleSolved(e) {
+    if (!adminMode) return;
+    const puzzle = room.puzzles.find((p) => p.id === e.currentTarget.dataset.puzzleId);
+    if (!puzzle) return;
+    if (puzzleSolves[puzzle.id]) {
+      setPuzzleSolves((prev) => {
+        const next = { ...prev };
+        delete next[puzzle.id];
+        return next;
+      });
+      logEvent("solve_undo", { puzzleId: puzzle.id, puzzle: puzzle.name });
       return;
     }
+    const now = Date.now();
+    const elapsedSec = Math.floor(getElapsedMs(timer, now) / 1000);
+    setPuzzleSolves((prev) => ({ ...prev, [puzzle.id]: { atMs: now, elapsedSec } }));
+    logEvent("solve", { puzzleId: puzzle.id, puzzle: puzzle.name });
+  }
+
+  function handleStartAnswerEdit(id) {
+    const puzzle = room.puzzles.find((p) => p.id === id);
+    if (!puzzle) return;
+    setAnswerEditId(id);
+    setAnswerEditText(puzzle.answers.join("\n"));
+    setAnswerEditHashed(puzzle.answerHashes.length > 0);
+    setAnswerEditPenalty(String(puzzle.penaltySec));
+    setAnswerEditCooldown(String(puzzle.cooldownSec));
+    setAnswerEditFollowUp(puzzle.followUp);
+  }
+
+  async function handleSaveAnswerEdit() {
+    if (!adminMode) return;
+    const puzzle = room.puzzles.find((p) => p.id === answerEditId);
+    if (!puzzle) return setAnswerEditId(null);
+    const penaltySec = Number(answerEditPenalty);
+    const cooldownSec = Number(answerEditCooldown);
+    if (!Number.isInteger(penaltySec) || penaltySec < 0) return alert("오답 감점(초)은 0 이상의 정수여야 합니다.");
+    if (!Number.isInteger(cooldownSec) || cooldownSec < 0) return alert("재입력 대기(초)는 0 이상의 정수여야 합니다.");
+
+    let next;
     try {
-      w.opener = null;
-    } catch {}
-    w.focus();
+      next = await buildAnswerConfig(puzzle, {
+        answersText: answerEditText,
+        hashed: answerEditHashed,
+        penaltySec,
+        cooldownSec,
+        followUp: answerEditFollowUp,
+      });
+    } catch {
+      return alert("정답을 해시로 저장하지 못했습니다. 브라우저 암호화 기능에 오류가 있습니다.");
+    }
+    setRooms((prev) => {
+      const r = prev[roomId] || room;
+      return { ...prev, [roomId]: { ...r, puzzles: r.puzzles.map((p) => (p.id === next.id ? next : p)) } };
+    });
+    setAnswerEditId(null);
   }
 
-  // ===== Render =====
-  // ✅ If opened as ?hint=CODE, show hint-only UI
-  if (isHintWindow) {
-    return <HintWindow code={hintParam} hint={hintForWindow} />;
+  async function handleSubmitAnswer() {
+    const puzzle = answerPuzzle;
+    if (!puzzle) return;
+    if (!running) return alert(tr("answer.notRunning"));
+    const guess = normalizeAnswer(answerInput);
+    if (!guess) return alert(tr("answer.empty"));
+    const lockedUntil = cooldownUntilMs(sessionLog, puzzle);
+    if (lockedUntil > Date.now()) {
+      return alert(tr("answer.cooldown", { time: formatTime((lockedUntil - Date.now()) / 1000) }));
+    }
+
+    setAnswerBusy(true);
+    let correct = false;
+    try {
+      correct = await matchAnswer(puzzle, guess);
+    } catch {
+      return alert(tr("answer.checkFailed"));
+    } finally {
+      setAnswerBusy(false);
+    }
+
+    // the timer may have moved on while hashing
+    const now = Date.now();
+    let t = timerRef.current;
+    const base = { puzzleId: puzzle.id, puzzle: puzzle.name };
+    if (correct) {
+      setPuzzleSolves((prev) => ({ ...prev, [puzzle.id]: { atMs: now, elapsedSec: Math.floor(getElapsedMs(t, now) / 1000) } }));
+      // the accepted answer stays out of the log and its exports
+      logEvent("answer", { ...base, correct: true }, t);
+      logEvent("solve", { puzzleId: puzzle.id, puzzle: puzzle.name, byAnswer: true }, t);
+      if (puzzle.followUp) {
+        setAnnouncement({
+          id: `answer-${puzzle.id}@${now}`,
+          kind: "announce",
+          title: tr("answer.followUpTitle", { puzzle: puzzle.name }),
+          text: puzzle.followUp,
+          atMs: now,
+        });
+      }
+      setAnswerFeedback({ ok: true, text: tr("answer.correct", { puzzle: puzzle.name }) });
+    } else {
+      if (puzzle.penaltySec) {
+        t = adjustTimer(t, -puzzle.penaltySec);
+        timerRef.current = t;
+        setTimer(t);
+        setNowMs(now);
+      }
+      logEvent("answer", { ...base, guess, correct: false, penaltySec: puzzle.penaltySec }, t);
+      setAnswerFeedback({
+        ok: false,
+        text: [
+          tr("answer.wrong"),
+          puzzle.penaltySec ? tr("answer.penalty", { time: formatTime(puzzle.penaltySec) }) : "",
+          puzzle.cooldownSec ? tr("answer.retryIn", { sec: puzzle.cooldownSec }) : "",
+        ]
+          .filter(Boolean)
+          .join(" "),
+      });
+    }
+    setAnswerInput("");
   }
 
+  function handleExportLog(format) {
+    const name = `session-${roomId}-${fileStamp(sessionLog[0]?.atMs ?? Date.now())}`;
+    if (format === "csv") {
+      // BOM so Excel opens Korean text correctly
+      downloadText(`${name}.csv`, "\ufeff" + logToCsv(sessionLog), "text/csv");
+    } else {
+      downloadText(`${name}.json`, logToJson(sessionLog, { roomId, roomName: room.name }), "application/json");
+    }
+  }
+
+  function handleSaveRoomSettings() {
+    if (!adminMode) return;
+    const name = roomNameInput.trim();
+    const durationMin = Number(roomDurationInput);
+    const maxUses = Number(roomMaxUsesInput);
+    if (!name) return alert("방 이름을 입력해 주세요.");
+    if (!Number.isFinite(durationMin) || durationMin <= 0) return alert("기본 진행 시간(분)을 올바르게 입력해 주세요.");
+    if (!Number.isInteger(maxUses) || maxUses < 0) return alert("기본 힌트 횟수를 올바르게 입력해 주세요.");
+    const freeCodes = [...new Set(roomFreeCodesInput.split(",").map(normalizeCode).filter(Boolean))];
+    const hintDisplay = roomHintDisplayInput;
+
+    setRooms((prev) => ({
+      ...prev,
+      [roomId]: { ...room, name, durationMin, maxHintUses: maxUses, freeCodes, hintDisplay },
+    }));
+    alert("방 설정을 저장했습니다.");
+  }
+
+  /** Game-master message onto every player screen (replaces whatever announcement is up) */
+  function sendMessage(text) {
+    if (!adminMode) return;
+    const now = Date.now();
+    // the overlay plays the chime on every screen showing it, this one included
+    const chime = messageChime && !cueSettings.muted;
+    if (chime) unlockAudio();
+    setAnnouncement(makeMessage(text, now, chime ? cueSettings.volume : 0));
+    logEvent("message", { text, chime });
+  }
+
+  function handleSendMessage() {
+    const text = messageInput.trim();
+    if (!text) return alert("보낼 메시지를 입력해 주세요.");
+    sendMessage(text);
+    setMessageInput("");
+  }
+
+  // template index comes from the button's data-index
+  function handleSendTemplate(e) {
+    sendMessage(room.messageTemplates[Number(e.currentTarget.dataset.index)]);
+  }
+
+  function handleSaveTemplate() {
+    if (!adminMode) return;
+    const text = messageInput.trim();
+    if (!text) return alert("템플릿으로 저장할 메시지를 입력해 주세요.");
+    if (room.messageTemplates.includes(text)) return alert("이미 있는 템플릿입니다.");
+    setRooms((prev) => ({ ...prev, [roomId]: { ...room, messageTemplates: [...room.messageTemplates, text] } }));
+  }
+
+  function handleDeleteTemplate(e) {
+    if (!adminMode) return;
+    const index = Number(e.currentTarget.dataset.index);
+    if (!confirm(`"${room.messageTemplates[index]}" 템플릿을 삭제할까요?`)) return;
+    setRooms((prev) => ({
+      ...prev,
+      [roomId]: { ...room, messageTemplates: room.messageTemplates.filter((_, i) => i !== index) },
+    }));
+  }
+
+  function handleClearMessage() {
+    if (announcement?.kind === "message") setAnnouncement(null);
+  }
+
+  function handleSaveHintCost() {
+    if (!adminMode) return;
+    const penaltySec = Math.round(Number(costPenaltyMinInput) * 60);
+    const startScore = Number(costStartScoreInput);
+    const pointsPerHint = Number(costPointsInput);
+    const codeCosts = parseCodeCosts(codeCostsInput);
+    if (!Number.isInteger(penaltySec) || penaltySec < 0) return alert("시간 차감(분)을 올바르게 입력해 주세요.");
+    if (!Number.isInteger(startScore) || startScore < 0) return alert("시작 점수를 올바르게 입력해 주세요.");
+    if (!Number.isInteger(pointsPerHint) || pointsPerHint < 0) return alert("힌트당 차감 점수를 올바르게 입력해 주세요.");
+    if (!codeCosts) return alert("코드별 비용은 \"E-15=2, E-16=3\" 형식으로 입력해 주세요.");
+
+    const hintCost = { model: costModelInput, penaltySec, startScore, pointsPerHint, codeCosts };
+    setRooms((prev) => ({ ...prev, [roomId]: { ...room, hintCost } }));
+    setCodeCostsInput(formatCodeCosts(codeCosts));
+    alert("힌트 비용 설정을 저장했습니다.");
+  }
+
+  function handleCreateRoom(fromId) {
+    if (!adminMode) return;
+    const rawId = fromId ? prompt(`${fromId} 방을 복제할 새 방 ID (영문/숫자/-/_)`) : newRoomId;
+    if (rawId === null) return;
+    const id = normalizeRoomId(rawId);
+    if (!id) return alert("방 ID를 입력해 주세요. (영문 소문자/숫자/-/_)");
+    if (rooms[id]) return alert("이미 존재하는 방 ID입니다.");
+
+    const source = fromId ? rooms[fromId] : null;
+    const name = (fromId ? `${source.name} (복제)` : newRoomName.trim()) || id;
+    // a new id may still have leftovers from a deleted room with the same id
+    clearRoomStorage(id);
+    if (source) copyRoomHints(fromId, id);
+
+    setRooms((prev) => ({
+      ...prev,
+      [id]: source ? { ...source, id, name } : createRoom(id, { name }),
+    }));
+    setNewRoomId("");
+    setNewRoomName("");
+  }
+
+  function handleDeleteRoom(id) {
+    if (!adminMode) return;
+    if (id === DEFAULT_ROOM_ID) return alert("기본 방은 삭제할 수 없습니다.");
+    if (id === roomId) return alert("현재 열려 있는 방은 삭제할 수 없습니다. 다른 방에서 삭제해 주세요.");
+    if (!confirm(`${rooms[id]?.name || id} 방과 저장된 힌트/진행 상태를 모두 삭제할까요?`)) return;
+    backup(`방 삭제 전 (${id})`);
+    clearRoomStorage(id);
+    setRooms((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }
+
+  function handleOpenDisplay() {
+    const w = window.open(buildDisplayUrl(roomId), `escape-display-${roomId}`);
+    if (!w) {
+      alert("팝업이 차단되어 디스플레이 창을 열 수 없습니다. 이 사이트 팝업을 허용해 주세요.");
+      return;
+    }
+    w.focus();
+  }
+
+  const usedHints = revealedHints(hintProgress, sessionLog);
+  // printed hint cards whose code was deleted / renamed since (admin only)
+  const staleCardCount = adminMode ? cardStatus(hints, loadPrintedCards(roomId)).stale.length : 0;
+  const puzzleRows = puzzleProgress(room.puzzles, puzzleSolves, timer, nowMs);
+  const solvedCount = puzzleRows.filter((r) => r.solved).length;
+  const stalled = stalledStage(puzzleRows, running ? room.stallMin : 0);
+  // answer input targets the chosen puzzle, else the current stage, else the first one still open
+  const answerablePuzzles = room.puzzles.filter((p) => hasAnswers(p) && !puzzleSolves[p.id]);
+  const answerPuzzle =
+    answerablePuzzles.find((p) => p.id === answerPuzzleId) ||
+    answerablePuzzles.find((p) => puzzleRows.some((r) => r.current && r.puzzle.id === p.id)) ||
+    answerablePuzzles[0] ||
+    null;
+  const answerLockedSec = answerPuzzle ? Math.max(0, (cooldownUntilMs(sessionLog, answerPuzzle) - nowMs) / 1000) : 0;
+  const shownResult = shownResultId ? leaderboard.find((r) => r.id === shownResultId) : null;
+
+  // ===== Render =====
   return (
     <div
       style={{
@@ -363,90 +1782,395 @@ export default function App() {
           "linear-gradient(180deg, #070a10 0%, #0b0f19 55%, #070a10 100%)",
       }}
     >
+      {announcement && announcement.id !== announcementDismissedId ? (
+        <AnnouncementOverlay
+          announcement={announcement}
+          lang={lang}
+          onDismiss={() => setAnnouncementDismissedId(announcement.id)}
+        />
+      ) : null}
+
+      {cueFlash ? <CueFlash flash={cueFlash} /> : null}
+
+      {timeUpShown ? <TimeUpModal roomName={room.name} lang={lang} onClose={() => setTimeUpShown(false)} /> : null}
+
+      {inPageHint ? (
+        <div style={inPageHint.mode === HINT_DISPLAY_MODAL ? inPageHintOverlay() : inPageHintPanel()}>
+          <HintView
+            code={inPageHint.code}
+            hint={localizeHint(hints[inPageHint.code], lang)}
+            revealed={hintProgress[inPageHint.code] || 0}
+            lang={lang}
+            note={
+              popupBlockedNotice && inPageHint.mode === HINT_DISPLAY_MODAL
+                ? tr("hintView.popupBlocked")
+                : tr("hintView.inPage")
+            }
+            onClose={() => setInPageHint(null)}
+          />
+        </div>
+      ) : null}
+
+      {shownResult ? (
+        <ResultScreen
+          roomName={room.name}
+          result={shownResult}
+          rank={rankOf(leaderboard, shownResult.id)}
+          lang={lang}
+          onClose={() => setShownResultId(null)}
+        />
+      ) : null}
+
+      {showAnalytics && adminMode ? <AnalyticsView rooms={rooms} onClose={() => setShowAnalytics(false)} /> : null}
+      {showPrintCards && adminMode ? (
+        <PrintCards room={room} roomId={roomId} hints={hints} onClose={() => setShowPrintCards(false)} />
+      ) : null}
+
       <div style={{ maxWidth: 920, margin: "0 auto", padding: 20 }}>
-        <h1 style={{ margin: "8px 0 16px", letterSpacing: 0.2 }}>방탈출 운영 앱</h1>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", justifyContent: "space-between" }}>
+          <h1
+            style={{ margin: "8px 0 16px", letterSpacing: 0.2, userSelect: kiosk ? "none" : undefined }}
+            onPointerDown={handleTitlePressStart}
+            onPointerUp={handleTitlePressEnd}
+            onPointerLeave={handleTitlePressEnd}
+            onPointerCancel={handleTitlePressEnd}
+          >
+            {tr("app.title")}
+            <span style={{ marginLeft: 10, fontSize: 16, color: "#8fa3c5" }}>{room.name}</span>
+          </h1>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }} title={tr("lang.label")}>
+            {Object.entries(LANGS).map(([code, label]) => (
+              <button key={code} onClick={() => setLang(code)} style={langBtnStyle(code === lang)}>
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {!isRegisteredRoom ? (
+          <div style={{ marginBottom: 14, fontSize: 13, color: "#f3c76b" }}>
+            {tr("banner.unregisteredRoom", { room: roomId })}
+          </div>
+        ) : null}
+
+        {storageError ? (
+          <div style={{ ...stallBannerStyle(), marginBottom: 14 }}>
+            {tr("banner.storageFull")}
+          </div>
+        ) : null}
 
         {/* Top controls */}
         <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center", marginBottom: 18 }}>
-          <button
-            onClick={handleStart}
-            style={btnStylePrimary(running)}
-            disabled={running}
-            title={running ? "이미 진행 중입니다." : "타이머 시작"}
-          >
-            시작
-          </button>
+          {!kioskLocked ? (
+            <>
+            {timer.status === TIMER_PAUSED ? (
+              <button onClick={handleResume} style={btnStylePrimary(false)} title={tr("timer.resumeTitle")}>
+                {tr("timer.resume")}
+              </button>
+            ) : (
+              <button
+                onClick={handleStart}
+                style={btnStylePrimary(timer.status !== TIMER_IDLE)}
+                disabled={timer.status !== TIMER_IDLE}
+                title={timer.status === TIMER_IDLE ? tr("timer.startTitle") : tr("timer.startedTitle")}
+              >
+                {tr("timer.start")}
+              </button>
+            )}
+
+            <button
+              onClick={handlePause}
+              style={btnStyleNeutral()}
+              disabled={!running}
+              title={tr("timer.pauseTitle")}
+            >
+              {tr("timer.pause")}
+            </button>
+
+            <button
+              onClick={handleEscape}
+              style={btnStylePrimary(!running && timer.status !== TIMER_PAUSED)}
+              disabled={!running && timer.status !== TIMER_PAUSED}
+              title={tr("timer.escapeTitle")}
+            >
+              {tr("timer.escape")}
+            </button>
+            </>
+          ) : null}
 
           <button
             style={btnStyleNeutral()}
-            onClick={() => alert(`남은 시간: ${formatTime(remainingSec)}`)}
-            title="남은 시간을 확인합니다."
+            onClick={() => alert(tr("timer.remainingAlert", { time: formatTime(remainingSec) }))}
+            title={tr("timer.remainingTitle")}
           >
-            남은 시간: <b>{formatTime(remainingSec)}</b>
+            {tr("timer.remaining")}: <b style={{ color: clockColor(remainingSec) }}>{formatTime(remainingSec)}</b>
+            {timer.status === TIMER_PAUSED ? (
+              <span style={{ marginLeft: 8, fontSize: 12, color: "#f3c76b" }}>({tr("timer.paused")})</span>
+            ) : timer.status === TIMER_FINISHED ? (
+              <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>
+                ({timer.finishReason === "escaped" ? tr("timer.escaped") : tr("timer.ended")})
+              </span>
+            ) : null}
           </button>
 
-          <button style={btnStyleNeutral()} onClick={handlePopupTest} title="팝업(힌트 전용 페이지)이 정상 동작하는지 테스트합니다.">
-            팝업 테스트
-          </button>
+          {!kioskLocked ? (
+            <>
+            <button style={btnStyleNeutral()} onClick={handleOpenDisplay} title={tr("screen.displayTitle")}>
+              {tr("screen.display")}
+            </button>
+
+            <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <button
+                style={btnStyleNeutral()}
+                onClick={() => updateCueSettings({ muted: !cueSettings.muted })}
+                title={tr("sound.toggleTitle")}
+              >
+                {cueSettings.muted ? tr("sound.off") : tr("sound.on")}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={cueSettings.volume}
+                onChange={(e) => updateCueSettings({ volume: Number(e.target.value) })}
+                disabled={cueSettings.muted}
+                title={tr("sound.volume", { n: Math.round(cueSettings.volume * 100) })}
+                style={{ width: 90 }}
+              />
+            </span>
+            </>
+          ) : null}
+
+          {kiosk && adminMode ? (
+            <button style={btnStyleNeutral()} onClick={handleKioskLock} title="운영 버튼과 관리자 메뉴를 다시 숨깁니다.">
+              키오스크 잠금
+            </button>
+          ) : null}
 
           <div style={{ marginLeft: "auto", display: "flex", gap: 10, alignItems: "center" }}>
             <span style={{ fontSize: 14, color: "#aab2c5" }}>
-              힌트 사용 가능: <b>{Math.max(0, hintRemaining)}</b> / {maxHintUses}
+              {score != null ? (
+                <span style={{ marginRight: 10 }}>
+                  {tr("hints.score")}: <b>{score}</b>
+                </span>
+              ) : null}
+              {charges.penaltySec > 0 ? (
+                <span style={{ marginRight: 10, color: "#ffb4b4" }}>
+                  {tr("hints.penalty")} -{formatTime(charges.penaltySec)}
+                </span>
+              ) : null}
+              {tr("hints.available")}: <b>{Math.max(0, hintRemaining)}</b> / {maxHintUses}
               {hintBonus > 0 ? (
-                <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>(보너스 +{hintBonus})</span>
+                <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>({tr("hints.bonus", { n: hintBonus })})</span>
               ) : null}
             </span>
           </div>
         </div>
 
+        {/* Puzzle progress */}
+        {room.puzzles.length ? (
+          <div style={{ ...cardStyle(), marginBottom: 14 }}>
+            <h2 style={{ marginTop: 0, fontSize: 18, letterSpacing: 0.2 }}>
+              {tr("progress.title")}
+              <span style={{ marginLeft: 10, fontSize: 14, color: "#8fa3c5" }}>
+                {solvedCount} / {room.puzzles.length}
+              </span>
+            </h2>
+            <div style={progressTrackStyle()}>
+              <div style={progressFillStyle(solvedCount / room.puzzles.length)} />
+            </div>
+            <div style={{ display: "grid", gap: 6, marginTop: 12 }}>
+              {puzzleRows.map(({ puzzle, solved, current, spentSec }, i) => (
+                <div key={puzzle.id} style={puzzleRowStyle(current)}>
+                  <span style={{ width: 22, color: "#8fa3c5" }}>{i + 1}</span>
+                  <span style={{ flex: 1 }}>{puzzle.name}</span>
+                  <span style={{ fontSize: 12, color: solved ? "#8fd19e" : current ? "#f3c76b" : "#7f8aa6" }}>
+                    {solved ? tr("progress.solved") : current ? tr("progress.current") : tr("progress.waiting")}
+                  </span>
+                  <span style={{ width: 64, textAlign: "right", fontVariantNumeric: "tabular-nums", color: "#cfd5e4" }}>
+                    {spentSec != null ? formatTime(spentSec) : "-"}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : null}
+
+        {/* Answer entry */}
+        {room.puzzles.some(hasAnswers) ? (
+          <div style={{ ...cardStyle(), marginBottom: 14 }}>
+            <h2 style={{ marginTop: 0, fontSize: 18, letterSpacing: 0.2 }}>{tr("answer.title")}</h2>
+            {answerPuzzle ? (
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                <select
+                  value={answerPuzzle.id}
+                  onChange={(e) => setAnswerPuzzleId(e.target.value)}
+                  style={{ ...inputStyle(), width: 180 }}
+                  title={tr("answer.puzzleTitle")}
+                >
+                  {answerablePuzzles.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={answerInput}
+                  onChange={(e) => setAnswerInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") handleSubmitAnswer();
+                  }}
+                  placeholder={tr("answer.placeholder")}
+                  style={inputStyle()}
+                  disabled={answerLockedSec > 0}
+                />
+                <button
+                  onClick={handleSubmitAnswer}
+                  style={btnStylePrimary(answerBusy || answerLockedSec > 0)}
+                  disabled={answerBusy || answerLockedSec > 0}
+                >
+                  {answerLockedSec > 0 ? tr("answer.wait", { time: formatTime(answerLockedSec) }) : tr("answer.submit")}
+                </button>
+              </div>
+            ) : (
+              <div style={{ fontSize: 13, color: "#8fd19e" }}>{tr("answer.allSolved")}</div>
+            )}
+            {answerFeedback ? (
+              <div style={{ marginTop: 10, fontSize: 14, fontWeight: 600, color: answerFeedback.ok ? "#8fd19e" : "#ffb4b4" }}>
+                {answerFeedback.text}
+              </div>
+            ) : null}
+          </div>
+        ) : null}
+
         {/* Hint section */}
         <div style={cardStyle()}>
-          <h2 style={{ marginTop: 0, fontSize: 18, letterSpacing: 0.2 }}>힌트</h2>
+          <h2 style={{ marginTop: 0, fontSize: 18, letterSpacing: 0.2 }}>{tr("hint.title")}</h2>
 
           <div style={{ marginBottom: 10, fontSize: 13, color: "#aab2c5" }}>
-            힌트는 새 창(팝업)으로 열립니다. 처음 1회만 이 사이트의 팝업을 허용해 주세요. (E-00은 무료)
+            {room.hintDisplay === HINT_DISPLAY_POPUP ? tr("hint.popupNote") : tr("hint.inPageNote")}
           </div>
 
           <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
             <input
+              ref={hintInputRef}
               value={hintCodeInput}
               onChange={(e) => setHintCodeInput(e.target.value)}
-              placeholder="힌트 코드 입력 (예: E-00)"
+              placeholder={tr("hint.placeholder")}
               style={inputStyle()}
             />
             <button onClick={handleUseHint} style={btnStylePrimary(false)}>
-              힌트 열기
+              {tr("hint.open")}
             </button>
           </div>
 
           <div style={{ marginTop: 10, fontSize: 13, color: "#aab2c5" }}>
-            - 기본 힌트 사용은 {MAX_HINT_USES}회이며, 관리자 코드 입력 시 +1씩 누적됩니다. <br />
-            - 무료 코드: {[...FREE_HINT_CODES].join(", ")} (사용 횟수 차감 없음)
+            - {hintRuleText(room, tr)} <br />
+            - {tr("hint.ruleFree", { codes: room.freeCodes.join(", ") || tr("hint.none") })} <br />
+            - {tr("hint.ruleTiers")} <br />
+            - {tr("hint.ruleReopen")}
           </div>
+
+          <h3 style={{ margin: "16px 0 10px", fontSize: 15, color: "#cfd5e4" }}>
+            {tr("hint.used")} ({usedHints.length})
+          </h3>
+          {usedHints.length ? (
+            <div style={{ display: "grid", gap: 8 }}>
+              {usedHints.map(({ code, revealed, firstAtMs }) => {
+                const hint = localizeHint(hints[code], lang);
+                const tiers = hintTiers(hint);
+                return (
+                  <div key={code} style={usedHintRowStyle()}>
+                    <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                      <b>{code}</b>
+                      <span>{hint?.title || tr("hint.deleted")}</span>
+                      <span style={{ fontSize: 12, color: "#8fa3c5" }}>
+                        {firstAtMs != null ? formatClock(firstAtMs) : ""}
+                        {tiers.length > 1 ? ` · ${tr("hint.steps", { n: Math.min(revealed, tiers.length), total: tiers.length })}` : ""}
+                      </span>
+                      <button
+                        onClick={() => handleReopenHint(code)}
+                        style={{ ...btnStyleNeutral(), marginLeft: "auto", padding: "6px 10px", fontSize: 13 }}
+                        disabled={!hint}
+                        title={tr("hint.reopenTitle")}
+                      >
+                        {tr("hint.reopen")}
+                      </button>
+                    </div>
+                    {hint
+                      ? tiers.slice(0, revealed).map((tier, i) => (
+                          <div key={i} style={{ marginTop: 6, color: "#cfd5e4" }}>
+                            {tiers.length > 1 ? (
+                              <div style={{ fontSize: 12, fontWeight: 700, color: "#8fa3c5" }}>{localTierLabel(lang, tiers, i)}</div>
+                            ) : null}
+                            <HintBody text={tier.body} fontSize={13} lang={lang} />
+                          </div>
+                        ))
+                      : null}
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <div style={{ fontSize: 13, color: "#7f8aa6" }}>{tr("hint.noneUsed")}</div>
+          )}
         </div>
 
-        {/* Admin section */}
-        <div style={{ ...cardStyle(), marginTop: 14 }}>
-          <h2 style={{ marginTop: 0, fontSize: 18, letterSpacing: 0.2 }}>관리자</h2>
+        {/* Admin section (kiosk: only after the long-press) */}
+        <div style={{ ...cardStyle(), marginTop: 14, ...(kioskLocked && !kioskRevealed ? { display: "none" } : {}) }}>
+          <h2 style={{ marginTop: 0, fontSize: 18, letterSpacing: 0.2 }}>{tr("admin.title")}</h2>
 
           {!adminMode ? (
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
               <input
                 type="password"
+                inputMode="numeric"
+                autoComplete="off"
                 value={adminInput}
                 onChange={(e) => setAdminInput(e.target.value)}
-                placeholder="관리자 코드 입력"
+                onKeyDown={(e) => {
+                  if (e.key === "Enter" && adminAuth) handleAdminLogin();
+                }}
+                placeholder={adminAuth ? tr("admin.pinPlaceholder") : tr("admin.newPinPlaceholder", { min: MIN_PIN_LENGTH })}
                 style={inputStyle()}
               />
-              <button onClick={handleAdminLogin} style={btnStyleNeutral()}>
-                관리자 모드 켜기 (+1)
-              </button>
+              {adminAuth ? (
+                <button onClick={handleAdminLogin} style={btnStyleNeutral()} disabled={adminBusy}>
+                  {tr("admin.login")}
+                </button>
+              ) : (
+                <>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={pinConfirmInput}
+                    onChange={(e) => setPinConfirmInput(e.target.value)}
+                    placeholder={tr("admin.pinConfirmPlaceholder")}
+                    style={inputStyle()}
+                  />
+                  <button onClick={handleSetupPin} style={btnStylePrimary(adminBusy)} disabled={adminBusy}>
+                    {tr("admin.setupPin")}
+                  </button>
+                </>
+              )}
               <div style={{ fontSize: 13, color: "#aab2c5" }}>
-                관리자 코드 입력 시마다 힌트 사용 가능 횟수 +1, 그리고 관리자 모드에서 힌트 1개 추가 가능.
+                {adminAuth ? tr("admin.loginHelp") : tr("admin.setupHelp")}
               </div>
+              {adminAuth?.lockedUntilMs > nowMs ? (
+                <div style={{ fontSize: 13, color: "#ffb4b4" }}>{tr("admin.lockedUntil", { time: formatClock(adminAuth.lockedUntilMs) })}</div>
+              ) : null}
+              {adminNotice ? <div style={{ fontSize: 13, color: "#f3c76b" }}>{tr(adminNotice)}</div> : null}
             </div>
           ) : (
             <>
+              {stalled ? (
+                <div style={stallBannerStyle()}>
+                  "{stalled.puzzle.name}" 단계에서 {formatTime(stalled.spentSec)}째 정체 중입니다. (기준 {room.stallMin}분)
+                </div>
+              ) : null}
+
               <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
                 <input
                   value={newCode}
@@ -467,60 +2191,978 @@ export default function App() {
                 placeholder="힌트 내용(여러 줄 가능)"
                 style={textareaStyle()}
               />
+              <div style={{ margin: "4px 0 10px", fontSize: 12, color: "#7f8aa6" }}>
+                서식: **굵게**, *기울임*, `코드`, # 제목, - 목록. 첨부한 이미지·오디오는 이 브라우저에 저장됩니다.
+              </div>
 
               <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                <button
-                  onClick={handleAddHint}
-                  style={btnStylePrimary(adminAddRemaining <= 0)}
-                  disabled={adminAddRemaining <= 0}
-                  title={adminAddRemaining <= 0 ? "관리자 모드에서 힌트 추가는 1회만 가능합니다." : "힌트를 추가합니다."}
-                >
-                  힌트 코드 추가 ({adminAddRemaining}/1)
+                <MediaAttachButton style={btnStyleNeutral()} onAttached={(line) => setNewBody((b) => appendMediaLine(b, line))} />
+                <button onClick={handleAddHint} style={btnStylePrimary(false)} title="힌트를 추가합니다.">
+                  힌트 코드 추가
                 </button>
 
                 <button onClick={() => setAdminMode(false)} style={btnStyleNeutral()} title="관리자 모드를 종료합니다.">
                   관리자 모드 끄기
                 </button>
 
-                <button
-                  onClick={() => {
-                    const code = prompt("관리자 코드를 다시 입력하면 힌트 사용 +1이 추가됩니다.");
-                    if ((code || "").trim() === ADMIN_CODE) {
-                      setHintBonus((b) => b + 1);
-                      alert("관리자 승인: 힌트 사용 가능 횟수 +1");
-                    } else if (code !== null) {
-                      alert("관리자 코드가 올바르지 않습니다.");
-                    }
-                  }}
-                  style={btnStyleNeutral()}
-                  title="관리자 코드 재입력으로 힌트 사용 가능 횟수를 +1 추가합니다."
-                >
-                  +1 추가 지급
-                </button>
               </div>
 
               <div style={{ marginTop: 12 }}>
                 <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>
-                  등록된 힌트 코드 ({Object.keys(hints).length})
+                  보너스 힌트 ({hintBonus > 0 ? "+" : ""}
+                  {hintBonus})
                 </h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                  <input
+                    type="number"
+                    step={1}
+                    value={bonusAmountInput}
+                    onChange={(e) => setBonusAmountInput(e.target.value)}
+                    title="지급할 횟수 (차감은 음수)"
+                    style={{ ...inputStyle(), width: 90 }}
+                  />
+                  <input
+                    value={bonusReasonInput}
+                    onChange={(e) => setBonusReasonInput(e.target.value)}
+                    placeholder="사유 (선택, 예: 장치 고장 보상)"
+                    style={inputStyle()}
+                  />
+                  <button onClick={handleGrantBonus} style={btnStylePrimary(false)} title="힌트 사용 가능 횟수를 조정합니다.">
+                    지급
+                  </button>
+                  <button
+                    onClick={handleUndoBonus}
+                    style={btnStyleNeutral()}
+                    disabled={!bonusGrants.length}
+                    title="가장 최근 지급을 취소합니다."
+                  >
+                    마지막 지급 취소
+                  </button>
+                </div>
+                {bonusGrants.length ? (
+                  <div style={{ display: "grid", gap: 4, marginTop: 8 }}>
+                    {bonusGrants.map((g) => (
+                      <div key={g.id} style={timelineRowStyle()}>
+                        <span style={{ color: "#7f8aa6", fontVariantNumeric: "tabular-nums" }}>
+                          {g.atMs ? formatClock(g.atMs) : "-"}
+                        </span>
+                        <span style={{ fontWeight: 700, color: g.amount > 0 ? "#9fe0b0" : "#ffb4b4" }}>
+                          {g.amount > 0 ? "+" : ""}
+                          {g.amount}
+                        </span>
+                        <span style={{ gridColumn: "3 / 5", color: "#aab2c5" }}>{g.reason || "사유 없음"}</span>
+                      </div>
+                    ))}
+                  </div>
+                ) : null}
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>관리자 PIN 변경</h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={currentPinInput}
+                    onChange={(e) => setCurrentPinInput(e.target.value)}
+                    placeholder="현재 PIN"
+                    style={{ ...inputStyle(), width: 160 }}
+                  />
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={newPinInput}
+                    onChange={(e) => setNewPinInput(e.target.value)}
+                    placeholder="새 PIN"
+                    style={{ ...inputStyle(), width: 160 }}
+                  />
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={newPinConfirmInput}
+                    onChange={(e) => setNewPinConfirmInput(e.target.value)}
+                    placeholder="새 PIN 확인"
+                    style={{ ...inputStyle(), width: 160 }}
+                  />
+                  <button onClick={handleChangePin} style={btnStylePrimary(adminBusy)} disabled={adminBusy}>
+                    PIN 변경
+                  </button>
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#7f8aa6" }}>
+                  {Math.round(ADMIN_IDLE_TIMEOUT_MS / 60000)}분 동안 조작이 없으면 관리자 모드가 자동으로 꺼집니다.
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>타이머</h3>
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                  <input
+                    type="number"
+                    min={1}
+                    value={durationMinInput}
+                    onChange={(e) => setDurationMinInput(e.target.value)}
+                    placeholder="진행 시간(분)"
+                    style={{ ...inputStyle(), width: 140 }}
+                    disabled={timer.status !== TIMER_IDLE}
+                  />
+                  <button
+                    onClick={handleSetDuration}
+                    style={btnStylePrimary(timer.status !== TIMER_IDLE)}
+                    disabled={timer.status !== TIMER_IDLE}
+                    title={timer.status === TIMER_IDLE ? "시작 전 진행 시간을 설정합니다." : "시작 전에만 설정할 수 있습니다."}
+                  >
+                    진행 시간 설정 ({Math.round(timer.durationSec / 60)}분)
+                  </button>
+                </div>
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+                  {[-5, -1, 1, 5].map((m) => (
+                    <button
+                      key={m}
+                      data-delta-min={m}
+                      onClick={handleAdjustTime}
+                      style={btnStyleNeutral()}
+                      disabled={timer.status === TIMER_FINISHED}
+                      title={m > 0 ? "남은 시간을 늘립니다. (보너스)" : "남은 시간을 줄입니다. (페널티)"}
+                    >
+                      {m > 0 ? `+${m}` : m}분
+                    </button>
+                  ))}
+                  <button onClick={handleResetSession} style={btnStyleDangerSmall()} title="타이머, 힌트 사용 횟수, 보너스를 초기화합니다.">
+                    세션 초기화
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>게임 마스터 메시지</h3>
+                {announcement?.kind === "message" ? (
+                  <div style={{ ...stallBannerStyle(), marginBottom: 8 }}>
+                    표시 중: {announcement.text}{" "}
+                    <button onClick={handleClearMessage} style={btnStyleNeutral()} title="모든 화면에서 메시지를 내립니다.">
+                      내리기
+                    </button>
+                  </div>
+                ) : null}
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  {room.messageTemplates.map((text, i) => (
+                    <span key={text} style={{ display: "inline-flex", gap: 2 }}>
+                      <button data-index={i} onClick={handleSendTemplate} style={btnStyleNeutral()} title="바로 보냅니다.">
+                        {text}
+                      </button>
+                      <button data-index={i} onClick={handleDeleteTemplate} style={btnStyleDangerSmall()} title="템플릿 삭제">
+                        ×
+                      </button>
+                    </span>
+                  ))}
+                </div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+                  <input
+                    value={messageInput}
+                    onChange={(e) => setMessageInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      // Enter while a Hangul syllable is still composing would send it cut short
+                      if (e.key === "Enter" && !e.nativeEvent.isComposing) handleSendMessage();
+                    }}
+                    maxLength={MAX_MESSAGE_LENGTH}
+                    placeholder="팀에게 보낼 메시지"
+                    style={{ ...inputStyle(), flex: 1, minWidth: 220 }}
+                  />
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, color: "#aab2c5" }}>
+                    <input type="checkbox" checked={messageChime} onChange={(e) => setMessageChime(e.target.checked)} />
+                    알림음
+                  </label>
+                  <button onClick={handleSendMessage} style={btnStylePrimary(false)}>
+                    보내기
+                  </button>
+                  <button onClick={handleSaveTemplate} style={btnStyleNeutral()} title="입력한 메시지를 빠른 답장으로 저장합니다.">
+                    템플릿으로 저장
+                  </button>
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#7f8aa6" }}>
+                  플레이어 화면(이 화면, 디스플레이 창, 힌트 창)에 크게 표시되고 팀이 확인을 눌러 닫습니다. 보낸 메시지는 게임 기록에 남습니다.
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>퍼즐 진행 ({solvedCount} / {room.puzzles.length})</h3>
                 <div style={{ display: "grid", gap: 8 }}>
-                  {Object.entries(hints)
-                    .sort(([a], [b]) => a.localeCompare(b))
-                    .map(([code, h]) => (
-                      <div key={code} style={hintRowStyle()}>
-                        <div>
-                          <div style={{ fontWeight: 700 }}>{code}</div>
-                          <div style={{ fontSize: 13, color: "#aab2c5" }}>{h.title}</div>
+                  {puzzleRows.map(({ puzzle, solved, spentSec }, i) => (
+                    <div key={puzzle.id} style={hintRowStyle()}>
+                      <div>
+                        <div style={{ fontWeight: 700 }}>
+                          {i + 1}. {puzzle.name}
+                          {spentSec != null ? (
+                            <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>{formatTime(spentSec)}</span>
+                          ) : null}
                         </div>
+                        <div style={{ fontSize: 13, color: "#aab2c5" }}>
+                          힌트: {puzzle.codes.join(", ") || "없음"} · 정답:{" "}
+                          {puzzle.answerHashes.length
+                            ? `${puzzle.answerHashes.length}개 (해시)`
+                            : puzzle.answers.length
+                            ? `${puzzle.answers.length}개`
+                            : "없음"}
+                          {puzzle.penaltySec ? ` · 오답 -${puzzle.penaltySec}초` : ""}
+                          {puzzle.cooldownSec ? ` · 대기 ${puzzle.cooldownSec}초` : ""}
+                        </div>
+                        {answerEditId === puzzle.id ? (
+                          <div style={{ marginTop: 8 }}>
+                            <textarea
+                              value={answerEditText}
+                              onChange={(e) => setAnswerEditText(e.target.value)}
+                              placeholder={
+                                puzzle.answerHashes.length
+                                  ? "해시로 저장된 정답은 볼 수 없습니다. 새로 입력하면 교체됩니다. (비워 두면 유지)"
+                                  : "인정할 정답 (한 줄에 하나)"
+                              }
+                              style={{ ...textareaStyle(), marginTop: 0, minHeight: 60 }}
+                            />
+                            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 6 }}>
+                              <label style={{ fontSize: 13, color: "#aab2c5" }}>
+                                <input
+                                  type="checkbox"
+                                  checked={answerEditHashed}
+                                  onChange={(e) => setAnswerEditHashed(e.target.checked)}
+                                />{" "}
+                                해시로 저장
+                              </label>
+                              <span style={{ fontSize: 13, color: "#aab2c5" }}>오답 감점</span>
+                              <input
+                                type="number"
+                                min={0}
+                                value={answerEditPenalty}
+                                onChange={(e) => setAnswerEditPenalty(e.target.value)}
+                                style={{ ...inputStyle(), width: 80 }}
+                              />
+                              <span style={{ fontSize: 13, color: "#aab2c5" }}>초 · 재입력 대기</span>
+                              <input
+                                type="number"
+                                min={0}
+                                value={answerEditCooldown}
+                                onChange={(e) => setAnswerEditCooldown(e.target.value)}
+                                style={{ ...inputStyle(), width: 80 }}
+                              />
+                              <span style={{ fontSize: 13, color: "#aab2c5" }}>초</span>
+                            </div>
+                            <textarea
+                              value={answerEditFollowUp}
+                              onChange={(e) => setAnswerEditFollowUp(e.target.value)}
+                              placeholder="정답 시 보여 줄 안내 (선택, 예: 다음 단서는 책장 뒤에 있습니다)"
+                              style={{ ...textareaStyle(), marginTop: 6, minHeight: 50 }}
+                            />
+                            <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+                              <button onClick={handleSaveAnswerEdit} style={btnStylePrimary(false)}>
+                                정답 설정 저장
+                              </button>
+                              <button onClick={() => setAnswerEditId(null)} style={btnStyleNeutral()}>
+                                취소
+                              </button>
+                            </div>
+                          </div>
+                        ) : null}
+                      </div>
+                      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                        <button
+                          data-puzzle-id={puzzle.id}
+                          onClick={handleTogglePuzzleSolved}
+                          style={solved ? btnStyleNeutral() : btnStylePrimary(false)}
+                          title={solved ? "해결 표시를 취소합니다." : "이 퍼즐을 해결한 것으로 표시합니다."}
+                        >
+                          {solved ? "해결 취소" : "해결"}
+                        </button>
+                        <button onClick={() => handleMovePuzzle(puzzle.id, -1)} style={btnStyleNeutral()} disabled={i === 0} title="위로">
+                          ↑
+                        </button>
                         <button
-                          onClick={() => handleDeleteHint(code)}
-                          style={btnStyleDangerSmall()}
-                          title="이 힌트를 삭제합니다."
+                          onClick={() => handleMovePuzzle(puzzle.id, 1)}
+                          style={btnStyleNeutral()}
+                          disabled={i === room.puzzles.length - 1}
+                          title="아래로"
                         >
+                          ↓
+                        </button>
+                        <button onClick={() => handleEditPuzzle(puzzle.id)} style={btnStyleNeutral()} title="이름과 연결된 힌트 코드를 수정합니다.">
+                          수정
+                        </button>
+                        <button
+                          onClick={() => handleStartAnswerEdit(puzzle.id)}
+                          style={btnStyleNeutral()}
+                          title="정답, 오답 감점/대기, 정답 안내를 설정합니다."
+                        >
+                          정답 설정
+                        </button>
+                        <button onClick={() => handleDeletePuzzle(puzzle.id)} style={btnStyleDangerSmall()} title="이 퍼즐을 삭제합니다.">
+                          삭제
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+                  <input
+                    value={newPuzzleName}
+                    onChange={(e) => setNewPuzzleName(e.target.value)}
+                    placeholder="퍼즐 이름 (예: 마방진)"
+                    style={{ ...inputStyle(), width: 200 }}
+                  />
+                  <input
+                    value={newPuzzleCodes}
+                    onChange={(e) => setNewPuzzleCodes(e.target.value)}
+                    placeholder="힌트 코드 (쉼표로 구분, 예: E-01, E-02)"
+                    style={inputStyle()}
+                  />
+                  <button onClick={handleAddPuzzle} style={btnStylePrimary(false)}>
+                    퍼즐 추가
+                  </button>
+                </div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+                  <span style={{ fontSize: 13, color: "#aab2c5" }}>정체 알림 기준</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={stallMinInput}
+                    onChange={(e) => setStallMinInput(e.target.value)}
+                    title="한 단계에 이 시간(분) 이상 머무르면 관리자 화면에 표시합니다. (0 = 사용 안 함)"
+                    style={{ ...inputStyle(), width: 90 }}
+                  />
+                  <span style={{ fontSize: 13, color: "#aab2c5" }}>분</span>
+                  <button onClick={handleSaveStallMin} style={btnStyleNeutral()}>
+                    저장
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>예약 안내 / 자동 힌트 ({room.schedule.length})</h3>
+                <div style={{ display: "grid", gap: 8 }}>
+                  {sortSchedule(room.schedule, timer.durationSec).map((r) => (
+                    <div key={r.id} style={hintRowStyle()}>
+                      <div style={{ fontSize: 13 }}>
+                        {describeRule(r)}
+                        {scheduleFired.includes(r.id) ? (
+                          <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>(이번 게임 실행됨)</span>
+                        ) : null}
+                      </div>
+                      <button onClick={() => handleDeleteRule(r.id)} style={btnStyleDangerSmall()} title="이 예약을 삭제합니다.">
+                        삭제
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+                  <select value={ruleKindInput} onChange={(e) => setRuleKindInput(e.target.value)} style={{ ...inputStyle(), width: 140 }}>
+                    <option value={RULE_ANNOUNCE}>안내 표시</option>
+                    <option value={RULE_PUSH_HINT}>힌트 자동 공개</option>
+                  </select>
+                  <select value={ruleAtInput} onChange={(e) => setRuleAtInput(e.target.value)} style={{ ...inputStyle(), width: 120 }}>
+                    <option value="remaining">남은 시간</option>
+                    <option value="elapsed">경과 시간</option>
+                  </select>
+                  <input
+                    value={ruleTimeInput}
+                    onChange={(e) => setRuleTimeInput(e.target.value)}
+                    placeholder="MM:SS"
+                    title="시점 (MM:SS 또는 분)"
+                    style={{ ...inputStyle(), width: 100 }}
+                  />
+                  {ruleKindInput === RULE_ANNOUNCE ? (
+                    <input
+                      value={ruleMessageInput}
+                      onChange={(e) => setRuleMessageInput(e.target.value)}
+                      placeholder="안내 문구"
+                      style={inputStyle()}
+                    />
+                  ) : (
+                    <>
+                      <input
+                        value={ruleCodeInput}
+                        onChange={(e) => setRuleCodeInput(e.target.value)}
+                        placeholder="힌트 코드 (예: E-05)"
+                        style={{ ...inputStyle(), width: 160 }}
+                      />
+                      <label style={{ fontSize: 13, color: "#aab2c5" }}>
+                        <input
+                          type="checkbox"
+                          checked={ruleOnlyIfUnopened}
+                          onChange={(e) => setRuleOnlyIfUnopened(e.target.checked)}
+                        />{" "}
+                        아직 안 열었을 때만
+                      </label>
+                    </>
+                  )}
+                  <button onClick={handleAddRule} style={btnStylePrimary(false)}>
+                    예약 추가
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>게임 기록 ({sessionLog.length})</h3>
+                {sessionLog.length === 0 ? (
+                  <div style={{ fontSize: 13, color: "#aab2c5" }}>아직 기록된 이벤트가 없습니다.</div>
+                ) : (
+                  <div style={{ display: "grid", gap: 4, maxHeight: 260, overflowY: "auto" }}>
+                    {sessionLog.map((e, i) => (
+                      <div key={i} style={timelineRowStyle()}>
+                        <span style={{ color: "#7f8aa6", fontVariantNumeric: "tabular-nums" }}>{formatClock(e.atMs)}</span>
+                        <span style={{ color: "#8fa3c5", fontVariantNumeric: "tabular-nums" }}>+{formatTime(e.elapsedSec)}</span>
+                        <span style={{ fontWeight: 700 }}>{EVENT_LABELS[e.type] || e.type}</span>
+                        <span style={{ color: "#aab2c5" }}>{describeEvent(e)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
+                  <button
+                    onClick={() => handleExportLog("csv")}
+                    style={btnStyleNeutral()}
+                    disabled={sessionLog.length === 0}
+                    title="게임 기록을 CSV로 내보냅니다."
+                  >
+                    CSV 내보내기
+                  </button>
+                  <button
+                    onClick={() => handleExportLog("json")}
+                    style={btnStyleNeutral()}
+                    disabled={sessionLog.length === 0}
+                    title="게임 기록을 JSON으로 내보냅니다."
+                  >
+                    JSON 내보내기
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>리더보드 ({leaderboard.length})</h3>
+                {leaderboard.length === 0 ? (
+                  <div style={{ fontSize: 13, color: "#aab2c5" }}>아직 탈출한 팀이 없습니다.</div>
+                ) : (
+                  <div style={{ display: "grid", gap: 8 }}>
+                    {sortLeaderboard(leaderboard).map((r, i) => (
+                      <div key={r.id} style={hintRowStyle()}>
+                        <div>
+                          <div style={{ fontWeight: 700 }}>
+                            {i + 1}. {r.teamName}
+                          </div>
+                          <div style={{ fontSize: 13, color: "#aab2c5" }}>
+                            {formatTime(r.clearSec)} · 힌트 {r.hintUses}회 (보너스 {r.hintBonus})
+                            {r.score != null ? ` · ${r.score}점` : ""}
+                            {r.penaltySec > 0 ? ` · 시간 차감 ${formatTime(r.penaltySec)}` : ""} ·{" "}
+                            {new Date(r.finishedAtMs).toLocaleString()}
+                          </div>
+                        </div>
+                        <button onClick={() => handleDeleteResult(r.id)} style={btnStyleDangerSmall()} title="이 기록을 삭제합니다.">
                           삭제
                         </button>
                       </div>
                     ))}
+                  </div>
+                )}
+                {leaderboard.length > 0 ? (
+                  <div style={{ marginTop: 10 }}>
+                    <button onClick={handleClearLeaderboard} style={btnStyleDangerSmall()} title="이 방의 리더보드를 비웁니다.">
+                      리더보드 전체 삭제
+                    </button>
+                  </div>
+                ) : null}
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>세션 분석</h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                  <button onClick={() => setShowAnalytics(true)} style={btnStyleNeutral()}>
+                    분석 열기
+                  </button>
+                  <span style={{ fontSize: 12, color: "#7f8aa6" }}>
+                    끝난 세션의 힌트별 열람률·열람 시각, 탈출률, 탈출 시간 분포 (모든 방, 기간 선택)
+                  </span>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>방 설정 ({roomId})</h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                  <input
+                    value={roomNameInput}
+                    onChange={(e) => setRoomNameInput(e.target.value)}
+                    placeholder="방 이름"
+                    style={inputStyle()}
+                  />
+                  <input
+                    type="number"
+                    min={1}
+                    value={roomDurationInput}
+                    onChange={(e) => setRoomDurationInput(e.target.value)}
+                    placeholder="기본 진행 시간(분)"
+                    title="기본 진행 시간(분)"
+                    style={{ ...inputStyle(), width: 140 }}
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    value={roomMaxUsesInput}
+                    onChange={(e) => setRoomMaxUsesInput(e.target.value)}
+                    placeholder="기본 힌트 횟수"
+                    title="기본 힌트 횟수"
+                    style={{ ...inputStyle(), width: 140 }}
+                  />
+                  <input
+                    value={roomFreeCodesInput}
+                    onChange={(e) => setRoomFreeCodesInput(e.target.value)}
+                    placeholder="무료 코드 (쉼표로 구분, 예: E-00)"
+                    title="무료 코드 (쉼표로 구분)"
+                    style={inputStyle()}
+                  />
+                  <select
+                    value={roomHintDisplayInput}
+                    onChange={(e) => setRoomHintDisplayInput(e.target.value)}
+                    title="힌트 표시 방식"
+                    style={{ ...inputStyle(), width: 160 }}
+                  >
+                    {Object.entries(HINT_DISPLAY_MODES).map(([mode, label]) => (
+                      <option key={mode} value={mode}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <button onClick={handleSaveRoomSettings} style={btnStylePrimary(false)} title="이 방의 설정을 저장합니다.">
+                    방 설정 저장
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>힌트 비용</h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                  <select
+                    value={costModelInput}
+                    onChange={(e) => setCostModelInput(e.target.value)}
+                    title="기본 힌트 횟수를 넘긴 뒤의 처리 방식"
+                    style={{ ...inputStyle(), width: 140 }}
+                  >
+                    {Object.entries(HINT_COST_MODELS).map(([model, { label }]) => (
+                      <option key={model} value={model}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {costModelInput === COST_TIME ? (
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.5}
+                      value={costPenaltyMinInput}
+                      onChange={(e) => setCostPenaltyMinInput(e.target.value)}
+                      placeholder="힌트당 차감(분)"
+                      title="기본 횟수 이후 힌트 1회당 차감할 시간(분)"
+                      style={{ ...inputStyle(), width: 140 }}
+                    />
+                  ) : null}
+                  {costModelInput === COST_SCORE ? (
+                    <>
+                      <input
+                        type="number"
+                        min={0}
+                        value={costStartScoreInput}
+                        onChange={(e) => setCostStartScoreInput(e.target.value)}
+                        placeholder="시작 점수"
+                        title="시작 점수"
+                        style={{ ...inputStyle(), width: 120 }}
+                      />
+                      <input
+                        type="number"
+                        min={0}
+                        value={costPointsInput}
+                        onChange={(e) => setCostPointsInput(e.target.value)}
+                        placeholder="힌트당 차감 점수"
+                        title="기본 횟수 이후 힌트 1회당 차감할 점수"
+                        style={{ ...inputStyle(), width: 140 }}
+                      />
+                    </>
+                  ) : null}
+                  <input
+                    value={codeCostsInput}
+                    onChange={(e) => setCodeCostsInput(e.target.value)}
+                    placeholder="코드별 비용 (예: E-15=2, E-16=2)"
+                    title="코드별 비용: 이 코드의 단계 비용에 곱합니다 (기본 1)"
+                    style={inputStyle()}
+                  />
+                  <button onClick={handleSaveHintCost} style={btnStylePrimary(false)}>
+                    비용 설정 저장
+                  </button>
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#7f8aa6" }}>
+                  기본 힌트 횟수(+보너스)까지는 모든 방식에서 차감 없이 쓰고, 그 이후는 횟수 제한이면 거절, 시간 차감이면 남은 시간에서,
+                  점수 차감이면 점수에서 뺍니다. 제한 없이 점수만 깎으려면 기본 힌트 횟수를 0으로 두세요.
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>시간 알림</h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                  <input
+                    value={cueMilestonesInput}
+                    onChange={(e) => setCueMilestonesInput(e.target.value)}
+                    placeholder="남은 시간(분, 쉼표로 구분, 예: 30, 10, 5, 1)"
+                    title="알림을 울릴 남은 시간(분). 시간 종료 알림은 항상 울립니다."
+                    style={inputStyle()}
+                  />
+                  <button onClick={handleSaveMilestones} style={btnStylePrimary(false)}>
+                    알림 시점 저장
+                  </button>
+                  <label style={{ fontSize: 13, color: "#aab2c5" }}>
+                    <input
+                      type="checkbox"
+                      checked={cueSettings.speech}
+                      onChange={(e) => updateCueSettings({ speech: e.target.checked })}
+                    />{" "}
+                    음성 안내
+                  </label>
+                  <label style={{ fontSize: 13, color: "#aab2c5" }}>
+                    <input
+                      type="checkbox"
+                      checked={cueSettings.flash}
+                      onChange={(e) => updateCueSettings({ flash: e.target.checked })}
+                    />{" "}
+                    화면 깜빡임
+                  </label>
+                  <button onClick={handleTestCue} style={btnStyleNeutral()} title="가장 짧은 알림 시점의 알림을 미리 들어봅니다.">
+                    알림 테스트
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>백업 ({snapshots.length})</h3>
+                {Object.keys(unreadable).length ? (
+                  <div style={{ ...stallBannerStyle(), marginBottom: 8 }}>
+                    이전 버전 데이터 중 읽을 수 없는 항목이 {Object.keys(unreadable).length}개 있어 보관해 두었습니다.{" "}
+                    <button onClick={handleDownloadUnreadable} style={btnStyleNeutral()}>
+                      내려받기
+                    </button>
+                  </div>
+                ) : null}
+                <div style={{ display: "grid", gap: 6 }}>
+                  {snapshots.map((s) => (
+                    <div key={s.id} style={snapshotRowStyle()}>
+                      <span>
+                        {new Date(s.atMs).toLocaleString("ko-KR")}
+                        <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>{s.reason}</span>
+                      </span>
+                      <button data-id={s.id} onClick={handleRestoreSnapshot} style={btnStyleNeutral()}>
+                        복원
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ display: "flex", gap: 10, marginTop: 8 }}>
+                  <button onClick={() => backup("수동 백업")} style={btnStyleNeutral()}>
+                    지금 백업
+                  </button>
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#7f8aa6" }}>
+                  모든 방의 데이터를 10분마다, 그리고 세션 초기화·힌트 가져오기·방 삭제 전에 자동으로 백업합니다. (최근 5개 보관)
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>
+                  LAN 동기화
+                  <span style={{ marginLeft: 8, fontSize: 12, color: syncStatus === SYNC_ONLINE ? "#8fd19e" : "#8fa3c5" }}>
+                    {SYNC_STATUS_LABELS[syncServer ? syncStatus : SYNC_OFF]}
+                  </span>
+                  {syncServer && syncError ? (
+                    <span style={{ marginLeft: 8, fontSize: 12, color: "#ffb4b4" }}>{SYNC_ERROR_LABELS[syncError] || syncError}</span>
+                  ) : null}
+                </h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                  <input
+                    value={syncUrlInput}
+                    onChange={(e) => setSyncUrlInput(e.target.value)}
+                    placeholder="서버 주소 (예: 192.168.0.10:8787)"
+                    style={inputStyle()}
+                  />
+                  <input
+                    type="password"
+                    autoComplete="off"
+                    value={syncKeyInput}
+                    onChange={(e) => setSyncKeyInput(e.target.value)}
+                    placeholder="서버 키"
+                    style={{ ...inputStyle(), width: 160 }}
+                  />
+                  <button onClick={handleSaveSyncServer} style={btnStylePrimary(false)}>
+                    연결
+                  </button>
+                  <button onClick={handleDisconnectSync} style={btnStyleNeutral()} disabled={!syncServer}>
+                    연결 끊기
+                  </button>
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#7f8aa6" }}>
+                  같은 네트워크의 PC에서 npm run sync-server로 서버를 실행하면 타이머·힌트 사용·보너스가 공유되고, 휴대폰
+                  컨트롤러에서 일시정지·시간 조정·보너스 지급을 할 수 있습니다. 서버 키는 서버를 실행한 화면에 표시되며(SYNC_KEY로 지정
+                  가능), 키를 아는 기기만 연결됩니다. 다른 PC의 콘솔은 서버가 제공하는 http 주소(서버 주소/escape-room-app/)로 열어
+                  주세요. https 페이지에서는 LAN 서버에 연결할 수 없고, 브라우저 저장소는 주소마다 따로라 그 주소에서 관리자 PIN을 새로
+                  설정하게 됩니다. 서버가 없어도 이 화면은 그대로 동작합니다.
+                  {syncServer ? <> 컨트롤러: {controllerUrl(syncServer.url)}</> : null}
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>키오스크 모드</h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                  <button onClick={handleToggleKiosk} style={kiosk ? btnStyleNeutral() : btnStylePrimary(false)}>
+                    {kiosk ? "키오스크 모드 끄기" : "키오스크 모드 켜기"}
+                  </button>
+                </div>
+                <div style={{ marginTop: 6, fontSize: 12, color: "#7f8aa6" }}>
+                  이 기기를 전체 화면으로 고정하고 화면이 꺼지지 않게 합니다. 운영 버튼과 관리자 메뉴는 숨겨지며, 제목을{" "}
+                  {KIOSK_LONG_PRESS_MS / 1000}초 동안 길게 누르면 관리자 PIN 입력창이 나타납니다. 타이머 진행 중에는 새로고침·뒤로
+                  가기·창 닫기가 막힙니다.
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>방 관리 ({Object.keys(rooms).length})</h3>
+                <div style={{ display: "grid", gap: 8 }}>
+                  {Object.values(rooms)
+                    .sort((a, b) => (a.id === DEFAULT_ROOM_ID ? -1 : b.id === DEFAULT_ROOM_ID ? 1 : a.id.localeCompare(b.id)))
+                    .map((r) => (
+                      <div key={r.id} style={hintRowStyle()}>
+                        <div>
+                          <div style={{ fontWeight: 700 }}>
+                            {r.name}
+                            {r.id === roomId ? <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>(현재)</span> : null}
+                          </div>
+                          <div style={{ fontSize: 13, color: "#aab2c5" }}>
+                            ?room={r.id} · {r.durationMin}분 · 힌트 {r.maxHintUses}회
+                          </div>
+                        </div>
+                        <div style={{ display: "flex", gap: 8 }}>
+                          <a href={buildRoomUrl(r.id)} style={{ ...btnStyleNeutral(), textDecoration: "none" }} title="이 방으로 이동합니다.">
+                            열기
+                          </a>
+                          <button onClick={() => handleCreateRoom(r.id)} style={btnStyleNeutral()} title="설정과 힌트를 복제해 새 방을 만듭니다.">
+                            복제
+                          </button>
+                          <button
+                            onClick={() => handleDeleteRoom(r.id)}
+                            style={btnStyleDangerSmall()}
+                            disabled={r.id === DEFAULT_ROOM_ID || r.id === roomId}
+                            title="이 방을 삭제합니다."
+                          >
+                            삭제
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                </div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
+                  <input
+                    value={newRoomId}
+                    onChange={(e) => setNewRoomId(e.target.value)}
+                    placeholder="새 방 ID (예: lab)"
+                    style={inputStyle()}
+                  />
+                  <input
+                    value={newRoomName}
+                    onChange={(e) => setNewRoomName(e.target.value)}
+                    placeholder="새 방 이름"
+                    style={inputStyle()}
+                  />
+                  <button onClick={() => handleCreateRoom(null)} style={btnStylePrimary(false)} title="빈 힌트 목록으로 새 방을 만듭니다.">
+                    방 만들기
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <h3 style={{ margin: "10px 0", fontSize: 15, color: "#cfd5e4" }}>
+                  등록된 힌트 코드 ({Object.keys(hints).length})
+                </h3>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
+                  <button onClick={() => handleExportHints("json")} style={btnStyleNeutral()} title="힌트 목록을 JSON으로 내보냅니다.">
+                    JSON 내보내기
+                  </button>
+                  <button onClick={() => handleExportHints("csv")} style={btnStyleNeutral()} title="힌트 목록을 CSV(code,title,body)로 내보냅니다.">
+                    CSV 내보내기
+                  </button>
+                  <button
+                    onClick={() => importInputRef.current?.click()}
+                    style={btnStyleNeutral()}
+                    title="JSON 또는 CSV 파일로 힌트 목록을 대체합니다."
+                  >
+                    가져오기 (JSON/CSV)
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".json,.csv,application/json,text/csv"
+                    onChange={handleImportHints}
+                    style={{ display: "none" }}
+                  />
+                  <button
+                    onClick={() => setShowPrintCards(true)}
+                    style={btnStyleNeutral()}
+                    title="힌트 코드마다 QR 코드가 들어간 카드를 인쇄합니다."
+                  >
+                    카드 인쇄{staleCardCount ? ` (회수 필요 ${staleCardCount})` : ""}
+                  </button>
+                  <button onClick={handleResetHints} style={btnStyleDangerSmall()} title="앱에 포함된 기본 힌트로 되돌립니다.">
+                    기본 힌트로 초기화
+                  </button>
+                </div>
+                <div style={{ display: "grid", gap: 8 }}>
+                  {Object.entries(hints)
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([code, h]) =>
+                      editingCode === code ? (
+                        <div key={code} style={{ ...hintRowStyle(), display: "block" }}>
+                          <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                            <input
+                              value={editCode}
+                              onChange={(e) => setEditCode(e.target.value)}
+                              placeholder="힌트 코드"
+                              style={{ ...inputStyle(), width: 160 }}
+                            />
+                            <select
+                              value={editLang}
+                              onChange={(e) => setEditLang(e.target.value)}
+                              title="편집할 언어 (번역이 비어 있으면 한국어로 표시)"
+                              style={{ ...inputStyle(), width: 120 }}
+                            >
+                              {Object.entries(LANGS).map(([l, label]) => (
+                                <option key={l} value={l}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                            {editLang === DEFAULT_LANG ? (
+                              <input
+                                value={editTitle}
+                                onChange={(e) => setEditTitle(e.target.value)}
+                                placeholder="힌트 제목"
+                                style={inputStyle()}
+                              />
+                            ) : (
+                              <input
+                                value={editI18n[editLang]?.title || ""}
+                                onChange={(e) => updateEditTranslation({ title: e.target.value })}
+                                placeholder={`${LANGS[editLang]} 제목 (비우면: ${editTitle})`}
+                                style={inputStyle()}
+                              />
+                            )}
+                          </div>
+                          {editLang === DEFAULT_LANG
+                            ? editTiers.map((t, i) => (
+                                <div key={i} style={{ marginTop: 10 }}>
+                                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                                    <span style={{ fontSize: 13, color: "#8fa3c5", fontWeight: 700 }}>{i + 1}단계</span>
+                                    <input
+                                      value={t.label}
+                                      onChange={(e) => updateEditTier(i, { label: e.target.value })}
+                                      placeholder={editTiers.length > 1 ? DEFAULT_TIER_LABELS[i] || "단계 이름" : "단계 이름(선택)"}
+                                      style={{ ...inputStyle(), width: 160 }}
+                                    />
+                                    <input
+                                      type="number"
+                                      min={0}
+                                      value={t.cost}
+                                      onChange={(e) => updateEditTier(i, { cost: e.target.value })}
+                                      title="이 단계를 열 때 차감되는 힌트 횟수 (0 = 무료)"
+                                      style={{ ...inputStyle(), width: 90 }}
+                                    />
+                                    <span style={{ fontSize: 12, color: "#aab2c5" }}>회 차감</span>
+                                    {editTiers.length > 1 ? (
+                                      <button
+                                        onClick={() => handleDeleteEditTier(i)}
+                                        style={btnStyleDangerSmall()}
+                                        title="이 단계를 삭제합니다."
+                                      >
+                                        단계 삭제
+                                      </button>
+                                    ) : null}
+                                  </div>
+                                  <textarea
+                                    value={t.body}
+                                    onChange={(e) => updateEditTier(i, { body: e.target.value })}
+                                    placeholder="힌트 내용(여러 줄 가능)"
+                                    style={{ ...textareaStyle(), marginTop: 6, minHeight: 70 }}
+                                  />
+                                  <MediaAttachButton
+                                    style={{ ...btnStyleNeutral(), padding: "6px 10px", fontSize: 13 }}
+                                    onAttached={(line) =>
+                                      setEditTiers((prev) => prev.map((x, j) => (j === i ? { ...x, body: appendMediaLine(x.body, line) } : x)))
+                                    }
+                                  />
+                                </div>
+                              ))
+                            : editTiers.map((t, i) => (
+                                <div key={i} style={{ marginTop: 10 }}>
+                                  <span style={{ fontSize: 13, color: "#8fa3c5", fontWeight: 700 }}>
+                                    {i + 1}단계 · {LANGS[editLang]}
+                                  </span>
+                                  <textarea
+                                    value={editI18n[editLang]?.bodies[i] || ""}
+                                    onChange={(e) => {
+                                      const bodies = [...(editI18n[editLang]?.bodies || [])];
+                                      bodies[i] = e.target.value;
+                                      updateEditTranslation({ bodies });
+                                    }}
+                                    placeholder={t.body}
+                                    style={{ ...textareaStyle(), marginTop: 6, minHeight: 70 }}
+                                  />
+                                </div>
+                              ))}
+                          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                            <button
+                              onClick={() => setEditTiers((prev) => [...prev, { label: "", body: "", cost: "1" }])}
+                              style={btnStyleNeutral()}
+                              title="다음 단계(더 구체적인 힌트)를 추가합니다."
+                            >
+                              + 단계 추가
+                            </button>
+                            <button onClick={handleSaveEdit} style={btnStylePrimary(false)}>
+                              저장
+                            </button>
+                            <button onClick={() => setEditingCode(null)} style={btnStyleNeutral()}>
+                              취소
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div key={code} style={hintRowStyle()}>
+                          <div>
+                            <div style={{ fontWeight: 700 }}>
+                              {code}
+                              {hintTiers(h).length > 1 ? (
+                                <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>{hintTiers(h).length}단계</span>
+                              ) : null}
+                            </div>
+                            <div style={{ fontSize: 13, color: "#aab2c5" }}>
+                              {h.title}
+                              {puzzleForCode(room.puzzles, code) ? (
+                                <span style={{ marginLeft: 8, color: "#8fa3c5" }}>· {puzzleForCode(room.puzzles, code).name}</span>
+                              ) : null}
+                            </div>
+                          </div>
+                          <div style={{ display: "flex", gap: 8 }}>
+                            <button onClick={() => handleStartEdit(code)} style={btnStyleNeutral()} title="이 힌트를 수정합니다.">
+                              수정
+                            </button>
+                            <button
+                              onClick={() => handleDeleteHint(code)}
+                              style={btnStyleDangerSmall()}
+                              title="이 힌트를 삭제합니다."
+                            >
+                              삭제
+                            </button>
+                          </div>
+                        </div>
+                      )
+                    )}
                 </div>
               </div>
             </>
@@ -528,7 +3170,8 @@ export default function App() {
         </div>
 
         <div style={{ marginTop: 14, fontSize: 12, color: "#7f8aa6" }}>
-          운영 팁: 팝업이 안 뜨면 주소창 오른쪽 팝업 차단 아이콘에서 이 사이트 팝업을 허용하세요.
+          운영 팁: 힌트 표시 방식(팝업 / 화면 위 창 / 옆 패널)은 관리자 모드의 방 설정에서 바꿀 수 있습니다. 팝업이
+          차단되면 자동으로 화면 위 창으로 표시됩니다.
         </div>
       </div>
     </div>
@@ -626,6 +3269,97 @@ function hintRowStyle() {
   };
 }
 
+function langBtnStyle(active) {
+  return {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: `1px solid ${active ? "#4f8fd6" : "#25314b"}`,
+    background: active ? "rgba(25, 45, 84, 0.9)" : "rgba(20, 29, 47, 0.88)",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: active ? 700 : 500,
+  };
+}
+
+function progressTrackStyle() {
+  return {
+    height: 10,
+    borderRadius: 999,
+    background: "rgba(12, 18, 32, 0.9)",
+    border: "1px solid rgba(31, 42, 64, 0.95)",
+    overflow: "hidden",
+  };
+}
+
+function progressFillStyle(ratio) {
+  return {
+    width: `${Math.round(Math.min(1, Math.max(0, ratio)) * 100)}%`,
+    height: "100%",
+    background: "linear-gradient(90deg, #2c5aa0, #4f8fd6)",
+    transition: "width 0.4s ease",
+  };
+}
+
+function puzzleRowStyle(current) {
+  return {
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    padding: "6px 10px",
+    borderRadius: 10,
+    background: current ? "rgba(243, 199, 107, 0.08)" : "rgba(12, 18, 32, 0.85)",
+    fontSize: 14,
+  };
+}
+
+function stallBannerStyle() {
+  return {
+    marginBottom: 12,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(243, 199, 107, 0.55)",
+    background: "rgba(243, 199, 107, 0.1)",
+    color: "#f3c76b",
+    fontSize: 14,
+    fontWeight: 600,
+  };
+}
+
+function usedHintRowStyle() {
+  return {
+    padding: "10px 12px",
+    borderRadius: 14,
+    border: "1px solid rgba(31, 42, 64, 0.95)",
+    background: "rgba(12, 18, 32, 0.85)",
+  };
+}
+
+function timelineRowStyle() {
+  return {
+    display: "grid",
+    gridTemplateColumns: "72px 80px 96px 1fr",
+    gap: 8,
+    padding: "6px 10px",
+    borderRadius: 10,
+    background: "rgba(12, 18, 32, 0.85)",
+    fontSize: 13,
+  };
+}
+
+function snapshotRowStyle() {
+  return {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 8,
+    padding: "6px 10px",
+    borderRadius: 10,
+    background: "rgba(12, 18, 32, 0.85)",
+    fontSize: 13,
+  };
+}
+
 // ======= Hint window styles =======
 function hintWindowShell() {
   return {
@@ -640,19 +3374,19 @@ function hintWindowShell() {
   };
 }
 
-function hintWindowCard() {
+function hintDeniedCard() {
   return {
     width: "100%",
     maxWidth: 520,
+    boxSizing: "border-box",
     background: "rgba(16, 22, 37, 0.92)",
-    border: "1px solid rgba(31, 42, 64, 0.9)",
+    border: "1px solid rgba(255, 138, 138, 0.45)",
     borderRadius: 14,
     padding: 16,
-    boxShadow: "0 10px 30px rgba(0,0,0,0.28)",
   };
 }
 
-function hintWindowBtn() {
+function hintDeniedBtn() {
   return {
     marginTop: 14,
     padding: "10px 12px",
@@ -664,3 +3398,34 @@ function hintWindowBtn() {
     fontWeight: 600,
   };
 }
+
+function inPageHintOverlay() {
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 40,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+    background: "rgba(5, 7, 12, 0.78)",
+  };
+}
+
+function inPageHintPanel() {
+  return {
+    position: "fixed",
+    top: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: 30,
+    width: 380,
+    maxWidth: "100%",
+    boxSizing: "border-box",
+    padding: 14,
+    overflowY: "auto",
+    background: "rgba(7, 10, 16, 0.96)",
+    borderLeft: "1px solid rgba(31, 42, 64, 0.9)",
+    boxShadow: "-10px 0 30px rgba(0,0,0,0.35)",
+  };
+}
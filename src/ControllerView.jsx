@@ -0,0 +1,209 @@
+import React, { useEffect, useState } from "react";
+import { totalBonus } from "./bonus.js";
+import { clockColor } from "./cues.js";
+import {
+  CMD_ADJUST,
+  CMD_BONUS,
+  CMD_PAUSE,
+  CMD_RESUME,
+  SYNC_ERROR_LABELS,
+  SYNC_ONLINE,
+  SYNC_STATUS_LABELS,
+  loadSyncServer,
+  normalizeServerUrl,
+  sameHostServerUrl,
+  saveSyncServer,
+  useLanRooms,
+} from "./lanSync.js";
+import { TIMER_FINISHED, TIMER_IDLE, TIMER_PAUSED, TIMER_RUNNING, getRemainingSec } from "./timer.js";
+import { formatTime } from "./utils.js";
+
+const STATUS_LABELS = {
+  [TIMER_IDLE]: "대기",
+  [TIMER_RUNNING]: "진행 중",
+  [TIMER_PAUSED]: "일시정지",
+  [TIMER_FINISHED]: "종료",
+};
+
+const ADJUST_STEPS_MIN = [-5, -1, 1, 5];
+
+/**
+ * Phone controller (?controller=1) for the game master walking the venue
+ * - Lists every room whose operator console is connected to the LAN sync server (./lanSync.js)
+ * - Pause / resume, add or remove minutes, grant bonus hints; the room's console applies and logs them
+ * - Opened from the sync server itself the address is filled in; the server key is always required
+ *   (it gates these admin actions, like the PIN on the console)
+ */
+export default function ControllerView() {
+  const [server, setServer] = useState(() => {
+    const saved = loadSyncServer();
+    return saved?.key ? saved : null;
+  });
+  const [urlInput, setUrlInput] = useState(() => server?.url || loadSyncServer()?.url || sameHostServerUrl());
+  const [keyInput, setKeyInput] = useState(() => server?.key || "");
+  const { status, rooms, error, sendCommand } = useLanRooms(server);
+  const [nowMs, setNowMs] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNowMs(Date.now()), 500);
+    return () => clearInterval(id);
+  }, []);
+
+  function handleConnect() {
+    const url = normalizeServerUrl(urlInput);
+    if (!url) return alert("서버 주소를 확인해 주세요. (예: 192.168.0.10:8787)");
+    if (!keyInput.trim()) return alert("서버 키를 입력해 주세요. (동기화 서버를 실행한 화면에 표시됩니다.)");
+    const next = { url, key: keyInput.trim() };
+    saveSyncServer(next);
+    setServer(next);
+    setUrlInput(url);
+  }
+
+  // room id / minutes come from the button's data attributes
+  function handleAdjust(e) {
+    const { roomId, deltaMin } = e.currentTarget.dataset;
+    sendCommand(roomId, { kind: CMD_ADJUST, deltaSec: Number(deltaMin) * 60 });
+  }
+
+  function handleBonus(e) {
+    const { roomId } = e.currentTarget.dataset;
+    const reason = prompt("보너스 힌트 +1 사유 (선택)");
+    if (reason === null) return;
+    sendCommand(roomId, { kind: CMD_BONUS, amount: 1, reason: reason.trim() });
+  }
+
+  const entries = Object.entries(rooms).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div style={controllerShell()}>
+      <h1 style={{ margin: "4px 0 12px", fontSize: 22 }}>방탈출 컨트롤러</h1>
+
+      <div style={{ ...controllerCard(), display: "grid", gap: 8 }}>
+        <input
+          value={urlInput}
+          onChange={(e) => setUrlInput(e.target.value)}
+          placeholder="동기화 서버 주소 (예: 192.168.0.10:8787)"
+          style={controllerInput()}
+        />
+        <input
+          type="password"
+          autoComplete="off"
+          value={keyInput}
+          onChange={(e) => setKeyInput(e.target.value)}
+          placeholder="서버 키"
+          style={controllerInput()}
+        />
+        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+          <button onClick={handleConnect} style={controllerBtn(true)}>
+            연결
+          </button>
+          <span style={{ fontSize: 14, color: status === SYNC_ONLINE ? "#8fd19e" : "#f3c76b" }}>
+            {SYNC_STATUS_LABELS[status]}
+          </span>
+        </div>
+        {error ? <div style={{ fontSize: 13, color: "#ffb4b4" }}>{SYNC_ERROR_LABELS[error] || error}</div> : null}
+      </div>
+
+      {status === SYNC_ONLINE && !entries.length ? (
+        <div style={{ marginTop: 14, color: "#aab2c5" }}>연결된 방이 없습니다. 방 PC의 관리자 메뉴에서 동기화 서버를 설정해 주세요.</div>
+      ) : null}
+
+      {entries.map(([roomId, { state, online, clockOffsetMs }]) => {
+        const remainingSec = getRemainingSec(state.timer, nowMs - clockOffsetMs);
+        const maxHintUses = state.maxHintUses + totalBonus(state.bonusGrants || []);
+        const paused = state.timer.status === TIMER_PAUSED;
+        const active = state.timer.status === TIMER_RUNNING || paused;
+        return (
+          <div key={roomId} style={{ ...controllerCard(), marginTop: 12, opacity: online ? 1 : 0.55 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+              <b style={{ fontSize: 18 }}>{state.roomName}</b>
+              <span style={{ fontSize: 13, color: online ? "#8fa3c5" : "#ffb4b4" }}>
+                {online ? STATUS_LABELS[state.timer.status] : "연결 끊김"}
+              </span>
+            </div>
+            <div style={{ fontSize: 48, fontWeight: 800, fontVariantNumeric: "tabular-nums", color: clockColor(remainingSec) }}>
+              {formatTime(remainingSec)}
+            </div>
+            <div style={{ fontSize: 14, color: "#aab2c5" }}>
+              힌트 {state.hintUses} / {maxHintUses} 사용
+            </div>
+
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+              <button
+                onClick={() => sendCommand(roomId, { kind: paused ? CMD_RESUME : CMD_PAUSE })}
+                disabled={!online || !active}
+                style={controllerBtn(online && active)}
+              >
+                {paused ? "재개" : "일시정지"}
+              </button>
+              {ADJUST_STEPS_MIN.map((m) => (
+                <button
+                  key={m}
+                  data-room-id={roomId}
+                  data-delta-min={m}
+                  onClick={handleAdjust}
+                  disabled={!online}
+                  style={controllerBtn(false)}
+                >
+                  {m > 0 ? "+" : ""}
+                  {m}분
+                </button>
+              ))}
+              <button data-room-id={roomId} onClick={handleBonus} disabled={!online} style={controllerBtn(false)}>
+                힌트 +1
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ======= Controller styles =======
+function controllerShell() {
+  return {
+    minHeight: "100vh",
+    maxWidth: 520,
+    margin: "0 auto",
+    padding: 16,
+    boxSizing: "border-box",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+    color: "#e6e8ee",
+    background: "#070a10",
+  };
+}
+
+function controllerCard() {
+  return {
+    background: "rgba(16, 22, 37, 0.92)",
+    border: "1px solid rgba(31, 42, 64, 0.9)",
+    borderRadius: 14,
+    padding: 14,
+  };
+}
+
+function controllerInput() {
+  return {
+    padding: "12px 12px",
+    borderRadius: 10,
+    border: "1px solid #2a3550",
+    background: "#0b0f19",
+    color: "#e6e8ee",
+    fontSize: 16, // 16px keeps iOS from zooming in on focus
+  };
+}
+
+function controllerBtn(primary) {
+  return {
+    minWidth: 64,
+    padding: "12px 14px",
+    borderRadius: 10,
+    border: primary ? "1px solid #3b5b9a" : "1px solid #2a3550",
+    background: primary ? "#24406f" : "#111726",
+    color: "#e6e8ee",
+    fontSize: 16,
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+}
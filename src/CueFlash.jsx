@@ -0,0 +1,23 @@
+import React from "react";
+
+/**
+ * Full-screen colour flash for a milestone / time-up cue
+ * - Rendered while the operator's cueFlash is set (cleared after CUE_FLASH_MS)
+ * - Click-through, so it never blocks the controls underneath
+ */
+export default function CueFlash({ flash }) {
+  return <div style={flashStyle(flash.timeUp)} />;
+}
+
+// ======= Flash styles =======
+function flashStyle(timeUp) {
+  const rgb = timeUp ? "255, 80, 80" : "243, 199, 107";
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 45,
+    pointerEvents: "none",
+    background: `rgba(${rgb}, 0.18)`,
+    boxShadow: `inset 0 0 0 10px rgba(${rgb}, 0.75), inset 0 0 120px rgba(${rgb}, 0.45)`,
+  };
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useMemo, useState } from "react";
+import AnnouncementOverlay from "./AnnouncementOverlay.jsx";
+import CueFlash from "./CueFlash.jsx";
+import HintBody from "./HintBody.jsx";
+import { clockColor, unlockAudio } from "./cues.js";
+import { makeT } from "./i18n.js";
+import { useRoomSnapshot } from "./sync.js";
+import { TIMER_FINISHED, TIMER_PAUSED, TIMER_RUNNING, getRemainingSec } from "./timer.js";
+import { formatTime } from "./utils.js";
+
+/**
+ * Player display (?display=1) for the in-room TV
+ * - Big countdown (colour shifts as time runs down), remaining hint count, latest opened hint, announcements
+ * - Flashes with the operator's milestone cues; milestone sound stays on the operator console,
+ *   game-master message chimes play here (browsers allow sound after a first tap on the screen)
+ * - Read-only: follows the operator tab via BroadcastChannel / storage events
+ */
+export default function DisplayWindow({ roomId }) {
+  // Live updates from the operator tab
+  const snapshot = useRoomSnapshot(roomId);
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [dismissedId, setDismissedId] = useState(null);
+  const { timer, announcement } = snapshot;
+  const t = makeT(snapshot.lang);
+
+  // audio may only start after a user gesture
+  useEffect(() => {
+    window.addEventListener("pointerdown", unlockAudio);
+    window.addEventListener("keydown", unlockAudio);
+    return () => {
+      window.removeEventListener("pointerdown", unlockAudio);
+      window.removeEventListener("keydown", unlockAudio);
+    };
+  }, []);
+
+  // Local tick (the snapshot only carries timestamps)
+  useEffect(() => {
+    if (timer.status !== TIMER_RUNNING) return;
+    const id = setInterval(() => setNowMs(Date.now()), 250);
+    return () => clearInterval(id);
+  }, [timer.status]);
+
+  const remainingSec = useMemo(() => getRemainingSec(timer, nowMs), [timer, nowMs]);
+  const hintRemaining = Math.max(0, snapshot.maxHintUses - snapshot.hintUses);
+  const { lastHint } = snapshot;
+
+  return (
+    <div style={displayShell()}>
+      {announcement && announcement.id !== dismissedId ? (
+        <AnnouncementOverlay announcement={announcement} lang={snapshot.lang} onDismiss={() => setDismissedId(announcement.id)} />
+      ) : null}
+      {snapshot.cueFlash ? <CueFlash flash={snapshot.cueFlash} /> : null}
+
+      <div style={{ fontSize: 22, color: "#8fa3c5", letterSpacing: 0.4 }}>{snapshot.roomName}</div>
+
+      <div style={displayClock(remainingSec)}>{formatTime(remainingSec)}</div>
+      <div style={{ minHeight: 32, fontSize: 24, color: "#f3c76b" }}>
+        {timer.status === TIMER_PAUSED
+          ? t("display.paused")
+          : timer.status === TIMER_FINISHED
+          ? timer.finishReason === "escaped"
+            ? t("display.escaped")
+            : t("display.ended")
+          : ""}
+      </div>
+
+      <div style={{ marginTop: 18, fontSize: 28, color: "#cfd5e4" }}>
+        {snapshot.score != null ? (
+          <>
+            {t("display.score")}: <b>{snapshot.score}</b>
+          </>
+        ) : (
+          <>
+            {t("display.hintsLeft")}: <b>{hintRemaining}</b> / {snapshot.maxHintUses}
+          </>
+        )}
+        {snapshot.penaltySec > 0 ? (
+          <span style={{ marginLeft: 16, color: "#ffb4b4" }}>
+            {t("display.penalty")} -{formatTime(snapshot.penaltySec)}
+          </span>
+        ) : null}
+      </div>
+
+      {lastHint ? (
+        <div style={displayHintCard()}>
+          <div style={{ fontSize: 16, color: "#98a2b3" }}>{t("display.lastHint")} · {lastHint.code}</div>
+          <div style={{ marginTop: 6, fontSize: 26, fontWeight: 700 }}>{lastHint.title}</div>
+          <div style={{ marginTop: 10 }}>
+            <HintBody text={lastHint.body} fontSize={24} lang={snapshot.lang} />
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// ======= Display styles =======
+function displayShell() {
+  return {
+    minHeight: "100vh",
+    padding: 32,
+    boxSizing: "border-box",
+    background: "#05070c",
+    color: "#e7e9ee",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    justifyContent: "center",
+    textAlign: "center",
+  };
+}
+
+function displayClock(remainingSec) {
+  return {
+    marginTop: 12,
+    fontSize: "min(22vw, 260px)",
+    fontWeight: 800,
+    fontVariantNumeric: "tabular-nums",
+    lineHeight: 1,
+    color: clockColor(remainingSec),
+  };
+}
+
+function displayHintCard() {
+  return {
+    marginTop: 28,
+    width: "100%",
+    maxWidth: 960,
+    background: "rgba(16, 22, 37, 0.92)",
+    border: "1px solid rgba(31, 42, 64, 0.9)",
+    borderRadius: 18,
+    padding: 24,
+    textAlign: "left",
+  };
+}
@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import { loadMedia } from "./hintMedia.js";
+import { makeT } from "./i18n.js";
+import { parseMarkdown } from "./markdown.js";
+
+/**
+ * Renders a hint body (safe Markdown subset from ./markdown.js) with embedded local media
+ * - Only React elements are produced; no HTML from the body ever reaches the DOM
+ * - `lang` only affects the loading / missing-file notes (./i18n.js)
+ */
+export default function HintBody({ text, fontSize = 14, lang }) {
+  const blocks = parseMarkdown(text);
+
+  return (
+    <div style={{ fontSize, lineHeight: 1.65 }}>
+      {blocks.map((b, i) => {
+        if (b.type === "media") return <MediaEmbed key={i} id={b.id} caption={b.caption} lang={lang} />;
+        if (b.type === "heading") {
+          const Tag = `h${b.level + 2}`;
+          return (
+            <Tag key={i} style={{ margin: "8px 0 4px", fontSize: fontSize + 6 - b.level * 2 }}>
+              <Inline nodes={b.inline} />
+            </Tag>
+          );
+        }
+        if (b.type === "list") {
+          const Tag = b.ordered ? "ol" : "ul";
+          return (
+            <Tag key={i} style={{ margin: "4px 0", paddingLeft: 22 }}>
+              {b.items.map((item, j) => (
+                <li key={j}>
+                  <Inline nodes={item} />
+                </li>
+              ))}
+            </Tag>
+          );
+        }
+        return (
+          <p key={i} style={{ margin: "4px 0" }}>
+            {b.lines.map((line, j) => (
+              <React.Fragment key={j}>
+                {j > 0 ? <br /> : null}
+                <Inline nodes={line} />
+              </React.Fragment>
+            ))}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
+
+function Inline({ nodes }) {
+  return nodes.map((n, i) => {
+    if (n.type === "strong") {
+      return (
+        <strong key={i}>
+          <Inline nodes={n.children} />
+        </strong>
+      );
+    }
+    if (n.type === "em") {
+      return (
+        <em key={i}>
+          <Inline nodes={n.children} />
+        </em>
+      );
+    }
+    if (n.type === "code") return <code key={i} style={inlineCodeStyle()}>{n.text}</code>;
+    return <React.Fragment key={i}>{n.text}</React.Fragment>;
+  });
+}
+
+/** Image or audio clip loaded from IndexedDB (object URL revoked on unmount) */
+function MediaEmbed({ id, caption, lang }) {
+  const [media, setMedia] = useState({ id: null, url: null, type: "", missing: false });
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    loadMedia(id)
+      .then((record) => {
+        if (cancelled) return;
+        if (!record) return setMedia({ id, url: null, type: "", missing: true });
+        url = URL.createObjectURL(record.blob);
+        setMedia({ id, url, type: record.type, missing: false });
+      })
+      .catch(() => {
+        if (!cancelled) setMedia({ id, url: null, type: "", missing: true });
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [id]);
+
+  const t = makeT(lang);
+  if (media.id !== id) return <div style={mediaNoteStyle()}>{t("media.loading")}</div>;
+  if (media.missing) return <div style={mediaNoteStyle()}>{t("media.missing", { name: caption || id })}</div>;
+
+  return (
+    <figure style={{ margin: "8px 0" }}>
+      {media.type.startsWith("audio/") ? (
+        <audio src={media.url} controls style={{ width: "100%" }} />
+      ) : (
+        <img src={media.url} alt={caption} style={{ maxWidth: "100%", borderRadius: 10, display: "block" }} />
+      )}
+      {caption ? <figcaption style={{ marginTop: 4, fontSize: 12, color: "#98a2b3" }}>{caption}</figcaption> : null}
+    </figure>
+  );
+}
+
+// ======= Hint body styles =======
+function inlineCodeStyle() {
+  return {
+    padding: "1px 5px",
+    borderRadius: 6,
+    background: "rgba(37, 49, 75, 0.7)",
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: "0.92em",
+  };
+}
+
+function mediaNoteStyle() {
+  return { margin: "8px 0", fontSize: 12, color: "#98a2b3" };
+}
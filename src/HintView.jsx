@@ -0,0 +1,79 @@
+import React from "react";
+import HintBody from "./HintBody.jsx";
+import { hintTiers } from "./hintTiers.js";
+import { localTierLabel, makeT } from "./i18n.js";
+
+/**
+ * Hint card shared by every hint display mode
+ * - Popup window (?hint=CODE&token=...), in-page modal and side panel all render this
+ * - Shows revealed tiers only; `note` is the small footer line, `onClose` the close button
+ * - `hint` should already be localized (localizeHint); `lang` covers the surrounding labels
+ */
+export default function HintView({ code, hint, revealed, note, lang, onClose }) {
+  const t = makeT(lang);
+  const tiers = hintTiers(hint);
+  const shown = tiers.slice(0, Math.max(1, revealed));
+
+  return (
+    <div style={hintViewCard()}>
+      <h1 style={{ margin: 0, fontSize: 16, letterSpacing: 0.2 }}>
+        {hint?.title || t("hint.title")}
+      </h1>
+
+      {hint ? (
+        <>
+          {shown.map((tier, i) => (
+            <div key={i} style={{ marginTop: 10 }}>
+              {tiers.length > 1 ? (
+                <div style={{ fontSize: 12, fontWeight: 700, color: "#8fa3c5" }}>{localTierLabel(lang, tiers, i)}</div>
+              ) : null}
+              <div style={{ marginTop: 4 }}>
+                <HintBody text={tier.body} lang={lang} />
+              </div>
+            </div>
+          ))}
+          <div style={{ marginTop: 12, fontSize: 12, color: "#98a2b3" }}>
+            {note} ({t("hintView.code", { code })}
+            {tiers.length > 1 ? ` · ${t("hint.steps", { n: shown.length, total: tiers.length })}` : ""})
+          </div>
+        </>
+      ) : (
+        <div style={{ marginTop: 12, color: "#aab2c5", fontSize: 13 }}>
+          {t("hintView.invalid")} <b>{code}</b>
+        </div>
+      )}
+
+      <button style={hintViewBtn()} onClick={onClose}>
+        {t("hintView.close")}
+      </button>
+    </div>
+  );
+}
+
+// ======= Hint view styles =======
+function hintViewCard() {
+  return {
+    width: "100%",
+    maxWidth: 520,
+    boxSizing: "border-box",
+    background: "rgba(16, 22, 37, 0.92)",
+    border: "1px solid rgba(31, 42, 64, 0.9)",
+    borderRadius: 14,
+    padding: 16,
+    color: "#e7e9ee",
+    boxShadow: "0 10px 30px rgba(0,0,0,0.28)",
+  };
+}
+
+function hintViewBtn() {
+  return {
+    marginTop: 14,
+    padding: "10px 12px",
+    borderRadius: 10,
+    border: "1px solid #25314b",
+    background: "rgba(20, 29, 47, 0.88)",
+    color: "#e7e9ee",
+    cursor: "pointer",
+    fontWeight: 600,
+  };
+}
@@ -0,0 +1,45 @@
+import React, { useRef, useState } from "react";
+import { MAX_MEDIA_BYTES, isMediaFile, mediaMarkdown, saveMedia } from "./hintMedia.js";
+
+/**
+ * "이미지/오디오 첨부" button for the hint forms
+ * - Stores the picked file in IndexedDB and hands back the Markdown line that embeds it
+ */
+export default function MediaAttachButton({ onAttached, style }) {
+  const inputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+    if (!isMediaFile(file)) return alert("이미지 또는 오디오 파일만 첨부할 수 있습니다.");
+    if (file.size > MAX_MEDIA_BYTES) {
+      return alert(`첨부 파일은 ${Math.round(MAX_MEDIA_BYTES / 1024 / 1024)}MB 이하만 가능합니다.`);
+    }
+
+    setBusy(true);
+    try {
+      const id = await saveMedia(file, Date.now());
+      onAttached(mediaMarkdown(id, file.name.replace(/\.[^.]+$/, "")));
+    } catch {
+      alert("첨부 파일을 저장하지 못했습니다. (브라우저 저장소를 사용할 수 없습니다)");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <input ref={inputRef} type="file" accept="image/*,audio/*" onChange={handleFile} style={{ display: "none" }} />
+      <button
+        onClick={() => inputRef.current?.click()}
+        style={style}
+        disabled={busy}
+        title="이미지·오디오를 이 브라우저에 저장하고 내용에 삽입합니다. (인터넷 연결 없이 표시)"
+      >
+        {busy ? "저장 중…" : "이미지/오디오 첨부"}
+      </button>
+    </>
+  );
+}
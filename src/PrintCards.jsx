@@ -0,0 +1,233 @@
+import React, { useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import { cardStatus, forgetCard, loadPrintedCards, markPrinted, savePrintedCards } from "./hintCards.js";
+import { qrMatrix } from "./qrCode.js";
+import { buildCodeUrl } from "./utils.js";
+
+const QR_QUIET = 4; // modules of white border the spec asks for
+
+// printing shows only the card sheet: everything else on the page is hidden
+const PRINT_CSS = `
+@media print {
+  body > :not([data-print-cards]) { display: none !important; }
+  body { display: block !important; background: #fff !important; }
+  [data-print-cards] { position: static !important; overflow: visible !important; background: none !important; padding: 0 !important; }
+  [data-print-hide] { display: none !important; }
+  [data-print-sheet] { box-shadow: none !important; padding: 0 !important; }
+}
+`;
+
+/** Offline QR (./qrCode.js) as an SVG: one path of dark modules, scales without blur */
+function QrSvg({ text, size }) {
+  const path = useMemo(() => {
+    const matrix = qrMatrix(text);
+    const parts = [];
+    matrix.forEach((row, y) =>
+      row.forEach((dark, x) => {
+        if (dark) parts.push(`M${x + QR_QUIET} ${y + QR_QUIET}h1v1h-1z`);
+      })
+    );
+    return { d: parts.join(""), n: matrix.length + QR_QUIET * 2 };
+  }, [text]);
+
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${path.n} ${path.n}`} shapeRendering="crispEdges" role="img" aria-label={text}>
+      <rect width={path.n} height={path.n} fill="#fff" />
+      <path d={path.d} fill="#000" />
+    </svg>
+  );
+}
+
+/**
+ * Admin "카드 인쇄" view for the room's hint catalogue (./hintCards.js)
+ * - One card per code: room name, the code, and a QR that pre-fills the code on the room screen
+ *   (titles stay off the card so it gives nothing away)
+ * - Remembers what was printed, so codes added since, and printed cards whose code was
+ *   deleted or renamed, are flagged
+ */
+export default function PrintCards({ room, roomId, hints, onClose }) {
+  const [printed, setPrinted] = useState(() => loadPrintedCards(roomId));
+  const [onlyUnprinted, setOnlyUnprinted] = useState(false);
+
+  const { cards, stale } = useMemo(() => cardStatus(hints, printed), [hints, printed]);
+  const unprinted = cards.filter((c) => c.printedAtMs == null);
+  const sheet = onlyUnprinted ? unprinted : cards;
+
+  function updatePrinted(next) {
+    setPrinted(next);
+    savePrintedCards(roomId, next);
+  }
+
+  function handlePrint() {
+    if (!sheet.length) return alert("인쇄할 카드가 없습니다.");
+    window.print();
+    if (!confirm(`카드 ${sheet.length}장을 인쇄했나요?\n확인을 누르면 인쇄 기록에 남겨, 이후 코드가 바뀌면 알려 드립니다.`)) return;
+    updatePrinted(markPrinted(printed, sheet.map((c) => c.code), Date.now()));
+  }
+
+  function handleCollected(e) {
+    const { code } = e.currentTarget.dataset;
+    if (!confirm(`${code} 카드를 방에서 회수했나요? 목록에서 지웁니다.`)) return;
+    updatePrinted(forgetCard(printed, code));
+  }
+
+  return createPortal(
+    <div data-print-cards="" style={printOverlay()}>
+      <style>{PRINT_CSS}</style>
+      <div data-print-hide="" style={printPanel()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+          <h2 style={{ margin: 0, fontSize: 18 }}>힌트 코드 카드 인쇄 ({room.name})</h2>
+          <button onClick={onClose} style={printBtn(false)}>
+            닫기
+          </button>
+        </div>
+
+        <div style={{ marginTop: 8, fontSize: 13, color: "#aab2c5" }}>
+          카드의 QR 코드를 스캔하면 이 방 화면의 힌트 코드 입력란이 채워집니다. (방 화면이 아닌 기기, 예를 들어 플레이어의
+          휴대폰에서는 코드를 방 화면에 입력하라는 안내만 나옵니다.) 힌트는 평소처럼 &quot;힌트 열기&quot;로 열고, 사용
+          횟수도 그때 차감됩니다. QR은 이 기기에서 만들어지며, 주소는 지금 보고 있는 앱 주소를 따릅니다.
+        </div>
+
+        {stale.length ? (
+          <div style={printWarnBox()}>
+            <div style={{ fontWeight: 700 }}>회수할 카드 {stale.length}장: 인쇄 후 삭제되었거나 이름이 바뀐 코드입니다.</div>
+            <div style={{ display: "grid", gap: 6, marginTop: 8 }}>
+              {stale.map((c) => (
+                <div key={c.code} style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                  <span style={{ fontWeight: 700 }}>{c.code}</span>
+                  <span style={{ color: "#f3c76b" }}>{c.renamedTo ? `→ ${c.renamedTo}로 변경됨` : "삭제됨"}</span>
+                  <span style={{ fontSize: 12, color: "#aab2c5" }}>{new Date(c.printedAtMs).toLocaleDateString()} 인쇄</span>
+                  <button data-code={c.code} onClick={handleCollected} style={printBtn(false)}>
+                    회수 완료
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : null}
+
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+          <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+            <input type="checkbox" checked={onlyUnprinted} onChange={(e) => setOnlyUnprinted(e.target.checked)} />
+            인쇄 안 된 카드만 ({unprinted.length})
+          </label>
+          <button onClick={handlePrint} style={printBtn(true)}>
+            카드 {sheet.length}장 인쇄
+          </button>
+        </div>
+      </div>
+
+      <div data-print-sheet="" style={printSheet()}>
+        {sheet.length ? (
+          sheet.map((c) => (
+            <div key={c.code} style={printCard()}>
+              <div style={{ fontSize: 12, color: "#555" }}>{room.name}</div>
+              <div style={{ fontSize: 30, fontWeight: 800, letterSpacing: 1, margin: "4px 0 8px" }}>{c.code}</div>
+              <QrSvg text={buildCodeUrl(c.code, roomId)} size={132} />
+              {c.printedAtMs == null ? (
+                <div data-print-hide="" style={printNewBadge()}>
+                  새 카드
+                </div>
+              ) : null}
+            </div>
+          ))
+        ) : (
+          <div style={{ color: "#555", fontSize: 14 }}>{onlyUnprinted ? "모든 카드가 인쇄되어 있습니다." : "힌트가 없습니다."}</div>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+// ======= Print card styles =======
+function printOverlay() {
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 45,
+    background: "rgba(5, 8, 14, 0.8)",
+    overflowY: "auto",
+    padding: 18,
+    boxSizing: "border-box",
+  };
+}
+
+function printPanel() {
+  return {
+    maxWidth: 860,
+    margin: "0 auto 14px",
+    background: "rgba(16, 22, 37, 0.97)",
+    border: "1px solid rgba(31, 42, 64, 0.95)",
+    borderRadius: 16,
+    padding: 18,
+    color: "#e6e8ee",
+  };
+}
+
+function printWarnBox() {
+  return {
+    marginTop: 12,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(243, 199, 107, 0.6)",
+    background: "rgba(60, 44, 12, 0.55)",
+    fontSize: 13,
+  };
+}
+
+function printSheet() {
+  return {
+    maxWidth: 860,
+    margin: "0 auto",
+    padding: 18,
+    boxSizing: "border-box",
+    background: "#fff",
+    color: "#111",
+    borderRadius: 4,
+    boxShadow: "0 6px 24px rgba(0, 0, 0, 0.4)",
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+    gap: 12,
+  };
+}
+
+function printCard() {
+  return {
+    position: "relative",
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    padding: "12px 10px",
+    border: "1px dashed #999",
+    borderRadius: 8,
+    breakInside: "avoid",
+    fontFamily: "system-ui, sans-serif",
+  };
+}
+
+function printNewBadge() {
+  return {
+    position: "absolute",
+    top: 6,
+    right: 6,
+    padding: "1px 6px",
+    borderRadius: 6,
+    background: "#3b6fd1",
+    color: "#fff",
+    fontSize: 11,
+    fontWeight: 700,
+  };
+}
+
+function printBtn(primary) {
+  return {
+    padding: "8px 14px",
+    borderRadius: 10,
+    border: primary ? "1px solid #3b6fd1" : "1px solid #25314b",
+    background: primary ? "#3b6fd1" : "#111726",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontWeight: 700,
+  };
+}
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { corruptStateRaw, discardCorruptState, listSnapshots, restoreSnapshot } from "./stateStore.js";
+import { downloadText, fileStamp } from "./utils.js";
+
+const PROBLEMS = {
+  parse: "저장된 데이터가 손상되어 읽을 수 없습니다.",
+  checksum: "저장된 데이터가 중간에 끊겼거나 바뀌어 검증에 실패했습니다.",
+  version: "더 새로운 버전의 앱이 저장한 데이터입니다. 가능하면 앱을 새 버전으로 열어 주세요.",
+};
+
+/**
+ * Shown instead of the operator console when the state document can't be trusted (./stateStore.js)
+ * - Nothing is written until the operator picks: restore a snapshot, or start fresh
+ * - Either way the unreadable copy can be downloaded first and is kept in LS_STATE_CORRUPT
+ */
+export default function RecoveryScreen({ problem }) {
+  const [snapshots] = useState(() => listSnapshots());
+
+  function handleDownload() {
+    downloadText(`escape-state-corrupt-${fileStamp(Date.now())}.json`, corruptStateRaw(), "application/json");
+  }
+
+  // snapshot id comes from the button's data-id
+  function handleRestore(e) {
+    const snap = snapshots.find((s) => s.id === e.currentTarget.dataset.id);
+    if (!snap || !confirm(`${new Date(snap.atMs).toLocaleString("ko-KR")} 백업으로 복원할까요?`)) return;
+    if (!restoreSnapshot(snap.id)) return alert("이 백업도 읽을 수 없습니다. 다른 백업을 선택해 주세요.");
+    window.location.reload();
+  }
+
+  function handleStartFresh() {
+    if (!confirm("저장된 데이터 없이 새로 시작할까요?\n방 설정, 힌트 목록, 리더보드가 모두 초기 상태로 돌아갑니다.")) return;
+    discardCorruptState();
+    window.location.reload();
+  }
+
+  return (
+    <div style={recoveryShell()}>
+      <div style={recoveryCard()}>
+        <h1 style={{ margin: "0 0 8px", fontSize: 22 }}>저장 데이터 복구</h1>
+        <div style={{ color: "#ffb4b4" }}>{PROBLEMS[problem] || PROBLEMS.parse}</div>
+        <div style={{ marginTop: 6, fontSize: 13, color: "#aab2c5" }}>
+          자동으로 초기화하지 않았습니다. 아래 백업에서 복원하거나, 새로 시작할 수 있습니다.
+        </div>
+
+        <button onClick={handleDownload} style={{ ...recoveryBtn(false), marginTop: 14 }}>
+          손상된 데이터 내려받기
+        </button>
+
+        <h2 style={{ margin: "20px 0 8px", fontSize: 16 }}>백업 ({snapshots.length})</h2>
+        {snapshots.length ? (
+          <div style={{ display: "grid", gap: 8 }}>
+            {snapshots.map((s) => (
+              <div key={s.id} style={recoveryRow()}>
+                <span>
+                  {new Date(s.atMs).toLocaleString("ko-KR")}
+                  <span style={{ marginLeft: 8, fontSize: 12, color: "#8fa3c5" }}>{s.reason}</span>
+                </span>
+                <button data-id={s.id} onClick={handleRestore} style={recoveryBtn(true)}>
+                  복원
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div style={{ fontSize: 13, color: "#7f8aa6" }}>저장된 백업이 없습니다.</div>
+        )}
+
+        <button onClick={handleStartFresh} style={{ ...recoveryBtn(false), marginTop: 20, borderColor: "#6b2b2b" }}>
+          새로 시작
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ======= Recovery styles =======
+function recoveryShell() {
+  return {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+    boxSizing: "border-box",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+    color: "#e6e8ee",
+    background: "#070a10",
+  };
+}
+
+function recoveryCard() {
+  return {
+    width: "100%",
+    maxWidth: 560,
+    background: "rgba(16, 22, 37, 0.97)",
+    border: "1px solid rgba(255, 138, 138, 0.45)",
+    borderRadius: 16,
+    padding: 24,
+    boxShadow: "0 10px 30px rgba(0,0,0,0.4)",
+  };
+}
+
+function recoveryRow() {
+  return {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 10,
+    padding: "8px 10px",
+    borderRadius: 10,
+    border: "1px solid #1f2a40",
+    background: "#0b0f19",
+  };
+}
+
+function recoveryBtn(primary) {
+  return {
+    padding: "8px 14px",
+    borderRadius: 10,
+    border: primary ? "1px solid #3b5b9a" : "1px solid #25314b",
+    background: primary ? "#24406f" : "#111726",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontWeight: 700,
+  };
+}
@@ -0,0 +1,100 @@
+import React from "react";
+import { makeT } from "./i18n.js";
+import { formatTime } from "./utils.js";
+
+/**
+ * Full-screen "탈출 성공" result card (meant to be photographed with the team)
+ */
+export default function ResultScreen({ roomName, result, rank, lang, onClose }) {
+  const t = makeT(lang);
+  const finishedAt = new Date(result.finishedAtMs);
+
+  return (
+    <div style={resultOverlay()}>
+      <div style={resultCard()}>
+        <div style={{ fontSize: 16, color: "#8fa3c5", letterSpacing: 0.4 }}>{roomName}</div>
+        <div style={{ marginTop: 8, fontSize: 44, fontWeight: 800 }}>{t("result.escaped")}</div>
+        <div style={{ marginTop: 6, fontSize: 26, fontWeight: 700 }}>{result.teamName}</div>
+
+        <div style={resultGrid()}>
+          <ResultStat label={t("result.clearTime")} value={formatTime(result.clearSec)} />
+          <ResultStat label={t("result.remaining")} value={formatTime(Math.max(0, result.durationSec - result.clearSec))} />
+          <ResultStat label={t("result.hints")} value={t("result.count", { n: result.hintUses })} />
+          <ResultStat label={t("result.bonus")} value={t("result.count", { n: result.hintBonus })} />
+          {result.score != null ? <ResultStat label={t("result.score")} value={result.score} /> : null}
+          {result.penaltySec > 0 ? <ResultStat label={t("result.penalty")} value={`-${formatTime(result.penaltySec)}`} /> : null}
+        </div>
+
+        {rank ? <div style={{ marginTop: 14, fontSize: 18, color: "#f3c76b" }}>{t("result.rank", { rank })}</div> : null}
+
+        <div style={{ marginTop: 10, fontSize: 13, color: "#98a2b3" }}>
+          {finishedAt.toLocaleDateString()} {finishedAt.toLocaleTimeString()}
+        </div>
+
+        <button style={resultCloseBtn()} onClick={onClose}>
+          {t("result.close")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ResultStat({ label, value }) {
+  return (
+    <div style={{ padding: "12px 10px", borderRadius: 12, background: "rgba(12, 18, 32, 0.85)" }}>
+      <div style={{ fontSize: 13, color: "#aab2c5" }}>{label}</div>
+      <div style={{ marginTop: 4, fontSize: 24, fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>{value}</div>
+    </div>
+  );
+}
+
+// ======= Result styles =======
+function resultOverlay() {
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 50,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+    background:
+      "radial-gradient(800px 520px at 50% 30%, rgba(52, 74, 120, 0.35), transparent 60%)," +
+      "rgba(5, 7, 12, 0.96)",
+  };
+}
+
+function resultCard() {
+  return {
+    width: "100%",
+    maxWidth: 560,
+    textAlign: "center",
+    background: "rgba(16, 22, 37, 0.96)",
+    border: "1px solid rgba(31, 42, 64, 0.9)",
+    borderRadius: 20,
+    padding: 28,
+    boxShadow: "0 10px 30px rgba(0,0,0,0.28)",
+  };
+}
+
+function resultGrid() {
+  return {
+    marginTop: 20,
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: 10,
+  };
+}
+
+function resultCloseBtn() {
+  return {
+    marginTop: 18,
+    padding: "10px 14px",
+    borderRadius: 12,
+    border: "1px solid #25314b",
+    background: "rgba(20, 29, 47, 0.88)",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontWeight: 600,
+  };
+}
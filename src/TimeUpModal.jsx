@@ -0,0 +1,62 @@
+import React from "react";
+import { makeT } from "./i18n.js";
+
+/**
+ * In-app "시간 종료" modal (replaces the blocking alert so the tick loop and sync keep running)
+ */
+export default function TimeUpModal({ roomName, lang, onClose }) {
+  const t = makeT(lang);
+  return (
+    <div style={timeUpOverlay()}>
+      <div style={timeUpCard()}>
+        <div style={{ fontSize: 16, color: "#8fa3c5", letterSpacing: 0.4 }}>{roomName}</div>
+        <div style={{ marginTop: 8, fontSize: 44, fontWeight: 800, color: "#ff8a8a" }}>{t("timeUp.title")}</div>
+        <div style={{ marginTop: 8, fontSize: 14, color: "#aab2c5" }}>{t("timeUp.note")}</div>
+        <button style={timeUpCloseBtn()} onClick={onClose} autoFocus>
+          {t("timeUp.ok")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ======= Time-up styles =======
+function timeUpOverlay() {
+  return {
+    position: "fixed",
+    inset: 0,
+    zIndex: 50,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+    background: "rgba(5, 7, 12, 0.85)",
+  };
+}
+
+function timeUpCard() {
+  return {
+    width: "100%",
+    maxWidth: 480,
+    textAlign: "center",
+    background: "rgba(16, 22, 37, 0.97)",
+    border: "1px solid rgba(255, 138, 138, 0.55)",
+    borderRadius: 20,
+    padding: 28,
+    color: "#e7e9ee",
+    boxShadow: "0 10px 30px rgba(0,0,0,0.4)",
+  };
+}
+
+function timeUpCloseBtn() {
+  return {
+    marginTop: 18,
+    padding: "10px 18px",
+    borderRadius: 12,
+    border: "1px solid #25314b",
+    background: "rgba(25, 45, 84, 0.9)",
+    color: "#e6e8ee",
+    cursor: "pointer",
+    fontWeight: 700,
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Admin PIN (set on first run, never stored in plain text)
+ * - PBKDF2-SHA-256 with a random salt (./pbkdf2.js)
+ * - Lockout after repeated failures; the record is shared by every room on this browser
+ */
+import { fromBase64, pbkdf2, randomSalt, sameHash, toBase64 } from "./pbkdf2.js";
+import { LS_ADMIN, safeJsonParse } from "./storage.js";
+
+export const MIN_PIN_LENGTH = 4;
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MS = 5 * 60 * 1000;
+export const ADMIN_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const PBKDF2_ITERATIONS = 150000;
+
+export function loadAdminAuth() {
+  const saved = safeJsonParse(localStorage.getItem(LS_ADMIN), null);
+  if (!saved || typeof saved.hash !== "string" || typeof saved.salt !== "string") return null;
+  return {
+    salt: saved.salt,
+    hash: saved.hash,
+    iterations: Number.isFinite(saved.iterations) ? saved.iterations : PBKDF2_ITERATIONS,
+    failedAttempts: Number.isFinite(saved.failedAttempts) ? saved.failedAttempts : 0,
+    lockedUntilMs: Number.isFinite(saved.lockedUntilMs) ? saved.lockedUntilMs : 0,
+  };
+}
+
+export function saveAdminAuth(auth) {
+  localStorage.setItem(LS_ADMIN, JSON.stringify(auth));
+}
+
+/** New record for `pin` (fresh salt, counters cleared) */
+export async function createAdminAuth(pin) {
+  const salt = randomSalt();
+  return {
+    salt: toBase64(salt),
+    hash: await pbkdf2(pin, salt, PBKDF2_ITERATIONS),
+    iterations: PBKDF2_ITERATIONS,
+    failedAttempts: 0,
+    lockedUntilMs: 0,
+  };
+}
+
+export async function verifyPin(auth, pin) {
+  return sameHash(await pbkdf2(pin, fromBase64(auth.salt), auth.iterations), auth.hash);
+}
+
+/** Record a failed attempt; locks once MAX_FAILED_ATTEMPTS is reached */
+export function registerFailure(auth, nowMs) {
+  const failedAttempts = auth.failedAttempts + 1;
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    return { ...auth, failedAttempts: 0, lockedUntilMs: nowMs + LOCKOUT_MS };
+  }
+  return { ...auth, failedAttempts };
+}
+
+export function clearFailures(auth) {
+  return { ...auth, failedAttempts: 0, lockedUntilMs: 0 };
+}
+
+export function isPinValid(pin) {
+  return /^\d+$/.test(pin) && pin.length >= MIN_PIN_LENGTH;
+}
@@ -0,0 +1,113 @@
+/**
+ * Cross-session history + analytics
+ * - Every finished session (escaped or timed out) is archived per room as a compact record,
+ *   built from its session log; kept across session resets, newest MAX_HISTORY per room, and
+ *   left out of state snapshots (./stateStore.js) so backups don't copy it again and again
+ * - Stats for the admin dashboard (./AnalyticsView.jsx): hint open rate / median open time,
+ *   escape rate, clear-time distribution, average hints used
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_HISTORY } from "./storage.js";
+
+export const MAX_HISTORY = 1000;
+export const CLEAR_BUCKET_MIN = 5;
+
+export function loadHistory(roomId) {
+  const saved = readRoomItem(roomId, LS_HISTORY);
+  return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Session log ending in a "finish" event -> history record, or null if the session isn't finished.
+ * Auto-pushed (schedule) hints aren't counted as opened by the team.
+ */
+export function summarizeSession(log, { roomId, hintUses }) {
+  const finish = log.findLast((e) => e.type === "finish");
+  if (!finish) return null;
+  const start = log.find((e) => e.type === "start");
+  const startedAtMs = start ? start.atMs : finish.atMs - finish.elapsedSec * 1000;
+  return {
+    id: String(startedAtMs),
+    roomId,
+    startedAtMs,
+    finishedAtMs: finish.atMs,
+    escaped: finish.reason === "escaped",
+    elapsedSec: finish.elapsedSec,
+    hintUses,
+    hints: log.filter((e) => e.type === "hint" && !e.auto).map((e) => ({ code: e.code, elapsedSec: e.elapsedSec })),
+  };
+}
+
+/** Adds the record unless this session is already archived; returns whether it was added */
+export function archiveSession(roomId, record) {
+  const history = loadHistory(roomId);
+  if (history.some((r) => r.id === record.id)) return false;
+  writeRoomItem(roomId, LS_HISTORY, [...history, record].slice(-MAX_HISTORY));
+  return true;
+}
+
+// ======= Stats =======
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** `fromMs` / `toMs` inclusive, either may be null; `roomId` null = every room */
+export function filterSessions(sessions, { fromMs, toMs, roomId }) {
+  return sessions.filter(
+    (s) =>
+      (fromMs == null || s.startedAtMs >= fromMs) &&
+      (toMs == null || s.startedAtMs <= toMs) &&
+      (!roomId || s.roomId === roomId)
+  );
+}
+
+/**
+ * Per code: { code, sessions (teams that opened it), rate (0..1), medianSec (first open) },
+ * most opened first
+ */
+export function hintStats(sessions) {
+  const firstOpen = new Map(); // code -> [elapsedSec per session]
+  for (const s of sessions) {
+    const seen = new Set();
+    for (const h of s.hints) {
+      if (seen.has(h.code)) continue;
+      seen.add(h.code);
+      if (!firstOpen.has(h.code)) firstOpen.set(h.code, []);
+      firstOpen.get(h.code).push(h.elapsedSec);
+    }
+  }
+  return [...firstOpen.entries()]
+    .map(([code, times]) => ({
+      code,
+      sessions: times.length,
+      rate: times.length / sessions.length,
+      medianSec: median(times),
+    }))
+    .sort((a, b) => b.sessions - a.sessions || a.code.localeCompare(b.code));
+}
+
+export function summaryStats(sessions) {
+  const escaped = sessions.filter((s) => s.escaped);
+  return {
+    count: sessions.length,
+    escapeRate: sessions.length ? escaped.length / sessions.length : null,
+    medianClearSec: median(escaped.map((s) => s.elapsedSec)),
+    avgHintUses: sessions.length ? sessions.reduce((sum, s) => sum + s.hintUses, 0) / sessions.length : null,
+  };
+}
+
+/** Escaped sessions by clear time: [{ fromMin, toMin, count }] in CLEAR_BUCKET_MIN steps, no gaps */
+export function clearTimeBuckets(sessions, bucketMin = CLEAR_BUCKET_MIN) {
+  const times = sessions.filter((s) => s.escaped).map((s) => s.elapsedSec);
+  if (!times.length) return [];
+  const step = bucketMin * 60;
+  const first = Math.floor(Math.min(...times) / step);
+  const last = Math.floor(Math.max(...times) / step);
+  const buckets = [];
+  for (let i = first; i <= last; i++) buckets.push({ fromMin: i * bucketMin, toMin: (i + 1) * bucketMin, count: 0 });
+  for (const sec of times) buckets[Math.floor(sec / step) - first].count += 1;
+  return buckets;
+}
@@ -0,0 +1,78 @@
+/**
+ * Answer / lock-code checking for puzzles
+ * - Guesses and stored answers go through normalizeAnswer (normalizeCode + arrows → U/D/L/R,
+ *   spaces and separators dropped), so "1 2-3 4", "1234" and "←↑" vs "LU" compare equal
+ * - A puzzle keeps plain `answers`, or `answerHashes` ("pbkdf2$iterations$salt$hash", PBKDF2-SHA-256 of
+ *   "puzzleId:answer" with a salt per answer) so they can't be read back from saved settings or an
+ *   exported room. This only slows guessing down: a 3-4 digit lock code still falls to a brute force
+ *   of the export within minutes, so treat exports as secret either way. Older unsalted SHA-256 hex
+ *   entries still match; saving the answers again replaces them
+ * - Wrong guesses can cost time (penaltySec) and/or lock that puzzle's input (cooldownSec);
+ *   the cooldown is derived from the session log, so a reload doesn't clear it
+ */
+import { fromBase64, pbkdf2, randomSalt, sameHash, sha256Hex, toBase64 } from "./pbkdf2.js";
+import { normalizeCode } from "./utils.js";
+
+const ANSWER_ITERATIONS = 100000;
+
+const ARROWS = { "↑": "U", "↓": "D", "←": "L", "→": "R" };
+
+export function normalizeAnswer(text) {
+  return normalizeCode(text)
+    .replace(/[↑↓←→]/g, (m) => ARROWS[m])
+    .replace(/[\s,·.\-_/]+/g, "");
+}
+
+export function hasAnswers(puzzle) {
+  return puzzle.answers.length > 0 || puzzle.answerHashes.length > 0;
+}
+
+export async function hashAnswer(puzzleId, answer) {
+  const salt = randomSalt();
+  const hash = await pbkdf2(`${puzzleId}:${normalizeAnswer(answer)}`, salt, ANSWER_ITERATIONS);
+  return `pbkdf2$${ANSWER_ITERATIONS}$${toBase64(salt)}$${hash}`;
+}
+
+async function matchesHash(stored, puzzleId, normalized) {
+  const [scheme, iterations, salt, hash] = stored.split("$");
+  if (scheme === "pbkdf2") {
+    return sameHash(await pbkdf2(`${puzzleId}:${normalized}`, fromBase64(salt), Number(iterations)), hash);
+  }
+  // legacy: unsalted SHA-256 hex
+  return sameHash(await sha256Hex(`${puzzleId}:${normalized}`), stored);
+}
+
+/** Resolves true when `guess` matches one of the puzzle's accepted answers */
+export async function matchAnswer(puzzle, guess) {
+  const normalized = normalizeAnswer(guess);
+  if (!normalized) return false;
+  if (puzzle.answers.some((a) => normalizeAnswer(a) === normalized)) return true;
+  for (const stored of puzzle.answerHashes) {
+    if (await matchesHash(stored, puzzle.id, normalized)) return true;
+  }
+  return false;
+}
+
+/** Answer settings from the editor; hashed answers replace the plain ones */
+export async function buildAnswerConfig(puzzle, { answersText, hashed, penaltySec, cooldownSec, followUp }) {
+  const answers = [...new Set(answersText.split(/\r?\n/).map(normalizeAnswer).filter(Boolean))];
+  let answerConfig = { answers, answerHashes: [] };
+  if (hashed) {
+    answerConfig = answers.length
+      ? { answers: [], answerHashes: await Promise.all(answers.map((a) => hashAnswer(puzzle.id, a))) }
+      : { answers: [], answerHashes: puzzle.answerHashes }; // blank = keep the existing hashes
+  }
+  return { ...puzzle, ...answerConfig, penaltySec, cooldownSec, followUp: followUp.trim() };
+}
+
+/** ms timestamp until which the puzzle's input is locked (0 = open) */
+export function cooldownUntilMs(log, puzzle) {
+  if (!puzzle.cooldownSec) return 0;
+  for (let i = log.length - 1; i >= 0; i--) {
+    const e = log[i];
+    if (e.type === "answer" && e.puzzleId === puzzle.id) {
+      return e.correct ? 0 : e.atMs + puzzle.cooldownSec * 1000;
+    }
+  }
+  return 0;
+}
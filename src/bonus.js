@@ -0,0 +1,27 @@
+/**
+ * Bonus hint grants
+ * - History of { id, amount, reason, atMs }; amount may be negative
+ * - The bonus (and so maxHintUses) is always derived from this history
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_BONUS } from "./storage.js";
+
+export function makeGrant(amount, reason, atMs) {
+  return { id: `${atMs}-${Math.random().toString(36).slice(2, 8)}`, amount, reason, atMs };
+}
+
+export function totalBonus(grants) {
+  return grants.reduce((sum, g) => sum + g.amount, 0);
+}
+
+/** Older builds stored a plain counter under the same key; keep it as one grant */
+export function loadBonusGrants(roomId) {
+  const saved = readRoomItem(roomId, LS_BONUS);
+  if (Array.isArray(saved)) return saved.filter((g) => Number.isFinite(g?.amount));
+  if (Number.isFinite(saved) && saved !== 0) return [makeGrant(saved, "이전 지급분", 0)];
+  return [];
+}
+
+export function saveBonusGrants(roomId, grants) {
+  writeRoomItem(roomId, LS_BONUS, grants);
+}
@@ -0,0 +1,122 @@
+/**
+ * Time milestone cues (e.g. 30 / 10 / 5 / 1 min left, plus time-up)
+ * - Chime via Web Audio (no sound files), spoken countdown via speechSynthesis
+ * - Settings are per room: milestones, volume, mute, speech and screen flash
+ * - Browsers keep audio suspended until a user gesture, so unlockAudio() is called from the start/resume clicks
+ */
+import { SPEECH_LANGS, translate } from "./i18n.js";
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_CUES } from "./storage.js";
+
+export const CUE_FLASH_MS = 1500;
+
+export const DEFAULT_CUE_SETTINGS = {
+  milestonesMin: [30, 10, 5, 1],
+  volume: 0.7, // 0..1
+  muted: false,
+  speech: true,
+  flash: true,
+};
+
+export function normalizeCueSettings(saved) {
+  const base = DEFAULT_CUE_SETTINGS;
+  if (!saved || typeof saved !== "object") return { ...base };
+  return {
+    milestonesMin: Array.isArray(saved.milestonesMin)
+      ? parseMilestones(saved.milestonesMin.join(","))
+      : base.milestonesMin,
+    volume: Number.isFinite(saved.volume) ? Math.min(1, Math.max(0, saved.volume)) : base.volume,
+    muted: Boolean(saved.muted),
+    speech: saved.speech === undefined ? base.speech : Boolean(saved.speech),
+    flash: saved.flash === undefined ? base.flash : Boolean(saved.flash),
+  };
+}
+
+export function loadCueSettings(roomId) {
+  return normalizeCueSettings(readRoomItem(roomId, LS_CUES));
+}
+
+export function saveCueSettings(roomId, settings) {
+  writeRoomItem(roomId, LS_CUES, settings);
+}
+
+/** "30, 10, 5, 1" -> [30, 10, 5, 1] (positive whole minutes, de-duplicated, largest first) */
+export function parseMilestones(text) {
+  const mins = String(text || "")
+    .split(/[,\s]+/)
+    .map(Number)
+    .filter((n) => Number.isInteger(n) && n > 0);
+  return [...new Set(mins)].sort((a, b) => b - a);
+}
+
+/** Smallest milestone crossed going from prevSec to sec remaining (null if none) */
+export function crossedMilestone(prevSec, sec, milestonesMin) {
+  const crossed = milestonesMin.filter((m) => prevSec > m * 60 && sec <= m * 60);
+  return crossed.length ? Math.min(...crossed) : null;
+}
+
+export function cueMessage(min, lang) {
+  return min == null ? translate(lang, "cue.timeUp") : translate(lang, "cue.minutes", { n: min });
+}
+
+/** Remaining-time colour: shifts as the clock runs down */
+export function clockColor(remainingSec) {
+  if (remainingSec <= 60) return "#ff6b6b";
+  if (remainingSec <= 300) return "#ff8a8a";
+  if (remainingSec <= 600) return "#f3c76b";
+  return "#e7e9ee";
+}
+
+// ======= Audio =======
+let audioCtx = null;
+
+function getAudioContext() {
+  const Ctx = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!audioCtx) audioCtx = new Ctx();
+  return audioCtx;
+}
+
+export function unlockAudio() {
+  const ctx = getAudioContext();
+  if (ctx && ctx.state === "suspended") ctx.resume().catch(() => {});
+}
+
+/** Two-note chime for milestones, a longer falling three-note one for time-up */
+export function playChime(volume, timeUp = false) {
+  const ctx = getAudioContext();
+  if (!ctx || volume <= 0) return;
+  const notes = timeUp ? [880, 660, 440] : [660, 880];
+  const step = timeUp ? 0.45 : 0.28;
+  const start = ctx.currentTime + 0.02;
+
+  notes.forEach((freq, i) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const at = start + i * step;
+    osc.type = "sine";
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.exponentialRampToValueAtTime(Math.max(0.0002, volume * 0.5), at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + step * 1.6);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(at);
+    osc.stop(at + step * 1.7);
+  });
+}
+
+export function speak(text, volume, lang) {
+  if (!globalThis.speechSynthesis || typeof SpeechSynthesisUtterance === "undefined") return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = SPEECH_LANGS[lang] || SPEECH_LANGS.ko;
+  utterance.volume = volume;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+}
+
+/** Sound part of a cue (min = null for time-up), spoken in the players' language; flash is left to the caller */
+export function playCue(settings, min, lang) {
+  if (settings.muted) return;
+  playChime(settings.volume, min == null);
+  if (settings.speech) speak(cueMessage(min, lang), settings.volume, lang);
+}
@@ -0,0 +1,31 @@
+/** Bundled hint catalogue for the default room - 운영 시 지우거나 수정 */
+export const DEFAULT_HINTS = {
+  "E-00": { title: "튜토리얼", body: "게임을 시작하지" },
+  "E-01": {
+    title: "힌트 001",
+    body: "A → Z, B → Y,",
+  },
+  "E-02": {
+    title: "힌트 002",
+    body: "한글과 격자의 유사성.",
+  },
+  "E-03": {
+    title: "힌트 003",
+    body: "왜 뒤집혀 있을까",
+  },
+  "E-04": { title: "힌트 004", body: "빈칸이 나타내고 있는 알파벳" },
+  "E-05": { title: "힌트 005", body: "반대말" },
+  "E-06": { title: "힌트 006", body: "IS는 동사?." },
+  "E-07": { title: "힌트 007", body: "방향을 영어로." },
+  "E-08": { title: "힌트 008", body: "사이의 알파벳." },
+  "E-09": { title: "힌트 009", body: "무게 계산(방정식)." },
+  "E-10": { title: "힌트 010", body: "마방진." },
+  "E-11": { title: "힌트 011", body: "WE는 우리, CHILD는 아이." },
+  "E-12": { title: "힌트 012", body: "AND와 ONOFF" },
+  "E-13": { title: "힌트 013", body: "/는 나누기 기호 아닌가?" },
+  "E-14": { title: "힌트 014", body: "돌려서 숫자로" },
+  "E-15": { title: "힌트 015", body: "9번 풀어야 할 수 있음. 다이얼과 대칭 알파벳" },
+  "E-16": { title: "힌트 016", body: "사각형은 4번째 글자." },
+  "E-17": { title: "힌트 017", body: "돌리고 돌리고." },
+  "E-18": { title: "힌트 018", body: "이걸 왜 눌러." },
+};
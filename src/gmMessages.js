@@ -0,0 +1,26 @@
+/**
+ * Game-master messages to the team
+ * - Sent from the admin panel as an announcement of kind "message": same overlay, windows and
+ *   persistence as scheduled announcements; the team dismisses it on each screen
+ * - Quick replies are per-room templates (room.messageTemplates); any sent text can be saved as one
+ * - Every send goes to the session log ("message" event); the optional chime travels with the
+ *   message (chime = volume) and plays wherever the overlay comes up: display and hint windows too
+ */
+export const DEFAULT_MESSAGE_TEMPLATES = ["조금 더 생각해 보세요", "자물쇠 방향을 확인하세요"];
+export const MAX_MESSAGE_LENGTH = 300;
+// a window opened / reloaded later shows the message silently
+export const MESSAGE_CHIME_FRESH_MS = 10 * 1000;
+
+export function normalizeTemplates(saved) {
+  if (!Array.isArray(saved)) return [...DEFAULT_MESSAGE_TEMPLATES];
+  return [...new Set(saved.filter((m) => typeof m === "string").map((m) => m.trim()).filter(Boolean))];
+}
+
+/** Announcement for the overlay (./AnnouncementOverlay.jsx); `chimeVolume` 0 = silent */
+export function makeMessage(text, atMs, chimeVolume = 0) {
+  return { id: `message@${atMs}`, kind: "message", text, atMs, ...(chimeVolume > 0 ? { chime: chimeVolume } : {}) };
+}
+
+export function shouldChime({ chime, atMs }, nowMs) {
+  return chime > 0 && nowMs - atMs < MESSAGE_CHIME_FRESH_MS;
+}
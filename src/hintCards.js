@@ -0,0 +1,58 @@
+/**
+ * Printed hint-code cards
+ * - Each card carries the code and a QR of buildCodeUrl(): scanned on the room's screen it opens the
+ *   app with the hint code input pre-filled (the charge still goes through the normal confirmation);
+ *   any other device only shows the code to type in there
+ * - Which codes were printed is remembered per room ({ CODE: { printedAtMs, renamedTo? } }),
+ *   kept across session resets, so cards whose code was deleted or renamed get flagged
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_PRINTED_CARDS } from "./storage.js";
+
+// how long a scanned card (?code=) waits for an already open room tab to take the code
+export const CODE_HANDOFF_WAIT_MS = 500;
+
+export function loadPrintedCards(roomId) {
+  const saved = readRoomItem(roomId, LS_PRINTED_CARDS);
+  return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+}
+
+export function savePrintedCards(roomId, printed) {
+  writeRoomItem(roomId, LS_PRINTED_CARDS, printed);
+}
+
+export function markPrinted(printed, codes, atMs) {
+  const next = { ...printed };
+  for (const code of codes) next[code] = { printedAtMs: atMs };
+  return next;
+}
+
+/** Cards out in the room for a code that no longer exists are dropped once collected */
+export function forgetCard(printed, code) {
+  const next = { ...printed };
+  delete next[code];
+  return next;
+}
+
+/** Catalogue rename: the old card stays flagged, pointing at the code that replaced it */
+export function noteRenamedCard(roomId, fromCode, toCode) {
+  const printed = loadPrintedCards(roomId);
+  if (!printed[fromCode]) return;
+  savePrintedCards(roomId, { ...printed, [fromCode]: { ...printed[fromCode], renamedTo: toCode } });
+}
+
+/**
+ * Catalogue vs printed set:
+ * - cards: [{ code, printedAtMs }] for every current code (printedAtMs null = never printed)
+ * - stale: [{ code, printedAtMs, renamedTo }] printed codes no longer in the catalogue
+ */
+export function cardStatus(hints, printed) {
+  const codes = Object.keys(hints).sort((a, b) => a.localeCompare(b));
+  return {
+    cards: codes.map((code) => ({ code, printedAtMs: printed[code]?.printedAtMs ?? null })),
+    stale: Object.entries(printed)
+      .filter(([code]) => !hints[code])
+      .map(([code, p]) => ({ code, printedAtMs: p.printedAtMs, renamedTo: p.renamedTo ?? null }))
+      .sort((a, b) => a.code.localeCompare(b.code)),
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Hint catalogue import/export + validation
+ * - JSON: the stored shape { CODE: { title, body } } or an array of { code, title, body }
+ * - CSV: header row code,title,body (+ optional tiers / i18n columns holding JSON)
+ * - Codes are run through normalizeCode, so "e-01" and "E-01 " collide
+ */
+import { hintTiers, makeHint } from "./hintTiers.js";
+import { DEFAULT_LANG, LANGS } from "./i18n.js";
+import { safeJsonParse } from "./storage.js";
+import { normalizeCode, parseCsv, toCsv } from "./utils.js";
+
+const CSV_COLUMNS = ["code", "title", "body"];
+const CSV_OPTIONAL_COLUMNS = ["tiers", "i18n"];
+
+/** Tiers from an import row: array (JSON import) or JSON text (CSV cell); null when absent */
+function rowTiers(row, errors, where) {
+  let tiers = row?.tiers;
+  if (typeof tiers === "string") {
+    if (!tiers.trim()) return null;
+    tiers = safeJsonParse(tiers, undefined);
+  }
+  if (tiers === undefined || tiers === null) return null;
+  if (!Array.isArray(tiers) || !tiers.length) {
+    errors.push(`${where}: tiers는 비어 있지 않은 배열이어야 합니다.`);
+    return null;
+  }
+  tiers.forEach((t, i) => {
+    if (typeof t?.body !== "string" || !t.body.trim()) errors.push(`${where}: ${i + 1}단계 내용이 비어 있습니다.`);
+    if (t?.cost !== undefined && !(Number.isInteger(t.cost) && t.cost >= 0)) {
+      errors.push(`${where}: ${i + 1}단계 차감 횟수는 0 이상의 정수여야 합니다.`);
+    }
+  });
+  return tiers.map((t) => ({
+    label: typeof t?.label === "string" ? t.label.trim() : "",
+    body: String(t?.body || "").trim(),
+    cost: t?.cost,
+  }));
+}
+
+/** Translations from an import row: object (JSON import) or JSON text (CSV cell); null when absent */
+function rowI18n(row, errors, where) {
+  let i18n = row?.i18n;
+  if (typeof i18n === "string") {
+    if (!i18n.trim()) return null;
+    i18n = safeJsonParse(i18n, undefined);
+  }
+  if (i18n === undefined || i18n === null) return null;
+  if (typeof i18n !== "object" || Array.isArray(i18n)) {
+    errors.push(`${where}: i18n은 언어별 객체여야 합니다.`);
+    return null;
+  }
+  const clean = {};
+  for (const [lang, tr] of Object.entries(i18n)) {
+    if (lang === DEFAULT_LANG || !Object.hasOwn(LANGS, lang)) {
+      errors.push(`${where}: 지원하지 않는 번역 언어 ${lang}`);
+      continue;
+    }
+    const title = typeof tr?.title === "string" ? tr.title.trim() : "";
+    if (Array.isArray(tr?.tiers)) {
+      clean[lang] = {
+        ...(title ? { title } : {}),
+        tiers: tr.tiers.map((t) => ({ body: typeof t?.body === "string" ? t.body.trim() : "" })),
+      };
+    } else {
+      clean[lang] = { ...(title ? { title } : {}), body: typeof tr?.body === "string" ? tr.body.trim() : "" };
+    }
+  }
+  return Object.keys(clean).length ? clean : null;
+}
+
+/** Turn raw rows into a hints object; any error rejects the whole import */
+export function validateCatalog(rows) {
+  const errors = [];
+  const hints = {};
+  const firstRaw = {};
+
+  rows.forEach((row, i) => {
+    const where = `${i + 1}번째 항목`;
+    const raw = typeof row?.code === "string" ? row.code : "";
+    const code = normalizeCode(raw);
+    const title = typeof row?.title === "string" ? row.title.trim() : "";
+    const body = typeof row?.body === "string" ? row.body.trim() : "";
+
+    if (!code) return errors.push(`${where}: 힌트 코드가 비어 있습니다.`);
+    if (!title) errors.push(`${where} (${code}): 제목이 비어 있습니다.`);
+    const tiers = rowTiers(row, errors, `${where} (${code})`);
+    if (!tiers && !body) errors.push(`${where} (${code}): 내용이 비어 있습니다.`);
+    const i18n = rowI18n(row, errors, `${where} (${code})`);
+
+    if (hints[code]) {
+      errors.push(
+        firstRaw[code] === raw
+          ? `${where}: 중복된 코드 ${code}`
+          : `${where}: "${raw}"와 "${firstRaw[code]}"가 같은 코드(${code})로 정규화됩니다.`
+      );
+      return;
+    }
+    firstRaw[code] = raw;
+    hints[code] = { ...makeHint(title, tiers || [{ body }]), ...(i18n ? { i18n } : {}) };
+  });
+
+  if (!rows.length) errors.push("가져올 힌트가 없습니다.");
+  return { hints, errors };
+}
+
+export function parseCatalogJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { hints: {}, errors: ["JSON 형식이 올바르지 않습니다."] };
+  }
+  if (Array.isArray(data)) return validateCatalog(data);
+  if (data && typeof data === "object") {
+    return validateCatalog(Object.entries(data).map(([code, h]) => ({ ...h, code })));
+  }
+  return { hints: {}, errors: ["JSON 최상위는 객체 또는 배열이어야 합니다."] };
+}
+
+export function parseCatalogCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const cols = (header || []).map((c) => c.trim().toLowerCase());
+  const missing = CSV_COLUMNS.filter((c) => !cols.includes(c));
+  if (missing.length) return { hints: {}, errors: [`CSV 헤더에 ${missing.join(", ")} 열이 없습니다.`] };
+
+  return validateCatalog(
+    rows.map((r) =>
+      Object.fromEntries([...CSV_COLUMNS, ...CSV_OPTIONAL_COLUMNS].map((c) => [c, r[cols.indexOf(c)] ?? ""]))
+    )
+  );
+}
+
+function sortedEntries(hints) {
+  return Object.entries(hints).sort(([a], [b]) => a.localeCompare(b));
+}
+
+export function catalogToJson(hints) {
+  return JSON.stringify(Object.fromEntries(sortedEntries(hints)), null, 2);
+}
+
+/** body = first tier, so plain spreadsheets stay readable; full tiers / translations go in the JSON columns */
+export function catalogToCsv(hints) {
+  return toCsv([
+    [...CSV_COLUMNS, ...CSV_OPTIONAL_COLUMNS],
+    ...sortedEntries(hints).map(([code, h]) => [
+      code,
+      h.title,
+      hintTiers(h)[0].body,
+      h.tiers ? JSON.stringify(h.tiers) : "",
+      h.i18n ? JSON.stringify(h.i18n) : "",
+    ]),
+  ]);
+}
+
+/** Replace fromCode's entry with `hint` stored under toCode (same code = plain edit) */
+export function renameHint(hints, fromCode, toCode, hint) {
+  const next = { ...hints };
+  delete next[fromCode];
+  next[toCode] = hint;
+  return next;
+}
@@ -0,0 +1,47 @@
+/**
+ * Obfuscated hint catalogue at rest
+ * - Stored as "h1:" + base64(UTF-8 JSON XOR a fixed key), so hint text isn't readable at a glance
+ *   in devtools / localStorage viewers
+ * - Not encryption: anyone with the app's source can reverse it; it only stops casual peeking
+ */
+const PREFIX = "h1:";
+const KEY = new TextEncoder().encode("escape-room-hints");
+
+function xor(bytes) {
+  const out = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) out[i] = bytes[i] ^ KEY[i % KEY.length];
+  return out;
+}
+
+function toBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  const bin = atob(text);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+export function isSealedHints(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/** { CODE: hint } -> stored string */
+export function sealHints(hints) {
+  return PREFIX + toBase64(xor(new TextEncoder().encode(JSON.stringify(hints))));
+}
+
+/** Stored string -> { CODE: hint }, or null if it can't be read */
+export function unsealHints(value) {
+  if (!isSealedHints(value)) return null;
+  try {
+    const hints = JSON.parse(new TextDecoder().decode(xor(fromBase64(value.slice(PREFIX.length)))));
+    return hints && typeof hints === "object" ? hints : null;
+  } catch {
+    return null;
+  }
+}
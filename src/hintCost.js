@@ -0,0 +1,118 @@
+/**
+ * Hint cost models, configured per room (room.hintCost)
+ * - An open costs units: the tier's cost × the room's per-code cost (codeCosts, default 1);
+ *   free codes cost nothing
+ * - Units within the included allowance (room.maxHintUses + bonus) are plain hint uses;
+ *   the model decides what happens past it:
+ *   - count: refused (the original flat limit)
+ *   - time:  each extra unit takes penaltySec off the clock
+ *   - score: unlimited; each extra unit takes pointsPerHint off startScore
+ * - Charges land on the session log's hint events ({ penaltySec, points }), so totals
+ *   follow session reset and survive later setting changes
+ */
+import { normalizeCode } from "./utils.js";
+
+export const COST_COUNT = "count";
+export const COST_TIME = "time";
+export const COST_SCORE = "score";
+
+export const DEFAULT_PENALTY_SEC = 2 * 60;
+export const DEFAULT_START_SCORE = 1000;
+export const DEFAULT_POINTS_PER_HINT = 100;
+
+// each model: what `extra` units past the allowance do (null = refused)
+export const HINT_COST_MODELS = {
+  [COST_COUNT]: { label: "횟수 제한", overage: () => null },
+  [COST_TIME]: { label: "시간 차감", overage: (extra, cfg) => ({ penaltySec: extra * cfg.penaltySec }) },
+  [COST_SCORE]: { label: "점수 차감", overage: (extra, cfg) => ({ points: extra * cfg.pointsPerHint }) },
+};
+
+export function defaultHintCost() {
+  return {
+    model: COST_COUNT,
+    penaltySec: DEFAULT_PENALTY_SEC,
+    startScore: DEFAULT_START_SCORE,
+    pointsPerHint: DEFAULT_POINTS_PER_HINT,
+    codeCosts: {},
+  };
+}
+
+const isCount = (n) => Number.isInteger(n) && n >= 0;
+
+export function normalizeHintCost(saved) {
+  const base = defaultHintCost();
+  if (!saved || typeof saved !== "object") return base;
+  const codeCosts = {};
+  for (const [code, cost] of Object.entries(saved.codeCosts || {})) {
+    if (normalizeCode(code) && isCount(cost)) codeCosts[normalizeCode(code)] = cost;
+  }
+  return {
+    model: HINT_COST_MODELS[saved.model] ? saved.model : base.model,
+    penaltySec: isCount(saved.penaltySec) ? saved.penaltySec : base.penaltySec,
+    startScore: isCount(saved.startScore) ? saved.startScore : base.startScore,
+    pointsPerHint: isCount(saved.pointsPerHint) ? saved.pointsPerHint : base.pointsPerHint,
+    codeCosts,
+  };
+}
+
+/** "E-15=2, E-16=3" <-> { "E-15": 2, "E-16": 3 }; returns null on a malformed entry */
+export function parseCodeCosts(text) {
+  const costs = {};
+  for (const part of text.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [code, cost] = part.split("=").map((s) => s.trim());
+    const n = Number(cost);
+    if (!normalizeCode(code) || !isCount(n)) return null;
+    costs[normalizeCode(code)] = n;
+  }
+  return costs;
+}
+
+export function formatCodeCosts(costs) {
+  return Object.entries(costs)
+    .map(([code, cost]) => `${code}=${cost}`)
+    .join(", ");
+}
+
+/** Units for revealing `tier` of `code` (tier.cost from ./hintTiers.js) */
+export function hintUnits(cfg, code, tierCostValue) {
+  return tierCostValue * (cfg.codeCosts[code] ?? 1);
+}
+
+/**
+ * Charge for `units` on top of `hintUses` with `allowance` included:
+ * null when the model refuses, else { penaltySec, points } (zeros when nothing is due)
+ */
+export function chargeHint(cfg, units, hintUses, allowance) {
+  const extra = Math.max(0, hintUses + units - allowance) - Math.max(0, hintUses - allowance);
+  const charge = { penaltySec: 0, points: 0 };
+  if (extra === 0) return charge;
+  const due = HINT_COST_MODELS[cfg.model].overage(extra, cfg);
+  return due ? { ...charge, ...due } : null;
+}
+
+/** Session totals from the log's hint events: { penaltySec, points } */
+export function hintCharges(log) {
+  let penaltySec = 0;
+  let points = 0;
+  for (const e of log) {
+    if (e.type !== "hint") continue;
+    penaltySec += e.penaltySec || 0;
+    points += e.points || 0;
+  }
+  return { penaltySec, points };
+}
+
+/** Score model only: what the team has left (null for the other models) */
+export function hintScore(cfg, charges) {
+  return cfg.model === COST_SCORE ? Math.max(0, cfg.startScore - charges.points) : null;
+}
+
+/** Player-facing rule line for the room's model (`t` from ./i18n.js makeT) */
+export function hintRuleText(room, t) {
+  const cfg = room.hintCost;
+  if (cfg.model === COST_TIME) return t("hint.ruleTime", { n: room.maxHintUses, min: cfg.penaltySec / 60 });
+  if (cfg.model === COST_SCORE) {
+    return t("hint.ruleScore", { n: room.maxHintUses, points: cfg.pointsPerHint, start: cfg.startScore });
+  }
+  return t("hint.ruleUses", { n: room.maxHintUses });
+}
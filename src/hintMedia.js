@@ -0,0 +1,92 @@
+/**
+ * Hint attachments (images / audio) in IndexedDB
+ * - localStorage is far too small for media, so blobs live in their own database
+ * - Hint bodies reference them as ![caption](media:ID); nothing is ever fetched from the network
+ * - Catalogue export (JSON/CSV) carries the references only, not the files; deleting a hint
+ *   keeps its files (another hint or tier may embed the same one): sweepMedia() later removes
+ *   files nothing references any more
+ */
+const DB_NAME = "escape_hint_media_v1";
+const STORE = "media";
+
+export const MAX_MEDIA_BYTES = 10 * 1024 * 1024;
+// newer files survive a sweep: a hint form may hold them before it is saved
+export const MEDIA_SWEEP_GRACE_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // let a later call retry (e.g. after the user clears a blocked-storage setting)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function run(mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+export function isMediaFile(file) {
+  return /^(image|audio)\//.test(file?.type || "");
+}
+
+/** Stores `file` and resolves to its id */
+export async function saveMedia(file, nowMs) {
+  const id = `${nowMs.toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  await run("readwrite", (store) =>
+    store.put({ id, name: file.name, type: file.type, blob: file, createdAtMs: nowMs })
+  );
+  return id;
+}
+
+/** { id, name, type, blob, createdAtMs } or null */
+export async function loadMedia(id) {
+  return (await run("readonly", (store) => store.get(id))) || null;
+}
+
+export function deleteMedia(id) {
+  return run("readwrite", (store) => store.delete(id));
+}
+
+/** Ids of every ![…](media:ID) in `text` */
+export function mediaIdsIn(text) {
+  return new Set([...String(text).matchAll(/\]\(media:([A-Za-z0-9_-]+)\)/g)].map((m) => m[1]));
+}
+
+/** Deletes stored files not in `referenced` (older than the grace period); resolves to the count */
+export async function sweepMedia(referenced, nowMs) {
+  const all = await run("readonly", (store) => store.getAll());
+  const orphans = all.filter((m) => !referenced.has(m.id) && nowMs - m.createdAtMs >= MEDIA_SWEEP_GRACE_MS);
+  if (orphans.length) await run("readwrite", (store) => orphans.map((m) => store.delete(m.id)).at(-1));
+  return orphans.length;
+}
+
+/** Markdown line that embeds a stored file */
+export function mediaMarkdown(id, caption) {
+  return `![${String(caption || "").replace(/[[\]]/g, "")}](media:${id})`;
+}
+
+/** `body` with the embed line appended on its own line */
+export function appendMediaLine(body, line) {
+  const trimmed = body.trimEnd();
+  return `${trimmed ? `${trimmed}\n` : ""}${line}\n`;
+}
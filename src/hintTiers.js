@@ -0,0 +1,92 @@
+/**
+ * Tiered hints (nudge → clue → answer)
+ * - Stored shape: { title, body } for a plain one-step hint,
+ *   or { title, tiers: [{ label, body, cost }] } for a progressive one
+ * - Each code reveals one more tier per open; progress is per session (it doubles as the
+ *   "사용한 힌트" record: anything with progress can be re-read for free)
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_HINT_PROGRESS } from "./storage.js";
+
+export const DEFAULT_TIER_COST = 1;
+export const DEFAULT_TIER_LABELS = ["살짝 힌트", "단서", "정답"];
+
+export function hintTiers(hint) {
+  if (Array.isArray(hint?.tiers) && hint.tiers.length) return hint.tiers;
+  return [{ body: hint?.body || "", cost: DEFAULT_TIER_COST }];
+}
+
+/** Collapses a single default-cost tier back to the plain { title, body } shape */
+export function makeHint(title, tiers) {
+  const clean = tiers.map((t) => ({
+    ...(t.label ? { label: t.label } : {}),
+    body: t.body,
+    cost: Number.isInteger(t.cost) && t.cost >= 0 ? t.cost : DEFAULT_TIER_COST,
+  }));
+  if (clean.length === 1 && clean[0].cost === DEFAULT_TIER_COST && !clean[0].label) {
+    return { title, body: clean[0].body };
+  }
+  return { title, tiers: clean };
+}
+
+/** Free codes cost nothing at any tier */
+export function tierCost(tier, isFreeCode) {
+  return isFreeCode ? 0 : tier.cost ?? DEFAULT_TIER_COST;
+}
+
+export function loadHintProgress(roomId) {
+  const saved = readRoomItem(roomId, LS_HINT_PROGRESS);
+  return saved && typeof saved === "object" ? saved : {};
+}
+
+export function saveHintProgress(roomId, progress) {
+  writeRoomItem(roomId, LS_HINT_PROGRESS, progress);
+}
+
+/**
+ * Codes revealed this session, in the order they were first opened
+ * - { code, revealed, firstAtMs, lastAtMs }; times come from the session log's hint events
+ *   (null when the log has none, e.g. after the code was renamed)
+ */
+export function revealedHints(progress, log) {
+  const times = {};
+  for (const e of log) {
+    if (e.type !== "hint") continue;
+    times[e.code] = { firstAtMs: times[e.code]?.firstAtMs ?? e.atMs, lastAtMs: e.atMs };
+  }
+  return Object.entries(progress)
+    .filter(([, revealed]) => revealed > 0)
+    .map(([code, revealed]) => ({ code, revealed, firstAtMs: null, lastAtMs: null, ...times[code] }))
+    .sort((a, b) => (a.firstAtMs ?? Infinity) - (b.firstAtMs ?? Infinity));
+}
+
+/**
+ * Translations: hint.i18n = { en: { title, body } | { title, tiers: [{ label, body }] }, ja: ... }
+ * - Any missing title / tier falls back to the Korean original; costs always come from the original
+ */
+export function localizeHint(hint, lang) {
+  const tr = hint?.i18n?.[lang];
+  if (!tr) return hint;
+  const trTiers = Array.isArray(tr.tiers) ? tr.tiers : [{ body: tr.body }];
+  const tiers = hintTiers(hint).map((t, i) => ({
+    ...t,
+    ...(trTiers[i]?.label ? { label: trTiers[i].label } : {}),
+    body: trTiers[i]?.body || t.body,
+  }));
+  return { title: tr.title || hint.title, tiers };
+}
+
+/** Clean translation map (drops empty languages); titles/bodies arrays are per tier */
+export function makeHintI18n(byLang) {
+  const i18n = {};
+  for (const [lang, { title, bodies }] of Object.entries(byLang)) {
+    const cleanTitle = (title || "").trim();
+    const cleanBodies = bodies.map((b) => (b || "").trim());
+    if (!cleanTitle && !cleanBodies.some(Boolean)) continue;
+    i18n[lang] = {
+      ...(cleanTitle ? { title: cleanTitle } : {}),
+      ...(cleanBodies.length > 1 ? { tiers: cleanBodies.map((body) => ({ body })) } : { body: cleanBodies[0] || "" }),
+    };
+  }
+  return Object.keys(i18n).length ? i18n : null;
+}
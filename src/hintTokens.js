@@ -0,0 +1,51 @@
+/**
+ * Reveal tokens for the hint popup (?hint=CODE&token=...)
+ * - The operator console issues one per popup, only after the hint passed the usage check
+ * - Single use and short-lived: the popup redeems it on load; a copied, reloaded or late URL
+ *   finds nothing and shows "not authorized"
+ * - The token carries the tier count to show, so the popup never reads play state itself
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_HINT_TOKENS } from "./storage.js";
+
+export const HINT_TOKEN_TTL_MS = 30 * 1000; // popup has this long to load
+
+// this page's redemptions, so a re-render (or StrictMode's double call) sees the same grant
+const redeemed = new Map();
+
+function randomToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** { token: { code, revealed, expiresAtMs } } minus the expired ones */
+function liveTokens(roomId, nowMs) {
+  const saved = readRoomItem(roomId, LS_HINT_TOKENS);
+  const live = {};
+  for (const [token, grant] of Object.entries(saved && typeof saved === "object" ? saved : {})) {
+    if (grant?.expiresAtMs > nowMs) live[token] = grant;
+  }
+  return live;
+}
+
+export function issueHintToken(roomId, code, revealed, nowMs = Date.now()) {
+  const token = randomToken();
+  const live = liveTokens(roomId, nowMs);
+  writeRoomItem(roomId, LS_HINT_TOKENS, { ...live, [token]: { code, revealed, expiresAtMs: nowMs + HINT_TOKEN_TTL_MS } });
+  return token;
+}
+
+/** Consumes the token: { code, revealed } if it's valid for this code, otherwise null */
+export function redeemHintToken(roomId, token, code, nowMs = Date.now()) {
+  if (!token) return null;
+  if (redeemed.has(token)) return redeemed.get(token);
+
+  const saved = readRoomItem(roomId, LS_HINT_TOKENS) || {};
+  const live = liveTokens(roomId, nowMs);
+  const grant = live[token]?.code === code ? { code, revealed: live[token].revealed } : null;
+  if (grant) delete live[token];
+  // drop the used / expired entries
+  if (Object.keys(live).length !== Object.keys(saved).length) writeRoomItem(roomId, LS_HINT_TOKENS, live);
+  redeemed.set(token, grant);
+  return grant;
+}
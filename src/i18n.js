@@ -0,0 +1,505 @@
+/**
+ * UI language (ko / en / ja) for the player-facing screens
+ * - Flat message catalogues; missing keys fall back to Korean, then to the key itself
+ * - {name} placeholders are filled from the params object
+ * - The chosen language is per room/session and travels to the hint window as ?lang=
+ * - The admin login card sits on the player screen, so it is translated; the staff-only panel behind
+ *   it (including the session timeline and its CSV/JSON export, ./sessionLog.js) stays Korean
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_LANG } from "./storage.js";
+
+export const DEFAULT_LANG = "ko";
+export const LANGS = { ko: "한국어", en: "English", ja: "日本語" };
+export const SPEECH_LANGS = { ko: "ko-KR", en: "en-US", ja: "ja-JP" };
+
+const MESSAGES = {
+  ko: {
+    "app.title": "방탈출",
+    "lang.label": "언어",
+
+    "timer.start": "시작",
+    "timer.resume": "재개",
+    "timer.pause": "일시정지",
+    "timer.escape": "탈출 성공",
+    "timer.remaining": "남은 시간",
+    "timer.remainingAlert": "남은 시간: {time}",
+    "timer.paused": "일시정지",
+    "timer.escaped": "탈출 성공",
+    "timer.ended": "종료",
+    "timer.startTitle": "타이머 시작",
+    "timer.startedTitle": "이미 시작된 게임입니다. (관리자 모드에서 초기화)",
+    "timer.resumeTitle": "일시정지된 타이머를 다시 진행합니다.",
+    "timer.pauseTitle": "타이머를 잠시 멈춥니다. (화재 경보, 화장실 등)",
+    "timer.escapeTitle": "팀이 탈출에 성공했습니다. 타이머를 멈추고 기록을 남깁니다.",
+    "timer.remainingTitle": "남은 시간을 확인합니다.",
+    "escape.teamPrompt": "탈출 성공! 팀 이름을 입력해 주세요.",
+    "escape.unnamedTeam": "이름 없는 팀",
+    "screen.display": "디스플레이 창",
+    "screen.displayTitle": "방 안 TV용 플레이어 화면을 새 창으로 엽니다.",
+    "sound.on": "소리 켜짐",
+    "sound.off": "소리 꺼짐",
+    "sound.toggleTitle": "시간 알림(남은 시간 안내, 시간 종료) 소리를 켜거나 끕니다.",
+    "sound.volume": "알림 음량 {n}%",
+    "banner.unregisteredRoom": "등록되지 않은 방({room})입니다. 기본 설정으로 진행하며, 관리자 모드에서 방 설정을 저장하면 등록됩니다.",
+    "banner.storageFull": "저장 공간이 부족해 최근 변경 내용이 저장되지 않았습니다. 게임은 계속 진행되며, 다음 변경 때 다시 저장을 시도합니다. (관리자 모드에서 오래된 기록이나 방을 정리해 주세요.)",
+    "media.loading": "불러오는 중…",
+    "media.missing": "첨부 파일을 찾을 수 없습니다. ({name})",
+
+    "hints.available": "힌트 사용 가능",
+    "hints.bonus": "보너스 +{n}",
+    "hints.score": "점수",
+    "hints.penalty": "시간 차감",
+
+    "progress.title": "진행 상황",
+    "progress.solved": "해결",
+    "progress.current": "진행 중",
+    "progress.waiting": "대기",
+
+    "answer.title": "정답 입력",
+    "answer.puzzleTitle": "정답을 입력할 퍼즐(자물쇠)",
+    "answer.placeholder": "숫자, 단어 또는 방향 (예: 1234, ←↑→)",
+    "answer.submit": "확인",
+    "answer.wait": "대기 {time}",
+    "answer.allSolved": "정답을 입력할 퍼즐을 모두 해결했습니다.",
+    "answer.notRunning": "게임 진행 중에만 정답을 입력할 수 있습니다.",
+    "answer.empty": "정답을 입력해 주세요.",
+    "answer.cooldown": "오답 후 대기 중입니다. {time} 후에 다시 입력해 주세요.",
+    "answer.checkFailed": "정답을 확인하지 못했습니다. 다시 시도해 주세요.",
+    "answer.correct": "정답입니다! ({puzzle})",
+    "answer.followUpTitle": "{puzzle} 정답!",
+    "answer.wrong": "오답입니다.",
+    "answer.penalty": "남은 시간이 {time} 줄었습니다.",
+    "answer.retryIn": "{sec}초 후에 다시 입력할 수 있습니다.",
+
+    "hint.title": "힌트",
+    "hint.popupNote": "힌트는 새 창(팝업)으로 열립니다. 팝업이 차단되면 이 화면 위에 표시됩니다.",
+    "hint.inPageNote": "힌트는 이 화면 안에 표시됩니다.",
+    "hint.placeholder": "힌트 코드 입력 (예: E-00)",
+    "hint.open": "힌트 열기",
+    "hint.ruleUses": "기본 힌트 사용은 {n}회이며, 관리자가 보너스를 지급할 수 있습니다.",
+    "hint.ruleTime": "힌트 {n}회까지는 시간이 차감되지 않고, 이후에는 1회마다 {min}분이 차감됩니다.",
+    "hint.ruleScore": "힌트는 제한 없이 쓸 수 있으며, {n}회 이후에는 1회마다 {points}점이 깎입니다. (시작 {start}점)",
+    "hint.ruleFree": "무료 코드: {codes} (사용 횟수 차감 없음)",
+    "hint.ruleTiers": "단계별 힌트는 같은 코드를 다시 입력하면 다음 단계가 열립니다. (이미 본 단계는 차감 없음)",
+    "hint.ruleReopen": "이미 본 힌트는 아래 \"사용한 힌트\"에서 차감 없이 다시 볼 수 있습니다.",
+    "hint.none": "없음",
+    "hint.used": "사용한 힌트",
+    "hint.noneUsed": "아직 열어 본 힌트가 없습니다.",
+    "hint.deleted": "(삭제된 힌트)",
+    "hint.steps": "{n}/{total}단계",
+    "hint.reopen": "다시 보기",
+    "hint.reopenTitle": "차감 없이 다시 봅니다.",
+    "hint.enterCode": "힌트 코드를 입력해 주세요.",
+    "hint.invalidCode": "유효하지 않은 힌트 코드입니다.",
+    "hint.notEnough": "이 힌트는 {cost}회가 차감됩니다. 남은 힌트가 부족합니다. (최대 {max}번)",
+    "hint.maxUses": "힌트는 최대 {max}번까지 사용할 수 있습니다.",
+    "hint.deletedAlert": "힌트가 삭제되어 다시 볼 수 없습니다.",
+    "hint.confirmPenalty": "이 힌트를 열면 남은 시간에서 {min}분이 차감됩니다. 열까요?",
+    "hint.confirmPoints": "이 힌트를 열면 {points}점이 깎입니다. 열까요?",
+
+    "hintView.windowNote": "이 창은 힌트 전용 창입니다.",
+    "hintView.popupBlocked": "팝업이 차단되어 이 화면에서 힌트를 표시합니다.",
+    "hintView.inPage": "이 화면 안에서 표시 중인 힌트입니다.",
+    "hintView.code": "코드: {code}",
+    "hintView.invalid": "유효하지 않은 힌트 코드입니다:",
+    "hintView.close": "닫기",
+    "hintView.deniedTitle": "열 수 없는 힌트 창입니다",
+    "hintView.deniedBody": "이미 열었거나 유효 시간이 지난 힌트 주소입니다. 힌트는 방 화면에서 코드를 입력해 열어 주세요. (이미 본 힌트는 \"사용한 힌트\"에서 다시 볼 수 있습니다.)",
+    "codeEntry.sentTitle": "힌트 코드를 입력했습니다",
+    "codeEntry.sentBody": "열려 있는 방 화면에 {code} 코드를 입력했습니다. 그 화면에서 \"힌트 열기\"를 눌러 주세요. 이 창은 닫아도 됩니다.",
+    "codeEntry.manualTitle": "방 화면에 코드를 입력해 주세요",
+    "codeEntry.manualBody": "이 기기에서는 힌트를 열 수 없습니다. 위 코드를 방 화면의 힌트 코드 입력란에 입력하고 \"힌트 열기\"를 눌러 주세요.",
+
+    "admin.title": "관리자",
+    "admin.pinPlaceholder": "관리자 PIN 입력",
+    "admin.newPinPlaceholder": "새 관리자 PIN ({min}자리 이상 숫자)",
+    "admin.pinConfirmPlaceholder": "PIN 확인",
+    "admin.login": "관리자 모드 켜기",
+    "admin.setupPin": "관리자 PIN 설정",
+    "admin.loginHelp": "관리자 모드에서 보너스 힌트 지급, 타이머 조정, 힌트 추가/수정이 가능합니다.",
+    "admin.setupHelp": "처음 사용하는 기기입니다. 관리자 PIN을 설정해 주세요. (PIN은 암호화된 해시로만 저장됩니다)",
+    "admin.lockedUntil": "로그인 잠김: {time}까지",
+    "admin.idleEnded": "오랫동안 조작이 없어 관리자 모드가 종료되었습니다.",
+    "admin.pinInvalid": "PIN은 {min}자리 이상 숫자로 입력해 주세요.",
+    "admin.pinMismatch": "PIN 확인이 일치하지 않습니다.",
+    "admin.setupFailed": "PIN을 설정하지 못했습니다. 브라우저 암호화 기능에 오류가 있습니다.",
+    "admin.pinSet": "관리자 PIN이 설정되었습니다.",
+    "admin.locked": "로그인 시도가 너무 많아 잠겼습니다. {time} 이후에 다시 시도해 주세요.",
+    "admin.checkFailed": "PIN을 확인하지 못했습니다. 브라우저 암호화 기능에 오류가 있습니다.",
+    "admin.lockedNow": "PIN이 {max}회 틀려 {time}까지 잠깁니다.",
+    "admin.wrongPin": "관리자 PIN이 올바르지 않습니다. (남은 시도 {left}회)",
+
+    "tier.1": "살짝 힌트",
+    "tier.2": "단서",
+    "tier.3": "정답",
+    "tier.n": "{n}단계",
+
+    "announce.hint": "힌트가 도착했습니다",
+    "announce.notice": "안내",
+    "announce.message": "게임 마스터 메시지",
+    "announce.ok": "확인",
+
+    "timeUp.title": "시간 종료!",
+    "timeUp.note": "게임 기록은 관리자 모드에서 확인할 수 있습니다.",
+    "timeUp.ok": "확인",
+
+    "result.escaped": "탈출 성공!",
+    "result.clearTime": "클리어 타임",
+    "result.remaining": "남은 시간",
+    "result.hints": "사용한 힌트",
+    "result.bonus": "보너스 힌트",
+    "result.score": "점수",
+    "result.penalty": "시간 차감",
+    "result.count": "{n}회",
+    "result.rank": "이 방 기록 {rank}위",
+    "result.close": "닫기",
+
+    "display.paused": "일시정지",
+    "display.escaped": "탈출 성공!",
+    "display.ended": "게임 종료",
+    "display.hintsLeft": "남은 힌트",
+    "display.score": "점수",
+    "display.penalty": "시간 차감",
+    "display.lastHint": "최근 힌트",
+
+    "cue.minutes": "{n}분 남았습니다.",
+    "cue.timeUp": "시간이 종료되었습니다.",
+  },
+
+  en: {
+    "app.title": "Escape Room",
+    "lang.label": "Language",
+
+    "timer.start": "Start",
+    "timer.resume": "Resume",
+    "timer.pause": "Pause",
+    "timer.escape": "Escaped",
+    "timer.remaining": "Time left",
+    "timer.remainingAlert": "Time left: {time}",
+    "timer.paused": "paused",
+    "timer.escaped": "escaped",
+    "timer.ended": "over",
+    "timer.startTitle": "Start the timer",
+    "timer.startedTitle": "The game has already started. (Reset it in admin mode)",
+    "timer.resumeTitle": "Continue the paused timer.",
+    "timer.pauseTitle": "Pause the timer for a moment. (fire alarm, restroom, …)",
+    "timer.escapeTitle": "The team escaped: stop the timer and record the result.",
+    "timer.remainingTitle": "Check the time left.",
+    "escape.teamPrompt": "You escaped! Enter your team name.",
+    "escape.unnamedTeam": "Unnamed team",
+    "screen.display": "Display window",
+    "screen.displayTitle": "Open the player screen for the in-room TV in a new window.",
+    "sound.on": "Sound on",
+    "sound.off": "Sound off",
+    "sound.toggleTitle": "Turn time cue sounds (time left, time up) on or off.",
+    "sound.volume": "Cue volume {n}%",
+    "banner.unregisteredRoom": "Room {room} is not registered. It runs with default settings until its settings are saved in admin mode.",
+    "banner.storageFull": "Storage is full, so recent changes were not saved. The game goes on, and saving is retried with the next change. (Clear old records or rooms in admin mode.)",
+    "media.loading": "Loading…",
+    "media.missing": "Attachment not found. ({name})",
+
+    "hints.available": "Hints available",
+    "hints.bonus": "bonus +{n}",
+    "hints.score": "Score",
+    "hints.penalty": "Time penalty",
+
+    "progress.title": "Progress",
+    "progress.solved": "Solved",
+    "progress.current": "In progress",
+    "progress.waiting": "Locked",
+
+    "answer.title": "Enter an answer",
+    "answer.puzzleTitle": "Puzzle (lock) to answer",
+    "answer.placeholder": "Number, word or directions (e.g. 1234, ←↑→)",
+    "answer.submit": "Check",
+    "answer.wait": "Wait {time}",
+    "answer.allSolved": "All puzzles with answers are solved.",
+    "answer.notRunning": "Answers can only be entered while the game is running.",
+    "answer.empty": "Please enter an answer.",
+    "answer.cooldown": "Wrong answer cooldown. Try again in {time}.",
+    "answer.checkFailed": "Couldn't check the answer. Please try again.",
+    "answer.correct": "Correct! ({puzzle})",
+    "answer.followUpTitle": "{puzzle} solved!",
+    "answer.wrong": "Wrong answer.",
+    "answer.penalty": "{time} was taken off the clock.",
+    "answer.retryIn": "You can try again in {sec} seconds.",
+
+    "hint.title": "Hints",
+    "hint.popupNote": "Hints open in a new window (popup). If popups are blocked, they appear on this screen.",
+    "hint.inPageNote": "Hints are shown on this screen.",
+    "hint.placeholder": "Enter a hint code (e.g. E-00)",
+    "hint.open": "Open hint",
+    "hint.ruleUses": "You have {n} hints; staff can grant bonus hints.",
+    "hint.ruleTime": "The first {n} hints are free; after that each hint takes {min} min off the clock.",
+    "hint.ruleScore": "Hints are unlimited; after the first {n}, each one costs {points} points. (You start with {start})",
+    "hint.ruleFree": "Free codes: {codes} (don't use up a hint)",
+    "hint.ruleTiers": "Multi-step hints: enter the same code again for the next step. (Steps already seen are free)",
+    "hint.ruleReopen": "Re-read hints you've already seen under \"Used hints\" for free.",
+    "hint.none": "none",
+    "hint.used": "Used hints",
+    "hint.noneUsed": "No hints opened yet.",
+    "hint.deleted": "(deleted hint)",
+    "hint.steps": "step {n}/{total}",
+    "hint.reopen": "View again",
+    "hint.reopenTitle": "View again for free.",
+    "hint.enterCode": "Please enter a hint code.",
+    "hint.invalidCode": "That hint code isn't valid.",
+    "hint.notEnough": "This hint costs {cost} hints and you don't have enough left. (max {max})",
+    "hint.maxUses": "You can use up to {max} hints.",
+    "hint.deletedAlert": "This hint has been removed and can't be shown.",
+    "hint.confirmPenalty": "Opening this hint takes {min} min off the clock. Open it?",
+    "hint.confirmPoints": "Opening this hint costs {points} points. Open it?",
+
+    "hintView.windowNote": "This window only shows your hint.",
+    "hintView.popupBlocked": "Popups are blocked, so the hint is shown here.",
+    "hintView.inPage": "Hint shown on this screen.",
+    "hintView.code": "code: {code}",
+    "hintView.invalid": "Invalid hint code:",
+    "hintView.close": "Close",
+    "hintView.deniedTitle": "This hint window is not authorized",
+    "hintView.deniedBody": "This hint link was already opened or has expired. Open hints by entering the code on the room screen. (Hints you have seen can be reopened from \"Used hints\".)",
+    "codeEntry.sentTitle": "Hint code entered",
+    "codeEntry.sentBody": "Code {code} was entered on the open room screen. Press \"Open hint\" there. You can close this window.",
+    "codeEntry.manualTitle": "Enter this code on the room screen",
+    "codeEntry.manualBody": "Hints can't be opened on this device. Type the code above into the hint code box on the room screen and press \"Open hint\".",
+
+    "admin.title": "Admin",
+    "admin.pinPlaceholder": "Admin PIN",
+    "admin.newPinPlaceholder": "New admin PIN ({min}+ digits)",
+    "admin.pinConfirmPlaceholder": "Confirm PIN",
+    "admin.login": "Enter admin mode",
+    "admin.setupPin": "Set admin PIN",
+    "admin.loginHelp": "Admin mode lets staff grant bonus hints, adjust the timer and edit hints.",
+    "admin.setupHelp": "First use on this device. Please set an admin PIN. (Only a hash of the PIN is stored.)",
+    "admin.lockedUntil": "Login locked until {time}",
+    "admin.idleEnded": "Admin mode ended after a long period without activity.",
+    "admin.pinInvalid": "The PIN must be at least {min} digits.",
+    "admin.pinMismatch": "The PINs don't match.",
+    "admin.setupFailed": "Couldn't set the PIN: the browser's encryption failed.",
+    "admin.pinSet": "Admin PIN set.",
+    "admin.locked": "Too many login attempts. Please try again after {time}.",
+    "admin.checkFailed": "Couldn't check the PIN: the browser's encryption failed.",
+    "admin.lockedNow": "Wrong PIN {max} times: locked until {time}.",
+    "admin.wrongPin": "Wrong admin PIN. ({left} attempts left)",
+
+    "tier.1": "Nudge",
+    "tier.2": "Clue",
+    "tier.3": "Answer",
+    "tier.n": "Step {n}",
+
+    "announce.hint": "A hint has arrived",
+    "announce.notice": "Notice",
+    "announce.message": "Message from the game master",
+    "announce.ok": "OK",
+
+    "timeUp.title": "Time's up!",
+    "timeUp.note": "Staff can review the game record in admin mode.",
+    "timeUp.ok": "OK",
+
+    "result.escaped": "You escaped!",
+    "result.clearTime": "Clear time",
+    "result.remaining": "Time left",
+    "result.hints": "Hints used",
+    "result.bonus": "Bonus hints",
+    "result.score": "Score",
+    "result.penalty": "Time penalty",
+    "result.count": "{n}",
+    "result.rank": "#{rank} in this room",
+    "result.close": "Close",
+
+    "display.paused": "Paused",
+    "display.escaped": "You escaped!",
+    "display.ended": "Game over",
+    "display.hintsLeft": "Hints left",
+    "display.score": "Score",
+    "display.penalty": "Time penalty",
+    "display.lastHint": "Latest hint",
+
+    "cue.minutes": "{n} minutes left.",
+    "cue.timeUp": "Time is up.",
+  },
+
+  ja: {
+    "app.title": "脱出ゲーム",
+    "lang.label": "言語",
+
+    "timer.start": "スタート",
+    "timer.resume": "再開",
+    "timer.pause": "一時停止",
+    "timer.escape": "脱出成功",
+    "timer.remaining": "残り時間",
+    "timer.remainingAlert": "残り時間: {time}",
+    "timer.paused": "一時停止",
+    "timer.escaped": "脱出成功",
+    "timer.ended": "終了",
+    "timer.startTitle": "タイマーを開始します",
+    "timer.startedTitle": "ゲームはすでに始まっています。（管理者モードでリセット）",
+    "timer.resumeTitle": "一時停止中のタイマーを再開します。",
+    "timer.pauseTitle": "タイマーを一時停止します。（火災報知器、トイレなど）",
+    "timer.escapeTitle": "チームが脱出しました。タイマーを止めて記録を残します。",
+    "timer.remainingTitle": "残り時間を確認します。",
+    "escape.teamPrompt": "脱出成功！チーム名を入力してください。",
+    "escape.unnamedTeam": "名前のないチーム",
+    "screen.display": "ディスプレイ画面",
+    "screen.displayTitle": "ルーム内TV用のプレイヤー画面を新しいウィンドウで開きます。",
+    "sound.on": "サウンド オン",
+    "sound.off": "サウンド オフ",
+    "sound.toggleTitle": "時間のお知らせ（残り時間、時間切れ）の音をオン・オフします。",
+    "sound.volume": "お知らせ音量 {n}%",
+    "banner.unregisteredRoom": "未登録のルーム（{room}）です。既定の設定で進行し、管理者モードでルーム設定を保存すると登録されます。",
+    "banner.storageFull": "保存領域が不足しているため、最近の変更が保存されませんでした。ゲームはそのまま続行し、次の変更時に再度保存を試みます。（管理者モードで古い記録やルームを整理してください。）",
+    "media.loading": "読み込み中…",
+    "media.missing": "添付ファイルが見つかりません。（{name}）",
+
+    "hints.available": "使えるヒント",
+    "hints.bonus": "ボーナス +{n}",
+    "hints.score": "スコア",
+    "hints.penalty": "時間ペナルティ",
+
+    "progress.title": "進行状況",
+    "progress.solved": "解決",
+    "progress.current": "挑戦中",
+    "progress.waiting": "未着手",
+
+    "answer.title": "答えを入力",
+    "answer.puzzleTitle": "答えを入力するパズル（錠）",
+    "answer.placeholder": "数字・単語・方向 (例: 1234, ←↑→)",
+    "answer.submit": "確認",
+    "answer.wait": "待機 {time}",
+    "answer.allSolved": "答えを入力するパズルはすべて解決しました。",
+    "answer.notRunning": "答えはゲーム中のみ入力できます。",
+    "answer.empty": "答えを入力してください。",
+    "answer.cooldown": "不正解のため待機中です。{time} 後にもう一度入力してください。",
+    "answer.checkFailed": "答えを確認できませんでした。もう一度お試しください。",
+    "answer.correct": "正解です! ({puzzle})",
+    "answer.followUpTitle": "{puzzle} 正解!",
+    "answer.wrong": "不正解です。",
+    "answer.penalty": "残り時間が {time} 減りました。",
+    "answer.retryIn": "{sec} 秒後にもう一度入力できます。",
+
+    "hint.title": "ヒント",
+    "hint.popupNote": "ヒントは新しいウィンドウ(ポップアップ)で開きます。ブロックされた場合はこの画面に表示されます。",
+    "hint.inPageNote": "ヒントはこの画面に表示されます。",
+    "hint.placeholder": "ヒントコードを入力 (例: E-00)",
+    "hint.open": "ヒントを開く",
+    "hint.ruleUses": "ヒントは {n} 回まで使えます。スタッフがボーナスを追加することもあります。",
+    "hint.ruleTime": "最初の {n} 回のヒントは時間が減りません。それ以降は1回ごとに {min} 分が差し引かれます。",
+    "hint.ruleScore": "ヒントは無制限です。{n} 回を超えると1回ごとに {points} 点が減ります。（開始 {start} 点）",
+    "hint.ruleFree": "無料コード: {codes} (回数を消費しません)",
+    "hint.ruleTiers": "段階ヒントは同じコードをもう一度入力すると次の段階が開きます。(見た段階は無料)",
+    "hint.ruleReopen": "一度見たヒントは下の「使ったヒント」から無料でもう一度見られます。",
+    "hint.none": "なし",
+    "hint.used": "使ったヒント",
+    "hint.noneUsed": "まだヒントを開いていません。",
+    "hint.deleted": "(削除されたヒント)",
+    "hint.steps": "{n}/{total}段階",
+    "hint.reopen": "もう一度見る",
+    "hint.reopenTitle": "回数を消費せずにもう一度見ます。",
+    "hint.enterCode": "ヒントコードを入力してください。",
+    "hint.invalidCode": "無効なヒントコードです。",
+    "hint.notEnough": "このヒントは {cost} 回分を消費します。残りが足りません。(最大 {max} 回)",
+    "hint.maxUses": "ヒントは最大 {max} 回まで使えます。",
+    "hint.deletedAlert": "このヒントは削除されたため表示できません。",
+    "hint.confirmPenalty": "このヒントを開くと残り時間から {min} 分が差し引かれます。開きますか？",
+    "hint.confirmPoints": "このヒントを開くと {points} 点が減ります。開きますか？",
+
+    "hintView.windowNote": "このウィンドウはヒント専用です。",
+    "hintView.popupBlocked": "ポップアップがブロックされたため、この画面にヒントを表示しています。",
+    "hintView.inPage": "この画面に表示中のヒントです。",
+    "hintView.code": "コード: {code}",
+    "hintView.invalid": "無効なヒントコードです:",
+    "hintView.close": "閉じる",
+    "hintView.deniedTitle": "このヒントウィンドウは開けません",
+    "hintView.deniedBody": "このヒントのリンクはすでに開かれたか、有効期限が切れています。ヒントはルーム画面でコードを入力して開いてください。（見たヒントは「使ったヒント」から再表示できます。）",
+    "codeEntry.sentTitle": "ヒントコードを入力しました",
+    "codeEntry.sentBody": "開いているルーム画面にコード {code} を入力しました。その画面で「ヒントを開く」を押してください。このウィンドウは閉じてかまいません。",
+    "codeEntry.manualTitle": "ルーム画面にコードを入力してください",
+    "codeEntry.manualBody": "この端末ではヒントを開けません。上のコードをルーム画面のヒントコード欄に入力し、「ヒントを開く」を押してください。",
+
+    "admin.title": "管理者",
+    "admin.pinPlaceholder": "管理者PINを入力",
+    "admin.newPinPlaceholder": "新しい管理者PIN({min}桁以上の数字)",
+    "admin.pinConfirmPlaceholder": "PIN確認",
+    "admin.login": "管理者モードにする",
+    "admin.setupPin": "管理者PINを設定",
+    "admin.loginHelp": "管理者モードではボーナスヒントの付与、タイマー調整、ヒントの追加・編集ができます。",
+    "admin.setupHelp": "この端末では初めての利用です。管理者PINを設定してください。(PINは暗号化されたハッシュとしてのみ保存されます)",
+    "admin.lockedUntil": "ログインロック中: {time}まで",
+    "admin.idleEnded": "長時間操作がなかったため管理者モードを終了しました。",
+    "admin.pinInvalid": "PINは{min}桁以上の数字で入力してください。",
+    "admin.pinMismatch": "PIN確認が一致しません。",
+    "admin.setupFailed": "PINを設定できませんでした。ブラウザの暗号化機能でエラーが発生しました。",
+    "admin.pinSet": "管理者PINを設定しました。",
+    "admin.locked": "ログイン試行が多すぎるためロックされています。{time}以降にもう一度お試しください。",
+    "admin.checkFailed": "PINを確認できませんでした。ブラウザの暗号化機能でエラーが発生しました。",
+    "admin.lockedNow": "PINを{max}回間違えたため{time}までロックされます。",
+    "admin.wrongPin": "管理者PINが正しくありません。(残り{left}回)",
+
+    "tier.1": "ちょっとヒント",
+    "tier.2": "手がかり",
+    "tier.3": "答え",
+    "tier.n": "{n}段階",
+
+    "announce.hint": "ヒントが届きました",
+    "announce.notice": "お知らせ",
+    "announce.message": "ゲームマスターからのメッセージ",
+    "announce.ok": "OK",
+
+    "timeUp.title": "タイムアップ!",
+    "timeUp.note": "ゲーム記録は管理者モードで確認できます。",
+    "timeUp.ok": "OK",
+
+    "result.escaped": "脱出成功!",
+    "result.clearTime": "クリアタイム",
+    "result.remaining": "残り時間",
+    "result.hints": "使ったヒント",
+    "result.bonus": "ボーナスヒント",
+    "result.score": "スコア",
+    "result.penalty": "時間ペナルティ",
+    "result.count": "{n}回",
+    "result.rank": "この部屋の記録 {rank}位",
+    "result.close": "閉じる",
+
+    "display.paused": "一時停止",
+    "display.escaped": "脱出成功!",
+    "display.ended": "ゲーム終了",
+    "display.hintsLeft": "残りヒント",
+    "display.score": "スコア",
+    "display.penalty": "時間ペナルティ",
+    "display.lastHint": "最新のヒント",
+
+    "cue.minutes": "残り {n} 分です。",
+    "cue.timeUp": "時間切れです。",
+  },
+};
+
+export function normalizeLang(lang) {
+  return Object.hasOwn(LANGS, lang) ? lang : DEFAULT_LANG;
+}
+
+export function translate(lang, key, params) {
+  const text = MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LANG][key] ?? key;
+  return params ? text.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m)) : text;
+}
+
+/** t(key, params) bound to one language */
+export function makeT(lang) {
+  return (key, params) => translate(lang, key, params);
+}
+
+/** Tier heading: the hint's own label, else the language's default for that step */
+export function localTierLabel(lang, tiers, index) {
+  if (tiers[index]?.label) return tiers[index].label;
+  if (tiers.length <= 1) return "";
+  const key = `tier.${index + 1}`;
+  return MESSAGES[DEFAULT_LANG][key] ? translate(lang, key) : translate(lang, "tier.n", { n: index + 1 });
+}
+
+export function loadLang(roomId) {
+  return normalizeLang(readRoomItem(roomId, LS_LANG));
+}
+
+export function saveLang(roomId, lang) {
+  writeRoomItem(roomId, LS_LANG, lang);
+}
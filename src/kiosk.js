@@ -0,0 +1,108 @@
+/**
+ * Kiosk mode for the operator device left in the room
+ * - Fullscreen (re-entered on the next touch if someone escapes it) + screen wake lock
+ * - Operator controls stay hidden until a long-press on the title reveals the admin PIN login
+ * - While the timer runs, reload / back / closing the tab need an explicit confirm
+ */
+import { useEffect } from "react";
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_KIOSK } from "./storage.js";
+
+export const KIOSK_LONG_PRESS_MS = 1500;
+export const KIOSK_REVEAL_MS = 30 * 1000; // login form hides again if nobody signs in
+
+export function loadKiosk(roomId) {
+  return readRoomItem(roomId, LS_KIOSK) === true;
+}
+
+export function saveKiosk(roomId, enabled) {
+  writeRoomItem(roomId, LS_KIOSK, enabled);
+}
+
+export function isFullscreen() {
+  return Boolean(document.fullscreenElement);
+}
+
+/** Needs a user gesture; browsers without the API (older iOS) just stay windowed */
+export function enterFullscreen() {
+  if (isFullscreen() || !document.documentElement.requestFullscreen) return;
+  document.documentElement.requestFullscreen().catch(() => {});
+}
+
+export function exitFullscreen() {
+  if (isFullscreen()) document.exitFullscreen().catch(() => {});
+}
+
+function isEditable(el) {
+  return el?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName);
+}
+
+/** Reload / history-back shortcuts (Backspace only counts outside text fields) */
+function isNavigationKey(e) {
+  const key = e.key.toLowerCase();
+  if (key === "f5") return true;
+  if ((e.ctrlKey || e.metaKey) && key === "r") return true;
+  if (e.altKey && (key === "arrowleft" || key === "arrowright")) return true;
+  return key === "backspace" && !isEditable(e.target);
+}
+
+/** Side effects of kiosk mode while `active`; navigation guards only while `running` */
+export function useKiosk(active, running) {
+  // wake lock: released by the browser whenever the page is hidden, so re-acquire on return
+  useEffect(() => {
+    if (!active || !navigator.wakeLock) return;
+    let lock = null;
+    let cancelled = false;
+    const acquire = () => {
+      if (document.visibilityState !== "visible") return;
+      navigator.wakeLock
+        .request("screen")
+        .then((l) => {
+          if (cancelled) l.release();
+          else lock = l;
+        })
+        .catch(() => {});
+    };
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", acquire);
+      lock?.release().catch(() => {});
+    };
+  }, [active]);
+
+  // fullscreen comes back on the next touch; long-press context menus are off
+  useEffect(() => {
+    if (!active) return;
+    const blockMenu = (e) => e.preventDefault();
+    window.addEventListener("pointerdown", enterFullscreen);
+    window.addEventListener("contextmenu", blockMenu);
+    return () => {
+      window.removeEventListener("pointerdown", enterFullscreen);
+      window.removeEventListener("contextmenu", blockMenu);
+    };
+  }, [active]);
+
+  useEffect(() => {
+    if (!active || !running) return;
+    const confirmLeave = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    const blockKeys = (e) => {
+      if (isNavigationKey(e)) e.preventDefault();
+    };
+    // an extra history entry soaks up the back button / swipe
+    const stayHere = () => window.history.pushState(window.history.state, "", window.location.href);
+    stayHere();
+    window.addEventListener("beforeunload", confirmLeave);
+    window.addEventListener("keydown", blockKeys);
+    window.addEventListener("popstate", stayHere);
+    return () => {
+      window.removeEventListener("beforeunload", confirmLeave);
+      window.removeEventListener("keydown", blockKeys);
+      window.removeEventListener("popstate", stayHere);
+    };
+  }, [active, running]);
+}
@@ -0,0 +1,224 @@
+/**
+ * Client side of the optional LAN sync server (../server/syncServer.js)
+ * - Off unless a server address is saved on this device; without a server the app runs standalone
+ * - Online only once the server has answered the hello; reconnects with backoff, except after a wrong
+ *   key (stays rejected until the key is changed); messages sent while disconnected are dropped (the next
+ *   state push catches up)
+ * - Operator consoles push timer / hint uses / bonus / tier progress; controllers send commands back
+ * - Room states carry a revision (rev): a console adopts the server's state on (re)connect before it
+ *   pushes, pushes as rev + 1, and ignores anything not newer than what it holds, so a console that
+ *   just opened or was offline never overwrites the live game
+ */
+import { useEffect, useRef, useState } from "react";
+import { LS_SYNC_SERVER, safeJsonParse } from "./storage.js";
+
+export const SYNC_OFF = "off";
+export const SYNC_CONNECTING = "connecting";
+export const SYNC_ONLINE = "online";
+export const SYNC_REJECTED = "rejected";
+export const SYNC_STATUS_LABELS = {
+  [SYNC_OFF]: "사용 안 함",
+  [SYNC_CONNECTING]: "연결 중…",
+  [SYNC_ONLINE]: "연결됨",
+  [SYNC_REJECTED]: "연결 거부됨",
+};
+
+// server error messages (../server/syncServer.js)
+export const SYNC_ERROR_BAD_KEY = "bad key";
+export const SYNC_ERROR_LABELS = {
+  "room offline": "방 콘솔이 연결되어 있지 않습니다.",
+  [SYNC_ERROR_BAD_KEY]: "서버 키가 맞지 않습니다.",
+};
+
+// controller commands (applied by the room's operator console)
+export const CMD_PAUSE = "pause";
+export const CMD_RESUME = "resume";
+export const CMD_ADJUST = "adjust"; // { deltaSec }
+export const CMD_BONUS = "bonus"; // { amount, reason }
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 15000;
+
+/** Saved per device (not per room): { url, key } or null; the server refuses an empty key */
+export function loadSyncServer() {
+  const saved = safeJsonParse(localStorage.getItem(LS_SYNC_SERVER), null);
+  if (!saved || typeof saved.url !== "string" || !saved.url) return null;
+  return { url: saved.url, key: typeof saved.key === "string" ? saved.key : "" };
+}
+
+export function saveSyncServer(server) {
+  if (server) localStorage.setItem(LS_SYNC_SERVER, JSON.stringify(server));
+  else localStorage.removeItem(LS_SYNC_SERVER);
+}
+
+/** "192.168.0.10:8787" / "http://…" / "ws://…/sync" -> ws URL; "" when unreadable */
+export function normalizeServerUrl(text) {
+  let raw = String(text || "").trim();
+  if (!raw) return "";
+  if (!/^[a-z]+:\/\//i.test(raw)) raw = `ws://${raw}`;
+  try {
+    const url = new URL(raw.replace(/^http/i, "ws"));
+    if (url.protocol !== "ws:" && url.protocol !== "wss:") return "";
+    if (url.pathname === "/") url.pathname = "/sync";
+    return url.toString();
+  } catch {
+    return "";
+  }
+}
+
+/** Phone controller page on the sync server that `wsUrl` points at */
+export function controllerUrl(wsUrl) {
+  const url = new URL(wsUrl);
+  return `${url.protocol === "wss:" ? "https" : "http"}://${url.host}${import.meta.env.BASE_URL}?controller=1`;
+}
+
+/** Page served by the sync server itself (plain http): its own /sync endpoint */
+export function sameHostServerUrl() {
+  return window.location.protocol === "http:" ? `ws://${window.location.host}/sync` : "";
+}
+
+/** What an operator console shares for its room (same shape whether pushed or adopted) */
+export function buildLanState({ room, timer, hintUses, bonusGrants, hintProgress }) {
+  return {
+    roomName: room.name,
+    maxHintUses: room.maxHintUses,
+    timer,
+    hintUses,
+    bonusGrants,
+    hintProgress,
+  };
+}
+
+/** Per-console revision bookkeeping for sendRoomState / isNewerState */
+export function makeRoomSync() {
+  return { rev: 0, ready: false, pending: false }; // ready: welcomed by the server; pending: a change wasn't sent
+}
+
+/** Pushes `state` as the next revision once the server has welcomed this console */
+export function sendRoomState(conn, sync, state) {
+  const rev = sync.rev + 1;
+  if (!conn || !sync.ready || !conn.send({ type: "state", state: { ...state, rev, sentAtMs: Date.now() } })) {
+    sync.pending = true;
+    return;
+  }
+  sync.rev = rev;
+  sync.pending = false;
+}
+
+export function isNewerState(sync, state) {
+  return Number.isInteger(state?.rev) && state.rev > sync.rev;
+}
+
+/**
+ * Keeps a connection to `url` open until close() or a wrong-key rejection; `hello` goes out on every (re)connect.
+ * Returns { send (false when not connected), close }
+ */
+export function connectLanSync(url, { hello, onMessage, onStatus }) {
+  let socket = null;
+  let closed = false;
+  let rejected = false;
+  let accepted = false;
+  let retryMs = RETRY_MIN_MS;
+  let retryId = null;
+
+  const open = () => {
+    onStatus?.(SYNC_CONNECTING);
+    try {
+      socket = new WebSocket(url);
+    } catch {
+      return scheduleRetry();
+    }
+    accepted = false;
+    socket.onopen = () => {
+      socket.send(JSON.stringify(hello));
+    };
+    socket.onmessage = (e) => {
+      const msg = safeJsonParse(e.data, null);
+      if (!msg || typeof msg.type !== "string") return;
+      if (msg.type === "error" && msg.message === SYNC_ERROR_BAD_KEY) {
+        rejected = true;
+        onStatus?.(SYNC_REJECTED);
+      } else if (!accepted) {
+        // the first other reply (welcome / rooms) means the hello was taken
+        accepted = true;
+        retryMs = RETRY_MIN_MS;
+        onStatus?.(SYNC_ONLINE);
+      }
+      onMessage?.(msg);
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (!closed && !rejected) scheduleRetry();
+    };
+  };
+
+  const scheduleRetry = () => {
+    onStatus?.(SYNC_CONNECTING);
+    retryId = setTimeout(open, retryMs);
+    retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+  };
+
+  open();
+  return {
+    send(msg) {
+      if (socket?.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify(msg));
+      return true;
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryId);
+      socket?.close();
+      onStatus?.(SYNC_OFF);
+    },
+  };
+}
+
+/** Controller side: all rooms known to the server + a command sender */
+export function useLanRooms(server) {
+  const [status, setStatus] = useState(SYNC_OFF);
+  const [rooms, setRooms] = useState({});
+  const [error, setError] = useState("");
+  const connRef = useRef(null);
+
+  useEffect(() => {
+    if (!server) return;
+    const c = connectLanSync(server.url, {
+      hello: { type: "hello", role: "controller", key: server.key },
+      onStatus: (s) => {
+        setStatus(s);
+        if (s === SYNC_ONLINE) setError("");
+      },
+      onMessage: (msg) => {
+        if (msg.type === "rooms") setRooms(receivedRooms(msg, Date.now()));
+        if (msg.type === "error") setError(msg.message);
+      },
+    });
+    connRef.current = c;
+    return () => {
+      c.close();
+      connRef.current = null;
+    };
+  }, [server]);
+
+  const sendCommand = (roomId, command) => {
+    setError("");
+    connRef.current?.send({ type: "command", roomId, command });
+  };
+  return { status: server ? status : SYNC_OFF, rooms, error, sendCommand };
+}
+
+/**
+ * Timers carry the console's clock, so each room gets clockOffsetMs (phone clock - console clock):
+ * console -> server from when the server got the state, server -> phone from serverNowMs
+ */
+function receivedRooms({ rooms, serverNowMs }, nowMs) {
+  const serverToPhone = Number.isFinite(serverNowMs) ? nowMs - serverNowMs : 0;
+  const out = {};
+  for (const [id, r] of Object.entries(rooms || {})) {
+    if (!r?.state) continue;
+    const consoleToServer = Number.isFinite(r.receivedAtMs) && Number.isFinite(r.state.sentAtMs) ? r.receivedAtMs - r.state.sentAtMs : 0;
+    out[id] = { ...r, clockOffsetMs: consoleToServer + serverToPhone };
+  }
+  return out;
+}
@@ -0,0 +1,46 @@
+/**
+ * Per-room leaderboard of escaped teams
+ * - Ranked by clear time, then by hints used
+ * - Survives session resets; pruned manually in admin mode
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_LEADERBOARD } from "./storage.js";
+
+export function loadLeaderboard(roomId) {
+  const saved = readRoomItem(roomId, LS_LEADERBOARD);
+  return Array.isArray(saved) ? saved : [];
+}
+
+export function saveLeaderboard(roomId, entries) {
+  writeRoomItem(roomId, LS_LEADERBOARD, entries);
+}
+
+/** `costModel` / `penaltySec` / `score` come from the room's hint cost model (./hintCost.js); score is null outside the score model */
+export function makeResult({ teamName, clearSec, hintUses, hintBonus, costModel, penaltySec, score, durationSec, finishedAtMs }) {
+  return {
+    id: `${finishedAtMs}-${Math.random().toString(36).slice(2, 8)}`,
+    teamName,
+    clearSec,
+    hintUses,
+    hintBonus,
+    costModel,
+    penaltySec,
+    score,
+    durationSec,
+    finishedAtMs,
+  };
+}
+
+export function compareResults(a, b) {
+  return a.clearSec - b.clearSec || a.hintUses - b.hintUses || a.finishedAtMs - b.finishedAtMs;
+}
+
+export function sortLeaderboard(entries) {
+  return [...entries].sort(compareResults);
+}
+
+/** 1-based rank of an entry id, or null */
+export function rankOf(entries, id) {
+  const i = sortLeaderboard(entries).findIndex((e) => e.id === id);
+  return i < 0 ? null : i + 1;
+}
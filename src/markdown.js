@@ -0,0 +1,77 @@
+/**
+ * Safe Markdown subset for hint bodies
+ * - Parsed into plain block/inline tokens that HintBody renders as React elements (never as HTML)
+ * - Blocks: # / ## / ### headings, - or 1. lists, ![caption](media:ID) on its own line, paragraphs
+ * - Inline: **bold**, *italic*, `code`; single newlines stay line breaks (old plain-text hints look the same)
+ * - Anything else, including links and raw HTML, is shown as literal text
+ */
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*]\s+(.*)$/;
+const ORDERED = /^\s*\d+[.)]\s+(.*)$/;
+const MEDIA = /^!\[([^\]]*)\]\(media:([A-Za-z0-9_-]+)\)\s*$/;
+const INLINE = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`)/;
+
+export function parseInline(text) {
+  return text
+    .split(INLINE)
+    .filter(Boolean)
+    .map((part) => {
+      if (part.startsWith("**") && part.endsWith("**") && part.length > 4) {
+        return { type: "strong", children: parseInline(part.slice(2, -2)) };
+      }
+      if (part.startsWith("`") && part.endsWith("`") && part.length > 2) return { type: "code", text: part.slice(1, -1) };
+      if (part.startsWith("*") && part.endsWith("*") && part.length > 2) {
+        return { type: "em", children: parseInline(part.slice(1, -1)) };
+      }
+      return { type: "text", text: part };
+    });
+}
+
+export function parseMarkdown(text) {
+  const blocks = [];
+  let para = null;
+  let list = null;
+
+  const close = () => {
+    para = null;
+    list = null;
+  };
+
+  for (const line of String(text || "").split(/\r?\n/)) {
+    if (!line.trim()) {
+      close();
+      continue;
+    }
+
+    const media = line.trim().match(MEDIA);
+    const heading = line.match(HEADING);
+    const bullet = line.match(BULLET);
+    const ordered = !bullet && line.match(ORDERED);
+
+    if (media) {
+      close();
+      blocks.push({ type: "media", caption: media[1], id: media[2] });
+    } else if (heading) {
+      close();
+      blocks.push({ type: "heading", level: heading[1].length, inline: parseInline(heading[2]) });
+    } else if (bullet || ordered) {
+      const isOrdered = Boolean(ordered);
+      if (!list || list.ordered !== isOrdered) {
+        para = null;
+        list = { type: "list", ordered: isOrdered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(parseInline((bullet || ordered)[1]));
+    } else {
+      list = null;
+      if (!para) {
+        para = { type: "paragraph", lines: [] };
+        blocks.push(para);
+      }
+      para.lines.push(parseInline(line));
+    }
+  }
+  return blocks;
+}
+
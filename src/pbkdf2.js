@@ -0,0 +1,46 @@
+/**
+ * PBKDF2-SHA-256 helpers shared by the admin PIN (./adminAuth.js) and hashed puzzle answers (./answers.js)
+ * - WebCrypto where available; the pure-JS ./sha256.js on plain-http pages (the LAN sync server's),
+ *   which gives the same hashes more slowly, so a PIN set on either kind of page works on the other
+ * - Salts and hashes travel as base64 strings
+ */
+import { pbkdf2Sha256, sha256 } from "./sha256.js";
+
+export function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function hasWebCrypto() {
+  return Boolean(globalThis.crypto?.subtle);
+}
+
+export function randomSalt() {
+  return crypto.getRandomValues(new Uint8Array(16));
+}
+
+/** base64 of the 256-bit PBKDF2-SHA-256 key for `secret` */
+export async function pbkdf2(secret, salt, iterations) {
+  if (!hasWebCrypto()) return toBase64(pbkdf2Sha256(new TextEncoder().encode(secret), salt, iterations));
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveBits"]);
+  return toBase64(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256));
+}
+
+/** Hex SHA-256 of `text` */
+export async function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const digest = hasWebCrypto() ? await crypto.subtle.digest("SHA-256", bytes) : sha256(bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Constant-time-ish compare; timing is not the realistic threat here, but it costs nothing */
+export function sameHash(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,105 @@
+/**
+ * Puzzle progression (per room)
+ * - Room config holds the ordered puzzle list: [{ id, name, codes: ["E-01", ...], ...answer settings }]
+ * - Session state holds solves: { puzzleId: { atMs, elapsedSec } } (cleared on session reset)
+ * - Time per puzzle runs from the previous solve (or game start) to this one; the first
+ *   unsolved puzzle is the current stage, and a team is "stalled" when it sits there too long
+ */
+import { readRoomItem, writeRoomItem } from "./stateStore.js";
+import { LS_PUZZLE_SOLVES } from "./storage.js";
+import { getElapsedMs } from "./timer.js";
+import { normalizeCode } from "./utils.js";
+
+export const DEFAULT_STALL_MIN = 15;
+
+export function makePuzzle(name, codes, nowMs) {
+  return {
+    id: `${nowMs.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    codes: parseCodeList(codes),
+    // answer checking, see ./answers.js
+    answers: [],
+    answerHashes: [],
+    penaltySec: 0,
+    cooldownSec: 0,
+    followUp: "",
+  };
+}
+
+/** "E-01, e-02" (or an array) -> ["E-01", "E-02"] */
+export function parseCodeList(codes) {
+  const list = Array.isArray(codes) ? codes : String(codes || "").split(",");
+  return [...new Set(list.map(normalizeCode).filter(Boolean))];
+}
+
+export function normalizePuzzles(saved) {
+  if (!Array.isArray(saved)) return [];
+  return saved
+    .filter((p) => p && typeof p.id === "string" && typeof p.name === "string" && p.name.trim())
+    .map((p) => ({
+      id: p.id,
+      name: p.name,
+      codes: parseCodeList(p.codes),
+      answers: stringList(p.answers),
+      answerHashes: stringList(p.answerHashes),
+      penaltySec: nonNegative(p.penaltySec),
+      cooldownSec: nonNegative(p.cooldownSec),
+      followUp: typeof p.followUp === "string" ? p.followUp : "",
+    }));
+}
+
+function stringList(list) {
+  return Array.isArray(list) ? list.filter((x) => typeof x === "string" && x) : [];
+}
+
+function nonNegative(n) {
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/** Puzzle a hint code belongs to (null if unlinked) */
+export function puzzleForCode(puzzles, code) {
+  return puzzles.find((p) => p.codes.includes(code)) || null;
+}
+
+export function loadPuzzleSolves(roomId) {
+  const saved = readRoomItem(roomId, LS_PUZZLE_SOLVES);
+  return saved && typeof saved === "object" ? saved : {};
+}
+
+export function savePuzzleSolves(roomId, solves) {
+  writeRoomItem(roomId, LS_PUZZLE_SOLVES, solves);
+}
+
+/**
+ * Per-puzzle status in room order:
+ * [{ puzzle, solved, current, spentSec }] — spentSec is null for puzzles not reached yet
+ */
+export function puzzleProgress(puzzles, solves, timer, nowMs) {
+  const elapsedSec = Math.floor(getElapsedMs(timer, nowMs) / 1000);
+  const solvedOrder = puzzles
+    .filter((p) => solves[p.id])
+    .sort((a, b) => solves[a.id].elapsedSec - solves[b.id].elapsedSec);
+
+  const startOf = {};
+  let prevSec = 0;
+  for (const p of solvedOrder) {
+    startOf[p.id] = prevSec;
+    prevSec = solves[p.id].elapsedSec;
+  }
+
+  const current = puzzles.find((p) => !solves[p.id]) || null;
+  return puzzles.map((p) => {
+    const solve = solves[p.id];
+    if (solve) return { puzzle: p, solved: true, current: false, spentSec: Math.max(0, solve.elapsedSec - startOf[p.id]) };
+    if (p === current && timer.startAtMs != null) {
+      return { puzzle: p, solved: false, current: true, spentSec: Math.max(0, elapsedSec - prevSec) };
+    }
+    return { puzzle: p, solved: false, current: p === current, spentSec: null };
+  });
+}
+
+/** The current stage's row when it has run past `stallMin` minutes, else null */
+export function stalledStage(progress, stallMin) {
+  const row = progress.find((r) => r.current);
+  return row && row.spentSec != null && stallMin > 0 && row.spentSec >= stallMin * 60 ? row : null;
+}
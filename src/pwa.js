@@ -0,0 +1,10 @@
+/**
+ * Installable / offline app: registers the service worker built from ./serviceWorker.js
+ * - Production builds only (the dev server serves modules the worker doesn't know about)
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {});
+  });
+}
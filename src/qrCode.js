@@ -0,0 +1,280 @@
+/**
+ * Minimal QR code encoder (no dependencies, works offline)
+ * - Byte mode (UTF-8), error correction level M, versions 1-10 (up to 213 bytes: plenty for a URL)
+ * - qrMatrix(text) -> rows of booleans (true = dark), without the quiet zone
+ * - Follows ISO/IEC 18004: Reed-Solomon over GF(256), all 8 masks scored, lowest penalty wins
+ */
+
+// level M per version: [EC codewords per block, [blocks, data codewords per block], ...]
+const BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+];
+
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+const EC_LEVEL_M = 0b00;
+export const MAX_QR_VERSION = BLOCKS_M.length - 1;
+
+// ======= GF(256) / Reed-Solomon =======
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+function gfMul(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+function rsGenerator(degree) {
+  let poly = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(poly.length + 1).fill(0);
+    for (let j = 0; j < poly.length; j++) {
+      next[j] ^= poly[j];
+      next[j + 1] ^= gfMul(poly[j], EXP[i]);
+    }
+    poly = next;
+  }
+  return poly;
+}
+
+function rsRemainder(data, degree) {
+  const gen = rsGenerator(degree);
+  const rem = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ rem.shift();
+    rem.push(0);
+    for (let i = 0; i < degree; i++) rem[i] ^= gfMul(gen[i + 1], factor);
+  }
+  return rem;
+}
+
+// ======= Data codewords =======
+function dataCapacity(version) {
+  const [, ...groups] = BLOCKS_M[version];
+  return groups.reduce((sum, [n, k]) => sum + n * k, 0);
+}
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const put = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  put(0b0100, 4); // byte mode
+  put(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) put(b, 8);
+
+  const capacityBits = dataCapacity(version) * 8;
+  put(0, Math.min(4, capacityBits - bits.length)); // terminator
+  while (bits.length % 8) bits.push(0);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((v, b) => (v << 1) | b, 0));
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+/** Splits into blocks, adds EC codewords, interleaves */
+function finalCodewords(data, version) {
+  const [ecLen, ...groups] = BLOCKS_M[version];
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: rsRemainder(block, ecLen) });
+    }
+  }
+  const out = [];
+  const maxData = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < maxData; i++) for (const b of blocks) if (i < b.data.length) out.push(b.data[i]);
+  for (let i = 0; i < ecLen; i++) for (const b of blocks) out.push(b.ec[i]);
+  return out;
+}
+
+// ======= Matrix =======
+function bchBits(value, poly, polyDegree) {
+  let rem = value << polyDegree;
+  for (let i = 31 - Math.clz32(rem); i >= polyDegree; i--) if ((rem >>> i) & 1) rem ^= poly << (i - polyDegree);
+  return (value << polyDegree) | rem;
+}
+
+function makeGrid(size) {
+  return {
+    size,
+    dark: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+  };
+}
+
+function setFn(grid, x, y, dark) {
+  grid.dark[y][x] = dark;
+  grid.reserved[y][x] = true;
+}
+
+function drawFunctionPatterns(grid, version) {
+  const { size } = grid;
+  for (let i = 0; i < size; i++) {
+    setFn(grid, 6, i, i % 2 === 0);
+    setFn(grid, i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        setFn(grid, x, y, d !== 2 && d !== 4);
+      }
+    }
+  }
+  const align = ALIGNMENT[version];
+  const last = align.length - 1;
+  for (const [i, cy] of align.entries()) {
+    for (const [j, cx] of align.entries()) {
+      if ((i === 0 && (j === 0 || j === last)) || (i === last && j === 0)) continue; // finder corners
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFn(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+  drawFormatBits(grid, 0); // reserve; real bits drawn after masking
+  setFn(grid, 8, size - 8, true); // dark module
+
+  if (version >= 7) {
+    const bits = bchBits(version, 0x1f25, 12);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFn(grid, a, b, dark);
+      setFn(grid, b, a, dark);
+    }
+  }
+}
+
+function drawFormatBits(grid, mask) {
+  const { size } = grid;
+  const bits = bchBits((EC_LEVEL_M << 3) | mask, 0x537, 10) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) setFn(grid, 8, i, bit(i));
+  setFn(grid, 8, 7, bit(6));
+  setFn(grid, 8, 8, bit(7));
+  setFn(grid, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFn(grid, 14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) setFn(grid, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFn(grid, 8, size - 15 + i, bit(i));
+}
+
+/** Zig-zag placement, two columns at a time from the bottom right */
+function drawCodewords(grid, codewords) {
+  const { size } = grid;
+  let i = 0;
+  const total = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (grid.reserved[y][x] || i >= total) continue;
+        grid.dark[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask(grid, mask) {
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) if (!grid.reserved[y][x] && MASKS[mask](x, y)) grid.dark[y][x] = !grid.dark[y][x];
+  }
+}
+
+// finder-like 1:1:3:1:1 run with 4 light modules on one side
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+function penalty(dark) {
+  const size = dark.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(dark[i]);
+    lines.push(dark.map((row) => row[i]));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      for (const pattern of FINDER_LIKE) if (pattern.every((v, k) => line[i + k] === v)) score += 40;
+    }
+  }
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = dark[y][x];
+      if (c === dark[y][x + 1] && c === dark[y + 1][x] && c === dark[y + 1][x + 1]) score += 3;
+    }
+  }
+  const darkCount = dark.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(darkCount * 20 - size * size * 10) / (size * size)) * 10;
+  return score;
+}
+
+/** Smallest version (1-10) that fits; throws if the text is too long */
+export function qrMatrix(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version <= MAX_QR_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) version++;
+  if (version > MAX_QR_VERSION) throw new Error("QR: text too long");
+
+  const codewords = finalCodewords(encodeData(bytes, version), version);
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const grid = makeGrid(17 + version * 4);
+    drawFunctionPatterns(grid, version);
+    drawCodewords(grid, codewords);
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const score = penalty(grid.dark);
+    if (!best || score < best.score) best = { score, dark: grid.dark };
+  }
+  return best.dark;
+}
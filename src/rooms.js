@@ -0,0 +1,119 @@
+/**
+ * Room registry
+ * - Each room has its own duration, hint allowance and cost model, free codes, hint catalogue,
+ *   schedule and puzzles
+ * - Room config is the state document's LS_ROOMS item; per-room play state sits beside it (./stateStore.js)
+ * - A room is selected with ?room=ID (no param = default room)
+ */
+import { DEFAULT_HINTS } from "./defaultHints.js";
+import { sealHints, unsealHints } from "./hintCipher.js";
+import { defaultHintCost, normalizeHintCost } from "./hintCost.js";
+import { mediaIdsIn } from "./hintMedia.js";
+import { DEFAULT_MESSAGE_TEMPLATES, normalizeTemplates } from "./gmMessages.js";
+import { DEFAULT_STALL_MIN, normalizePuzzles } from "./puzzles.js";
+import { normalizeSchedule } from "./schedule.js";
+import { allRoomItems, readItem, readRoomItem, removeRoomState, writeItem, writeRoomItem } from "./stateStore.js";
+import { DEFAULT_ROOM_ID, LS_HINTS, LS_ROOMS } from "./storage.js";
+
+export const DEFAULT_DURATION_MIN = 70; // 1시간 10분
+export const MAX_HINT_USES = 5;
+export const FREE_HINT_CODES = ["E-00"];
+
+// How a used hint is shown on the operator device
+export const HINT_DISPLAY_POPUP = "popup";
+export const HINT_DISPLAY_MODAL = "modal";
+export const HINT_DISPLAY_PANEL = "panel";
+export const HINT_DISPLAY_MODES = {
+  [HINT_DISPLAY_POPUP]: "팝업 창",
+  [HINT_DISPLAY_MODAL]: "화면 위 창",
+  [HINT_DISPLAY_PANEL]: "옆 패널",
+};
+
+export function normalizeRoomId(id) {
+  return (id || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, "");
+}
+
+export function createRoom(id, overrides = {}) {
+  return {
+    id,
+    name: id === DEFAULT_ROOM_ID ? "기본 방" : id,
+    durationMin: DEFAULT_DURATION_MIN,
+    maxHintUses: MAX_HINT_USES,
+    freeCodes: [...FREE_HINT_CODES],
+    hintDisplay: HINT_DISPLAY_POPUP,
+    hintCost: defaultHintCost(), // see ./hintCost.js
+    schedule: [], // see ./schedule.js
+    puzzles: [], // see ./puzzles.js
+    stallMin: DEFAULT_STALL_MIN,
+    messageTemplates: [...DEFAULT_MESSAGE_TEMPLATES], // game-master quick replies (./gmMessages.js)
+    ...overrides,
+  };
+}
+
+function normalizeRoom(id, saved) {
+  const base = createRoom(id);
+  if (!saved || typeof saved !== "object") return base;
+  return {
+    ...base,
+    name: typeof saved.name === "string" && saved.name.trim() ? saved.name : base.name,
+    durationMin: Number.isFinite(saved.durationMin) && saved.durationMin > 0 ? saved.durationMin : base.durationMin,
+    maxHintUses: Number.isFinite(saved.maxHintUses) && saved.maxHintUses >= 0 ? saved.maxHintUses : base.maxHintUses,
+    freeCodes: Array.isArray(saved.freeCodes) ? saved.freeCodes : base.freeCodes,
+    hintDisplay: HINT_DISPLAY_MODES[saved.hintDisplay] ? saved.hintDisplay : base.hintDisplay,
+    hintCost: normalizeHintCost(saved.hintCost),
+    schedule: normalizeSchedule(saved.schedule),
+    puzzles: normalizePuzzles(saved.puzzles),
+    stallMin: Number.isFinite(saved.stallMin) && saved.stallMin >= 0 ? saved.stallMin : base.stallMin,
+    messageTemplates: normalizeTemplates(saved.messageTemplates),
+  };
+}
+
+/** Registry always contains the default room */
+export function loadRooms() {
+  const saved = readItem(LS_ROOMS);
+  const rooms = {};
+  if (saved && typeof saved === "object") {
+    for (const [id, r] of Object.entries(saved)) {
+      const rid = normalizeRoomId(id);
+      if (rid) rooms[rid] = normalizeRoom(rid, r);
+    }
+  }
+  if (!rooms[DEFAULT_ROOM_ID]) rooms[DEFAULT_ROOM_ID] = createRoom(DEFAULT_ROOM_ID);
+  return rooms;
+}
+
+export function saveRooms(rooms) {
+  writeItem(LS_ROOMS, rooms);
+}
+
+/** Hints for a room that has never saved any: default room gets the bundled set */
+export function defaultHintsFor(roomId) {
+  return roomId === DEFAULT_ROOM_ID ? DEFAULT_HINTS : {};
+}
+
+export function loadRoomHints(roomId) {
+  return unsealHints(readRoomItem(roomId, LS_HINTS)) || defaultHintsFor(roomId);
+}
+
+/** Stored obfuscated (./hintCipher.js) */
+export function saveRoomHints(roomId, hints) {
+  writeRoomItem(roomId, LS_HINTS, sealHints(hints));
+}
+
+/** Media ids (./hintMedia.js) any room's catalogue uses, backups included, plus the built-in hints */
+export function referencedMediaIds() {
+  const catalogues = [DEFAULT_HINTS, ...allRoomItems(LS_HINTS).map((sealed) => unsealHints(sealed))];
+  return mediaIdsIn(JSON.stringify(catalogues));
+}
+
+/** Copies the hint catalogue only; play state (timer/uses/bonus) starts fresh */
+export function copyRoomHints(fromId, toId) {
+  saveRoomHints(toId, loadRoomHints(fromId));
+}
+
+export function clearRoomStorage(roomId) {
+  removeRoomState(roomId);
+}
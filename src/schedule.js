@@ -0,0 +1,68 @@
+/**
+ * Scheduled pushes against the countdown (per room, stored with the room config)
+ * - announce:  show a message overlay at a point in time
+ * - push_hint: reveal a hint for free, optionally only if the team hasn't opened it yet
+ * - Trigger is "remaining" (e.g. 20:00 left) or "elapsed" (e.g. 40:00 in); each rule fires once per session
+ */
+import { getElapsedMs, getRemainingSec } from "./timer.js";
+import { formatTime } from "./utils.js";
+
+export const RULE_ANNOUNCE = "announce";
+export const RULE_PUSH_HINT = "push_hint";
+
+export function makeRule({ kind, at, sec, message, code, onlyIfUnopened }, nowMs) {
+  return {
+    id: `${nowMs}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    at: at === "elapsed" ? "elapsed" : "remaining",
+    sec,
+    ...(kind === RULE_ANNOUNCE ? { message } : { code, onlyIfUnopened: Boolean(onlyIfUnopened) }),
+  };
+}
+
+export function normalizeSchedule(saved) {
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(
+    (r) =>
+      r &&
+      typeof r.id === "string" &&
+      (r.kind === RULE_ANNOUNCE || r.kind === RULE_PUSH_HINT) &&
+      Number.isFinite(r.sec) &&
+      r.sec >= 0
+  );
+}
+
+/** Rules whose trigger point has been reached and that haven't fired this session */
+export function dueRules(schedule, timer, nowMs, firedIds) {
+  const remaining = getRemainingSec(timer, nowMs);
+  const elapsed = getElapsedMs(timer, nowMs) / 1000;
+  return schedule.filter((r) => {
+    if (firedIds.includes(r.id)) return false;
+    return r.at === "elapsed" ? elapsed >= r.sec : remaining <= r.sec;
+  });
+}
+
+export function describeRule(rule) {
+  const when = `${rule.at === "elapsed" ? "경과" : "남은 시간"} ${formatTime(rule.sec)}`;
+  if (rule.kind === RULE_ANNOUNCE) return `${when} · 안내: ${rule.message}`;
+  return `${when} · 힌트 ${rule.code} 무료 공개${rule.onlyIfUnopened ? " (미열람 시)" : ""}`;
+}
+
+/** Sort by the order they'd fire in a game of `durationSec` */
+export function sortSchedule(schedule, durationSec) {
+  const firesAt = (r) => (r.at === "elapsed" ? r.sec : durationSec - r.sec);
+  return [...schedule].sort((a, b) => firesAt(a) - firesAt(b));
+}
+
+/** "20:00", "20" (minutes) or "1:05:00" -> seconds; NaN when unreadable */
+export function parseClockInput(text) {
+  const parts = String(text || "")
+    .trim()
+    .split(":")
+    .map((p) => p.trim());
+  if (!parts[0] || parts.length > 3 || parts.some((p) => !/^\d+$/.test(p))) return NaN;
+  const nums = parts.map(Number);
+  if (nums.length === 1) return nums[0] * 60;
+  if (nums.length === 2) return nums[0] * 60 + nums[1];
+  return nums[0] * 3600 + nums[1] * 60 + nums[2];
+}
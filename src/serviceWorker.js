@@ -0,0 +1,39 @@
+/**
+ * Service worker (offline play)
+ * - Template: vite.config.js bakes in the build's file list and a content hash, then emits it as sw.js
+ * - Install precaches the whole build; every page (?hint= / ?display= / ?room=) is the same index.html
+ * - Cache first, so a dropped venue Wi-Fi never breaks a reload; a new build replaces the cache on activate
+ */
+/* global __PRECACHE__, __CACHE_NAME__ */
+const PRECACHE = __PRECACHE__;
+const CACHE_NAME = __CACHE_NAME__;
+const CACHE_PREFIX = "escape-room-";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match("index.html").then((cached) => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});
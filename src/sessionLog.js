@@ -0,0 +1,101 @@
+/**
+ * Append-only event log for one game session (cleared on session reset)
+ * - Every event: { type, atMs, elapsedSec, ...data }
+ * - Exportable as JSON / CSV for puzzle difficulty review
+ * - Labels and detail text are Korean like the rest of the staff-only admin panel; the player
+ *   language setting (./i18n.js) doesn't apply to the timeline or the exports
+ */
+import { getElapsedMs, getRemainingSec } from "./timer.js";
+import { formatTime, toCsv } from "./utils.js";
+
+export const EVENT_LABELS = {
+  start: "게임 시작",
+  pause: "일시정지",
+  resume: "재개",
+  time_adjust: "시간 조정",
+  hint: "힌트 열람",
+  bonus: "보너스 지급",
+  bonus_undo: "보너스 취소",
+  admin_login: "관리자 로그인",
+  announce: "안내 표시",
+  message: "GM 메시지",
+  solve: "퍼즐 해결",
+  solve_undo: "해결 취소",
+  answer: "정답 입력",
+  finish: "게임 종료",
+};
+
+/** Build an event stamped with wall-clock and game-elapsed time of `timer` at `atMs` */
+export function makeEvent(type, timer, atMs, data = {}) {
+  return {
+    type,
+    atMs,
+    elapsedSec: Math.floor(getElapsedMs(timer, atMs) / 1000),
+    ...data,
+  };
+}
+
+export function appendEvent(log, event) {
+  return [...log, event];
+}
+
+/** Final-time fields for a finish event */
+export function finishData(timer, atMs, reason) {
+  return { reason, remainingSec: Math.floor(getRemainingSec(timer, atMs)) };
+}
+
+/** Detail text; commands from the LAN controller (remote: true) are marked as such */
+export function describeEvent(e) {
+  const detail = eventDetail(e);
+  if (!e.remote) return detail;
+  return detail ? `${detail} (휴대폰)` : "휴대폰 컨트롤러";
+}
+
+function eventDetail(e) {
+  switch (e.type) {
+    case "hint":
+      return (
+        `${e.code}${e.tier ? ` ${e.tier}/${e.tierCount}단계` : ""}${e.title ? ` · ${e.title}` : ""}` +
+        ` (${e.auto ? "자동 공개" : e.free ? "무료" : `차감${e.cost > 1 ? ` ${e.cost}회` : ""}`})` +
+        `${e.penaltySec ? ` · 시간 -${formatTime(e.penaltySec)}` : ""}${e.points ? ` · -${e.points}점` : ""}`
+      );
+    case "bonus":
+    case "bonus_undo":
+      return `${e.amount > 0 ? "+" : ""}${e.amount}${e.reason ? ` · ${e.reason}` : ""}`;
+    case "time_adjust":
+      return `${e.deltaSec > 0 ? "+" : ""}${Math.round(e.deltaSec / 60)}분`;
+    case "announce":
+      return e.message;
+    case "message":
+      return `${e.text}${e.chime ? " (알림음)" : ""}`;
+    case "solve":
+    case "solve_undo":
+      return `${e.puzzle}${e.byAnswer ? " (정답 입력)" : ""}`;
+    case "answer":
+      return `${e.puzzle} · ${e.guess != null ? `"${e.guess}" ` : ""}${e.correct ? "정답" : `오답${e.penaltySec ? ` (-${formatTime(e.penaltySec)})` : ""}`}`;
+    case "finish":
+      return `${e.reason === "escaped" ? `탈출 성공 (${e.teamName})` : "시간 종료"} · 진행 ${formatTime(e.elapsedSec)} · 남은 ${formatTime(e.remainingSec)}`;
+    default:
+      return "";
+  }
+}
+
+export function logToJson(log, meta = {}) {
+  return JSON.stringify({ ...meta, exportedAt: new Date().toISOString(), events: log }, null, 2);
+}
+
+const CSV_COLUMNS = ["at", "elapsed_sec", "elapsed", "type", "code", "free", "amount", "detail"];
+
+export function logToCsv(log) {
+  const rows = log.map((e) => [
+    new Date(e.atMs).toISOString(),
+    e.elapsedSec,
+    formatTime(e.elapsedSec),
+    e.type,
+    e.code,
+    e.type === "hint" ? e.free : "",
+    e.amount ?? e.deltaSec ?? e.cost,
+    describeEvent(e),
+  ]);
+  return toCsv([CSV_COLUMNS, ...rows]);
+}
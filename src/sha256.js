@@ -0,0 +1,141 @@
+/**
+ * Pure-JS SHA-256 and PBKDF2-HMAC-SHA-256 (FIPS 180-4, RFC 8018)
+ * - Fallback for ./pbkdf2.js where WebCrypto is missing: the app served over plain http by the LAN
+ *   sync server (server/syncServer.js) is not a secure context, so `crypto.subtle` is undefined there
+ * - Same output as WebCrypto, so hashes made on either side verify on the other; several times slower
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01,
+  0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc,
+  0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, 0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070, 0x19a4c116, 0x1e376c08,
+  0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+const W = new Uint32Array(64);
+
+/** Runs the compression function over 16 big-endian words at `words[offset..]`, updating `state` */
+function compress(state, words, offset) {
+  for (let i = 0; i < 16; i++) W[i] = words[offset + i];
+  for (let i = 16; i < 64; i++) {
+    const a = W[i - 15];
+    const b = W[i - 2];
+    const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+    const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+    W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+  }
+  let [a, b, c, d, e, f, g, h] = state;
+  for (let i = 0; i < 64; i++) {
+    const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+    const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+    const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+    const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    h = g;
+    g = f;
+    f = e;
+    e = (d + t1) | 0;
+    d = c;
+    c = b;
+    b = a;
+    a = (t1 + t2) | 0;
+  }
+  state[0] = (state[0] + a) | 0;
+  state[1] = (state[1] + b) | 0;
+  state[2] = (state[2] + c) | 0;
+  state[3] = (state[3] + d) | 0;
+  state[4] = (state[4] + e) | 0;
+  state[5] = (state[5] + f) | 0;
+  state[6] = (state[6] + g) | 0;
+  state[7] = (state[7] + h) | 0;
+}
+
+/** `bytes` padded to whole blocks (with `prefixBytes` already hashed before it), as big-endian words */
+function paddedWords(bytes, prefixBytes) {
+  const blocks = Math.ceil((bytes.length + 9) / 64);
+  const padded = new Uint8Array(blocks * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const bits = (prefixBytes + bytes.length) * 8;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bits / 0x100000000));
+  view.setUint32(padded.length - 4, bits >>> 0);
+  const words = new Uint32Array(padded.length / 4);
+  for (let i = 0; i < words.length; i++) words[i] = view.getUint32(i * 4);
+  return words;
+}
+
+function hashWords(state, words) {
+  for (let i = 0; i < words.length; i += 16) compress(state, words, i);
+}
+
+function stateBytes(state) {
+  const out = new Uint8Array(32);
+  const view = new DataView(out.buffer);
+  state.forEach((word, i) => view.setUint32(i * 4, word));
+  return out;
+}
+
+export function sha256(bytes) {
+  const state = Int32Array.from(INITIAL_STATE);
+  hashWords(state, paddedWords(bytes, 0));
+  return stateBytes(state);
+}
+
+/** HMAC key schedule: the states after absorbing the inner and outer padded key blocks */
+function hmacStates(key) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha256(key) : key);
+  const states = [0x36, 0x5c].map((pad) => {
+    const words = new Uint32Array(16);
+    const view = new DataView(block.buffer);
+    for (let i = 0; i < 16; i++) words[i] = (view.getUint32(i * 4) ^ (pad * 0x01010101)) >>> 0;
+    const state = Int32Array.from(INITIAL_STATE);
+    compress(state, words, 0);
+    return state;
+  });
+  return { inner: states[0], outer: states[1] };
+}
+
+function hmacFrom({ inner, outer }, bytes) {
+  const innerState = Int32Array.from(inner);
+  hashWords(innerState, paddedWords(bytes, 64));
+  const outerState = Int32Array.from(outer);
+  hashWords(outerState, paddedWords(stateBytes(innerState), 64));
+  return stateBytes(outerState);
+}
+
+/** One HMAC over a 32-byte message held as words: `block` already carries the padding */
+function hmacDigestWords({ inner, outer }, block) {
+  const innerState = Int32Array.from(inner);
+  compress(innerState, block, 0);
+  const outerState = Int32Array.from(outer);
+  for (let i = 0; i < 8; i++) block[i] = innerState[i];
+  compress(outerState, block, 0);
+  for (let i = 0; i < 8; i++) block[i] = outerState[i];
+}
+
+/** 32-byte PBKDF2-HMAC-SHA-256 key (one block, which is all ./pbkdf2.js asks for) */
+export function pbkdf2Sha256(password, salt, iterations) {
+  const keys = hmacStates(password);
+  const first = new Uint8Array(salt.length + 4);
+  first.set(salt);
+  first[salt.length + 3] = 1; // block index, big-endian
+  const u = hmacFrom(keys, first);
+  // every later round hashes the previous 32-byte digest: a fixed single block, reused in place
+  const block = new Uint32Array(16);
+  const view = new DataView(u.buffer);
+  for (let i = 0; i < 8; i++) block[i] = view.getUint32(i * 4);
+  block[8] = 0x80000000;
+  block[15] = (64 + 32) * 8;
+  const out = Int32Array.from(block.subarray(0, 8));
+  for (let n = 1; n < iterations; n++) {
+    hmacDigestWords(keys, block);
+    for (let i = 0; i < 8; i++) out[i] ^= block[i];
+  }
+  return stateBytes(out);
+}
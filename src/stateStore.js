@@ -0,0 +1,424 @@
+/**
+ * Versioned state document (everything the game keeps in localStorage, in one key)
+ * - LS_STATE holds { version, savedAtMs, checksum, data: { rooms, roomState: { roomId: { field: value } } } }
+ * - Writes are batched per task and land in a single setItem (read-modify-write, so tabs for
+ *   other rooms aren't clobbered); the checksum catches truncated or hand-mangled writes
+ * - Rolling snapshots (LS_STATE_SNAPSHOTS): every SNAPSHOT_INTERVAL_MS and before destructive actions;
+ *   session history (LS_HISTORY) stays out of them, so its size isn't multiplied by every copy
+ *   and a restore keeps the current history
+ * - A document that fails to parse / verify at load is never overwritten: writes stop until the
+ *   recovery screen restores a snapshot or starts fresh (the bad copy is kept in LS_STATE_CORRUPT)
+ * - Device settings (admin PIN, sync server address) keep their own keys
+ */
+import { isSealedHints, sealHints } from "./hintCipher.js";
+import {
+  LS_ANNOUNCEMENT,
+  LS_BONUS,
+  LS_CUES,
+  LS_HINTS,
+  LS_HINT_PROGRESS,
+  LS_HINT_TOKENS,
+  LS_HISTORY,
+  LS_KIOSK,
+  LS_LANG,
+  LS_LAST_HINT,
+  LS_LEADERBOARD,
+  LS_LOG,
+  LS_PRINTED_CARDS,
+  LS_PUZZLE_SOLVES,
+  LS_ROOMS,
+  LS_SCHEDULE_FIRED,
+  LS_STATE,
+  LS_STATE_CORRUPT,
+  LS_STATE_SNAPSHOTS,
+  LS_TIMER,
+  LS_USES,
+  DEFAULT_ROOM_ID,
+  ROOM_STATE_KEYS,
+  safeJsonParse,
+} from "./storage.js";
+
+export const STATE_VERSION = 3;
+export const MAX_SNAPSHOTS = 5;
+export const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+
+const GLOBAL_FIELDS = {
+  [LS_ROOMS]: "rooms",
+};
+
+// document field for each (v1) per-room key
+const ROOM_FIELDS = {
+  [LS_HINTS]: "hints",
+  [LS_USES]: "uses",
+  [LS_TIMER]: "timer",
+  [LS_BONUS]: "bonus",
+  [LS_LAST_HINT]: "lastHint",
+  [LS_LOG]: "log",
+  [LS_HINT_PROGRESS]: "hintProgress",
+  [LS_ANNOUNCEMENT]: "announcement",
+  [LS_PUZZLE_SOLVES]: "puzzleSolves",
+  [LS_SCHEDULE_FIRED]: "scheduleFired",
+  [LS_LEADERBOARD]: "leaderboard",
+  [LS_LANG]: "lang",
+  [LS_CUES]: "cues",
+  [LS_KIOSK]: "kiosk",
+  [LS_HINT_TOKENS]: "hintTokens",
+  [LS_HISTORY]: "history",
+  [LS_PRINTED_CARDS]: "printedCards",
+};
+
+// v1 keys that held plain strings rather than JSON
+const V1_PLAIN = {
+  [LS_USES]: (raw) => Number(raw) || 0,
+  [LS_LANG]: (raw) => raw,
+  [LS_KIOSK]: (raw) => raw === "1",
+};
+
+function emptyData() {
+  return { rooms: null, roomState: {} };
+}
+
+/** 32-bit FNV-1a, hex */
+function checksum(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+function serialize(data, nowMs) {
+  const body = JSON.stringify(data);
+  return `{"version":${STATE_VERSION},"savedAtMs":${nowMs},"checksum":"${checksum(body)}","data":${body}}`;
+}
+
+/** raw text -> { data } or { problem } ("parse" | "checksum" | "version") */
+function parseDocument(raw) {
+  let doc;
+  try {
+    doc = JSON.parse(raw);
+  } catch {
+    return { problem: "parse" };
+  }
+  if (!doc || typeof doc !== "object" || !Number.isInteger(doc.version) || !doc.data || typeof doc.data !== "object") {
+    return { problem: "parse" };
+  }
+  if (doc.version > STATE_VERSION) return { problem: "version" }; // written by a newer build
+  if (doc.checksum !== checksum(JSON.stringify(doc.data))) return { problem: "checksum" };
+  return { data: upgrade(doc.version, doc.data) };
+}
+
+// ======= Migrations =======
+// MIGRATIONS[n] turns version-n data into version n+1; version 1 = the separate *_v1 keys
+const MIGRATIONS = {
+  1: migrateV1Keys,
+  2: sealRoomHints,
+};
+
+function upgrade(version, data) {
+  let v = version;
+  let next = data;
+  while (v < STATE_VERSION) {
+    next = MIGRATIONS[v](next);
+    v += 1;
+  }
+  return next;
+}
+
+/** Room ids that have any v1 key: "escape_timer_v1" is the default room, "escape_timer_v1@lobby" is "lobby" */
+function v1RoomIds() {
+  const ids = new Set();
+  for (let i = 0; i < localStorage.length; i++) {
+    const name = localStorage.key(i);
+    for (const key of ROOM_STATE_KEYS) {
+      if (name === key) ids.add(DEFAULT_ROOM_ID);
+      else if (name.startsWith(`${key}@`)) ids.add(name.slice(key.length + 1));
+    }
+  }
+  return ids;
+}
+
+function v1KeyName(roomId, key) {
+  return roomId === DEFAULT_ROOM_ID ? key : `${key}@${roomId}`;
+}
+
+/** Collects the v1 keys as { raw: { keyName: text } } for migrateV1Keys */
+function readV1Keys() {
+  const raw = {};
+  const add = (name) => {
+    const text = localStorage.getItem(name);
+    if (text !== null) raw[name] = text;
+  };
+  add(LS_ROOMS);
+  for (const id of v1RoomIds()) for (const key of ROOM_STATE_KEYS) add(v1KeyName(id, key));
+  return { raw };
+}
+
+/** Unreadable v1 values are kept as-is under data.unreadable instead of being dropped */
+function migrateV1Keys({ raw }) {
+  const data = emptyData();
+  const unreadable = {};
+  const parse = (name, text) => {
+    const value = safeJsonParse(text, undefined);
+    if (value === undefined) unreadable[name] = text;
+    return value;
+  };
+
+  if (raw[LS_ROOMS] !== undefined) data.rooms = parse(LS_ROOMS, raw[LS_ROOMS]) ?? null;
+  for (const [name, text] of Object.entries(raw)) {
+    if (name === LS_ROOMS) continue;
+    const [key, roomId = DEFAULT_ROOM_ID] = name.split("@");
+    if (!ROOM_FIELDS[key]) continue;
+    const value = V1_PLAIN[key] ? V1_PLAIN[key](text) : parse(name, text);
+    if (value === undefined) continue;
+    data.roomState[roomId] = { ...data.roomState[roomId], [ROOM_FIELDS[key]]: value };
+  }
+  if (Object.keys(unreadable).length) data.unreadable = unreadable;
+  return data;
+}
+
+/** v2 -> v3: hint catalogues are stored obfuscated (./hintCipher.js) */
+function sealRoomHints(data) {
+  const roomState = {};
+  for (const [roomId, room] of Object.entries(data.roomState || {})) {
+    roomState[roomId] = room.hints && !isSealedHints(room.hints) ? { ...room, hints: sealHints(room.hints) } : room;
+  }
+  return { ...data, roomState };
+}
+
+// ======= Load / cache =======
+let cache = null; // { data } once loaded
+let problem = null; // set while the stored document is unusable
+let pending = []; // [{ roomId | null, field, value | undefined }]
+let flushQueued = false;
+let lastSnapshotAtMs = null; // lazily read from LS_STATE_SNAPSHOTS
+let listening = false;
+const writeErrorListeners = new Set();
+
+function load() {
+  if (cache) return cache;
+  if (!listening) {
+    // another tab wrote: re-read on next access
+    window.addEventListener("storage", (e) => {
+      if (e.key === LS_STATE || e.key === null) cache = null;
+    });
+    listening = true;
+  }
+
+  const raw = localStorage.getItem(LS_STATE);
+  if (raw === null) {
+    cache = { data: upgrade(1, readV1Keys()) };
+    problem = null;
+    commitMigration();
+    return cache;
+  }
+  const parsed = parseDocument(raw);
+  problem = parsed.problem || null;
+  cache = { data: parsed.data || emptyData() };
+  return cache;
+}
+
+/** First run on this version: write the document, keep a snapshot, then drop the v1 keys */
+function commitMigration() {
+  const v1 = Object.keys(readV1Keys().raw);
+  if (!v1.length) return;
+  if (!writeDocument(cache.data, Date.now())) return; // v1 keys stay until the document is safely stored
+  takeSnapshot("v1 데이터 이전");
+  for (const name of v1) localStorage.removeItem(name);
+}
+
+function writeDocument(data, nowMs) {
+  try {
+    localStorage.setItem(LS_STATE, serialize(data, nowMs));
+    return true;
+  } catch (err) {
+    for (const fn of writeErrorListeners) fn(err);
+    return false;
+  }
+}
+
+function applyPatch(data, { roomId, field, value }) {
+  if (roomId === null) {
+    data[field] = value;
+    return;
+  }
+  if (field === null) {
+    delete data.roomState[roomId];
+    return;
+  }
+  const room = { ...data.roomState[roomId] };
+  if (value === undefined) delete room[field];
+  else room[field] = value;
+  data.roomState[roomId] = room;
+}
+
+function queueWrite(patch) {
+  const { data } = load();
+  applyPatch(data, patch);
+  if (problem) return; // never overwrite a document the recovery screen still has to deal with
+  pending.push(patch);
+  if (flushQueued) return;
+  flushQueued = true;
+  queueMicrotask(flush);
+}
+
+/** Re-read (another tab may have written), apply this tab's changes, one setItem */
+function flush() {
+  flushQueued = false;
+  const patches = pending;
+  pending = [];
+  const stored = localStorage.getItem(LS_STATE);
+  const latest = stored === null ? {} : parseDocument(stored);
+  // stored copy went bad under us: this tab's full in-memory copy replaces it, the bad one is kept aside
+  if (latest.problem) keepCorruptCopy();
+  const data = latest.data || cache.data;
+  if (latest.data) for (const p of patches) applyPatch(data, p);
+
+  const nowMs = Date.now();
+  if (!writeDocument(data, nowMs)) {
+    pending = [...patches, ...pending]; // retried with the next change
+    return;
+  }
+  cache = { data };
+  if (lastSnapshotAtMs === null) lastSnapshotAtMs = listSnapshots()[0]?.atMs ?? 0;
+  if (nowMs - lastSnapshotAtMs >= SNAPSHOT_INTERVAL_MS) takeSnapshot("자동");
+}
+
+// ======= Public API =======
+/** Shared value (LS_ROOMS) */
+export function readItem(key) {
+  return load().data[GLOBAL_FIELDS[key]] ?? undefined;
+}
+
+export function writeItem(key, value) {
+  queueWrite({ roomId: null, field: GLOBAL_FIELDS[key], value });
+}
+
+/** Per-room value for a v1 key constant (undefined when never saved) */
+export function readRoomItem(roomId, key) {
+  return load().data.roomState[roomId]?.[ROOM_FIELDS[key]];
+}
+
+export function writeRoomItem(roomId, key, value) {
+  queueWrite({ roomId, field: ROOM_FIELDS[key], value });
+}
+
+export function removeRoomState(roomId) {
+  queueWrite({ roomId, field: null, value: undefined });
+}
+
+/** v1 values that could not be read during migration ({ keyName: raw text }) */
+export function unreadableItems() {
+  return load().data.unreadable || {};
+}
+
+/** { ok: true } or { ok: false, problem: "parse" | "checksum" | "version" } */
+export function stateHealth() {
+  load();
+  return problem ? { ok: false, problem } : { ok: true };
+}
+
+/** Called with the error whenever the document could not be saved (e.g. storage full) */
+export function onStateWriteError(fn) {
+  writeErrorListeners.add(fn);
+  return () => writeErrorListeners.delete(fn);
+}
+
+// ======= Snapshots =======
+export function listSnapshots() {
+  const saved = safeJsonParse(localStorage.getItem(LS_STATE_SNAPSHOTS), null);
+  return Array.isArray(saved) ? saved.filter((s) => typeof s?.raw === "string" && Number.isFinite(s.atMs)) : [];
+}
+
+/** Every room's `key` value, in the live document and every readable snapshot (for reference sweeps) */
+export function allRoomItems(key) {
+  const docs = [load().data, ...listSnapshots().map((s) => parseDocument(s.raw).data)];
+  const values = [];
+  for (const data of docs) {
+    for (const room of Object.values(data?.roomState || {})) {
+      if (room?.[ROOM_FIELDS[key]] !== undefined) values.push(room[ROOM_FIELDS[key]]);
+    }
+  }
+  return values;
+}
+
+const UNSNAPSHOTTED_FIELDS = [ROOM_FIELDS[LS_HISTORY]];
+
+/**
+ * `data` with every room's UNSNAPSHOTTED_FIELDS taken from `source` (dropped when source is null);
+ * rooms only `source` has keep theirs too, so a room newer than the snapshot keeps its history
+ */
+function withLiveFields(data, source) {
+  const roomState = {};
+  const roomIds = new Set([...Object.keys(data.roomState || {}), ...Object.keys(source?.roomState || {})]);
+  for (const roomId of roomIds) {
+    const next = { ...data.roomState?.[roomId] };
+    for (const field of UNSNAPSHOTTED_FIELDS) {
+      const live = source?.roomState?.[roomId]?.[field];
+      if (live === undefined) delete next[field];
+      else next[field] = live;
+    }
+    if (Object.keys(next).length) roomState[roomId] = next;
+  }
+  return { ...data, roomState };
+}
+
+/** Newest first; the oldest ones go first when storage runs short */
+export function takeSnapshot(reason) {
+  const stored = localStorage.getItem(LS_STATE);
+  const parsed = stored === null ? null : parseDocument(stored);
+  if (!parsed?.data) return;
+  const atMs = Date.now();
+  const raw = serialize(withLiveFields(parsed.data, null), atMs);
+  let list = [{ id: `${atMs}-${Math.random().toString(36).slice(2, 8)}`, atMs, reason, raw }, ...listSnapshots()].slice(
+    0,
+    MAX_SNAPSHOTS
+  );
+  while (list.length) {
+    try {
+      localStorage.setItem(LS_STATE_SNAPSHOTS, JSON.stringify(list));
+      lastSnapshotAtMs = atMs;
+      return;
+    } catch {
+      list = list.slice(0, -1);
+    }
+  }
+}
+
+/** Replaces the document with snapshot `id` (current one snapshotted first); the page should reload after */
+export function restoreSnapshot(id) {
+  const snap = listSnapshots().find((s) => s.id === id);
+  const restored = snap ? parseDocument(snap.raw).data : null;
+  if (!restored) return false;
+  // history isn't in snapshots: the current document's carries over (lost only with a corrupt one)
+  const current = problem ? null : load().data;
+  if (problem) keepCorruptCopy();
+  else takeSnapshot("복원 전");
+  localStorage.setItem(LS_STATE, serialize(withLiveFields(restored, current), Date.now()));
+  cache = null;
+  return true;
+}
+
+/** Recovery without a snapshot: keep the bad copy aside and start from an empty document */
+export function discardCorruptState() {
+  keepCorruptCopy();
+  localStorage.removeItem(LS_STATE);
+  cache = { data: emptyData() };
+  problem = null;
+  writeDocument(cache.data, Date.now());
+}
+
+export function corruptStateRaw() {
+  return localStorage.getItem(LS_STATE) ?? localStorage.getItem(LS_STATE_CORRUPT) ?? "";
+}
+
+function keepCorruptCopy() {
+  const raw = localStorage.getItem(LS_STATE);
+  if (raw === null) return;
+  try {
+    localStorage.setItem(LS_STATE_CORRUPT, raw);
+  } catch {
+    // no room for the copy; the recovery screen offered a download first
+  }
+}
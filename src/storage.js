@@ -0,0 +1,66 @@
+/**
+ * localStorage keys + helpers
+ * - Game state lives in one versioned document (LS_STATE, see ./stateStore.js)
+ * - The *_v1 keys below are the old layout: they now name the document's items and are
+ *   read once by the v1 -> v2 migration. Per-room v1 keys were namespaced with roomKey();
+ *   the default room kept the original un-namespaced keys.
+ */
+
+export const LS_STATE = "escape_state"; // versioned document (version inside)
+export const LS_STATE_SNAPSHOTS = "escape_state_snapshots"; // rolling copies of LS_STATE
+export const LS_STATE_CORRUPT = "escape_state_corrupt"; // unreadable document set aside by recovery
+
+export const LS_ROOMS = "escape_rooms_v1";
+export const LS_ADMIN = "escape_admin_auth_v1"; // hashed admin PIN, shared by all rooms
+export const LS_SYNC_SERVER = "escape_sync_server_v1"; // LAN sync server address, shared by all rooms
+
+// per-room keys
+export const LS_HINTS = "escape_hints_v1";
+export const LS_USES = "escape_hint_uses_v1";
+export const LS_TIMER = "escape_timer_v1";
+export const LS_BONUS = "escape_hint_bonus_v1";
+export const LS_LAST_HINT = "escape_last_hint_v1";
+export const LS_LOG = "escape_session_log_v1";
+export const LS_HINT_PROGRESS = "escape_hint_progress_v1"; // { CODE: revealed tier count }
+export const LS_ANNOUNCEMENT = "escape_announcement_v1"; // overlay currently pushed to screens
+export const LS_PUZZLE_SOLVES = "escape_puzzle_solves_v1"; // { puzzleId: { atMs, elapsedSec } }
+export const LS_SCHEDULE_FIRED = "escape_schedule_fired_v1"; // rule ids already fired this session
+export const LS_LEADERBOARD = "escape_leaderboard_v1"; // kept across session resets
+export const LS_LANG = "escape_lang_v1"; // player UI language for the current session
+export const LS_CUES = "escape_cue_settings_v1"; // milestone cue settings, kept across session resets
+export const LS_KIOSK = "escape_kiosk_v1"; // kiosk mode on this device, kept across session resets
+export const LS_HISTORY = "escape_session_history"; // finished-session records for analytics (document item only)
+export const LS_HINT_TOKENS = "escape_hint_tokens"; // pending popup reveal tokens (document item only, no v1 key)
+export const LS_PRINTED_CARDS = "escape_printed_cards"; // { CODE: { printedAtMs, renamedTo? } } (document item only)
+
+export const ROOM_STATE_KEYS = [
+  LS_HINTS,
+  LS_USES,
+  LS_TIMER,
+  LS_BONUS,
+  LS_LAST_HINT,
+  LS_LOG,
+  LS_HINT_PROGRESS,
+  LS_ANNOUNCEMENT,
+  LS_PUZZLE_SOLVES,
+  LS_SCHEDULE_FIRED,
+  LS_LEADERBOARD,
+  LS_LANG,
+  LS_CUES,
+  LS_KIOSK,
+];
+
+export const DEFAULT_ROOM_ID = "default";
+
+export function safeJsonParse(raw, fallback) {
+  try {
+    if (!raw) return fallback;
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function roomKey(roomId, key) {
+  return !roomId || roomId === DEFAULT_ROOM_ID ? key : `${key}@${roomId}`;
+}
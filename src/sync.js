@@ -0,0 +1,79 @@
+/**
+ * Live sync between the operator tab and player-facing windows (same browser)
+ * - Operator posts a full room snapshot on BroadcastChannel after every change
+ * - `storage` events are the fallback where BroadcastChannel is unavailable
+ * - useRoomSnapshot() is the read side for display / hint windows
+ */
+import { useEffect, useState } from "react";
+import { loadRooms, createRoom } from "./rooms.js";
+import { loadBonusGrants, totalBonus } from "./bonus.js";
+import { readRoomItem } from "./stateStore.js";
+import { hintCharges, hintScore } from "./hintCost.js";
+import { LS_ANNOUNCEMENT, LS_LAST_HINT, LS_LOG, LS_TIMER, LS_USES } from "./storage.js";
+import { normalizeTimer } from "./timer.js";
+import { DEFAULT_LANG, loadLang } from "./i18n.js";
+
+/** `charges`: session hint charges from ./hintCost.js hintCharges() */
+export function buildSnapshot({ room, timer, hintUses, hintBonus, charges, lastHint, announcement, cueFlash, lang }) {
+  return {
+    roomName: room.name,
+    timer,
+    hintUses,
+    hintBonus,
+    maxHintUses: room.maxHintUses + hintBonus,
+    costModel: room.hintCost.model,
+    penaltySec: charges.penaltySec,
+    score: hintScore(room.hintCost, charges),
+    lastHint: lastHint || null,
+    announcement: announcement || null,
+    cueFlash: cueFlash || null, // live-only: not persisted, so the storage fallback never flashes
+    lang: lang || DEFAULT_LANG,
+  };
+}
+
+/** Same shape as buildSnapshot, rebuilt from what the operator tab persisted */
+export function readRoomSnapshot(roomId) {
+  const room = loadRooms()[roomId] || createRoom(roomId);
+  const uses = Number(readRoomItem(roomId, LS_USES));
+  const log = readRoomItem(roomId, LS_LOG);
+  return buildSnapshot({
+    room,
+    timer: normalizeTimer(readRoomItem(roomId, LS_TIMER), room.durationMin * 60),
+    hintUses: Number.isFinite(uses) ? uses : 0,
+    hintBonus: totalBonus(loadBonusGrants(roomId)),
+    charges: hintCharges(Array.isArray(log) ? log : []),
+    lastHint: readRoomItem(roomId, LS_LAST_HINT) ?? null,
+    announcement: readRoomItem(roomId, LS_ANNOUNCEMENT) ?? null,
+    lang: loadLang(roomId),
+  });
+}
+
+/** Returns { post, close }; post is a no-op when BroadcastChannel is unsupported */
+export function openRoomChannel(roomId, onMessage) {
+  if (typeof BroadcastChannel === "undefined") return { post() {}, close() {} };
+  const channel = new BroadcastChannel(`escape-room:${roomId}`);
+  if (onMessage) channel.onmessage = (e) => onMessage(e.data);
+  return {
+    post: (msg) => channel.postMessage(msg),
+    close: () => channel.close(),
+  };
+}
+
+/** Live room snapshot for read-only windows */
+export function useRoomSnapshot(roomId) {
+  const [snapshot, setSnapshot] = useState(() => readRoomSnapshot(roomId));
+
+  useEffect(() => {
+    const channel = openRoomChannel(roomId, (msg) => {
+      if (msg?.type === "state" && msg.snapshot) setSnapshot(msg.snapshot);
+    });
+    const onStorage = () => setSnapshot(readRoomSnapshot(roomId));
+    window.addEventListener("storage", onStorage);
+    return () => {
+      channel.close();
+      window.removeEventListener("storage", onStorage);
+    };
+  }, [roomId]);
+
+  return snapshot;
+}
@@ -0,0 +1,118 @@
+/**
+ * Game timer state machine (pure helpers, no React)
+ *
+ * status: "idle" -> "running" <-> "paused" -> "finished"
+ * - durationSec can be changed any time (add/subtract minutes)
+ * - sessionDurationSec is the duration chosen before the start (room default or custom);
+ *   add/subtract leaves it alone, so a session reset starts from it again
+ * - pauses are tracked so elapsed time excludes paused spans
+ */
+
+export const TIMER_IDLE = "idle";
+export const TIMER_RUNNING = "running";
+export const TIMER_PAUSED = "paused";
+export const TIMER_FINISHED = "finished";
+
+const STATUSES = [TIMER_IDLE, TIMER_RUNNING, TIMER_PAUSED, TIMER_FINISHED];
+
+export function createTimer(durationSec) {
+  return {
+    status: TIMER_IDLE,
+    durationSec,
+    sessionDurationSec: durationSec,
+    startAtMs: null, // epoch ms of first start
+    pausedAtMs: null, // epoch ms when current pause began
+    pausedTotalMs: 0, // sum of finished pauses
+    pauses: [], // [{ fromMs, toMs }]
+    finishedAtMs: null,
+    finishReason: null, // "timeout" | other finish flows
+  };
+}
+
+/** Accepts anything read from storage (incl. the old { durationSec, running, startAtMs } shape) */
+export function normalizeTimer(saved, fallbackDurationSec) {
+  const base = createTimer(fallbackDurationSec);
+  if (!saved || typeof saved !== "object") return base;
+
+  const durationSec = Number.isFinite(saved.durationSec) ? saved.durationSec : fallbackDurationSec;
+  // saved before sessionDurationSec existed: the live duration is the best guess
+  const sessionDurationSec = Number.isFinite(saved.sessionDurationSec) ? saved.sessionDurationSec : durationSec;
+  const startAtMs = Number.isFinite(saved.startAtMs) ? saved.startAtMs : null;
+
+  // legacy v1 shape: no status field
+  if (!STATUSES.includes(saved.status)) {
+    if (saved.running === true && startAtMs) {
+      return { ...base, status: TIMER_RUNNING, durationSec, sessionDurationSec, startAtMs };
+    }
+    return { ...base, durationSec, sessionDurationSec };
+  }
+
+  return {
+    ...base,
+    status: saved.status,
+    durationSec,
+    sessionDurationSec,
+    startAtMs,
+    pausedAtMs: Number.isFinite(saved.pausedAtMs) ? saved.pausedAtMs : null,
+    pausedTotalMs: Number.isFinite(saved.pausedTotalMs) ? saved.pausedTotalMs : 0,
+    pauses: Array.isArray(saved.pauses) ? saved.pauses : [],
+    finishedAtMs: Number.isFinite(saved.finishedAtMs) ? saved.finishedAtMs : null,
+    finishReason: typeof saved.finishReason === "string" ? saved.finishReason : null,
+  };
+}
+
+export function startTimer(timer, nowMs) {
+  if (timer.status !== TIMER_IDLE) return timer;
+  return { ...timer, status: TIMER_RUNNING, startAtMs: nowMs };
+}
+
+export function pauseTimer(timer, nowMs) {
+  if (timer.status !== TIMER_RUNNING) return timer;
+  return { ...timer, status: TIMER_PAUSED, pausedAtMs: nowMs };
+}
+
+export function resumeTimer(timer, nowMs) {
+  if (timer.status !== TIMER_PAUSED) return timer;
+  const from = timer.pausedAtMs ?? nowMs;
+  return {
+    ...timer,
+    status: TIMER_RUNNING,
+    pausedAtMs: null,
+    pausedTotalMs: timer.pausedTotalMs + (nowMs - from),
+    pauses: [...timer.pauses, { fromMs: from, toMs: nowMs }],
+  };
+}
+
+export function finishTimer(timer, nowMs, reason = "timeout") {
+  if (timer.status !== TIMER_RUNNING && timer.status !== TIMER_PAUSED) return timer;
+  const resumed = timer.status === TIMER_PAUSED ? resumeTimer(timer, nowMs) : timer;
+  return { ...resumed, status: TIMER_FINISHED, finishedAtMs: nowMs, finishReason: reason };
+}
+
+/** Positive deltaSec gives time back, negative takes it away (never below 0) */
+export function adjustTimer(timer, deltaSec) {
+  if (timer.status === TIMER_FINISHED) return timer;
+  return { ...timer, durationSec: Math.max(0, timer.durationSec + deltaSec) };
+}
+
+export function setTimerDuration(timer, durationSec) {
+  if (timer.status !== TIMER_IDLE) return timer;
+  const sec = Math.max(0, durationSec);
+  return { ...timer, durationSec: sec, sessionDurationSec: sec };
+}
+
+export function getElapsedMs(timer, nowMs) {
+  if (timer.startAtMs == null) return 0;
+  const end =
+    timer.status === TIMER_FINISHED
+      ? timer.finishedAtMs ?? nowMs
+      : timer.status === TIMER_PAUSED
+      ? timer.pausedAtMs ?? nowMs
+      : nowMs;
+  return Math.max(0, end - timer.startAtMs - timer.pausedTotalMs);
+}
+
+export function getRemainingSec(timer, nowMs) {
+  if (timer.status === TIMER_IDLE) return timer.durationSec;
+  return Math.max(0, timer.durationSec - getElapsedMs(timer, nowMs) / 1000);
+}
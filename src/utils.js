@@ -0,0 +1,129 @@
+/**
+ * Shared helpers (formatting, hint codes, app URLs)
+ */
+import { DEFAULT_LANG } from "./i18n.js";
+import { DEFAULT_ROOM_ID } from "./storage.js";
+
+export function formatTime(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  const hh = String(Math.floor(s / 3600)).padStart(2, "0");
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
+  const ss = String(s % 60).padStart(2, "0");
+  return `${hh}:${mm}:${ss}`;
+}
+
+export function normalizeCode(code) {
+  return (code || "").trim().toUpperCase();
+}
+
+/** Build a GitHub Pages-safe URL using Vite base URL */
+export function buildAppUrl(query) {
+  const base = import.meta.env.BASE_URL || "/"; // ex) "/escape-room-app/"
+  // Ensure base starts/ends with "/"
+  const baseNorm = base.startsWith("/") ? base : `/${base}`;
+  const baseFinal = baseNorm.endsWith("/") ? baseNorm : `${baseNorm}/`;
+  const search = new URLSearchParams();
+  for (const [k, v] of Object.entries(query)) {
+    if (v !== undefined && v !== null && v !== "") search.set(k, v);
+  }
+  const qs = search.toString();
+  return `${window.location.origin}${baseFinal}${qs ? `?${qs}` : ""}`;
+}
+
+/** Default room omits ?room= so old bookmarks/popups stay valid */
+function roomParam(roomId) {
+  return roomId === DEFAULT_ROOM_ID ? undefined : roomId;
+}
+
+/** Korean (the default) is left out of the URL, like the default room; `token` from ./hintTokens.js */
+export function buildHintUrl(code, roomId, lang, token) {
+  return buildAppUrl({ hint: code, room: roomParam(roomId), lang: lang === DEFAULT_LANG ? undefined : lang, token });
+}
+
+/** Printed hint cards (./hintCards.js): opens the room with the hint code input pre-filled */
+export function buildCodeUrl(code, roomId) {
+  return buildAppUrl({ code, room: roomParam(roomId) });
+}
+
+export function buildRoomUrl(roomId) {
+  return buildAppUrl({ room: roomParam(roomId) });
+}
+
+export function buildDisplayUrl(roomId) {
+  return buildAppUrl({ display: 1, room: roomParam(roomId) });
+}
+
+/** Save text as a file via a temporary object URL */
+export function downloadText(filename, text, mime = "text/plain") {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Local-time stamp for file names, ex) 20260118-1930 */
+export function fileStamp(ms) {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}`;
+}
+
+export function formatClock(ms) {
+  const d = new Date(ms);
+  return [d.getHours(), d.getMinutes(), d.getSeconds()].map((n) => String(n).padStart(2, "0")).join(":");
+}
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+/** RFC 4180-ish parser: quoted cells may hold commas, quotes ("") and newlines */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
@@ -1,7 +1,34 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+/** Emits sw.js from src/serviceWorker.js with every build + public file precached */
+function serviceWorker() {
+  return {
+    name: "escape-service-worker",
+    apply: "build",
+    enforce: "post",
+    generateBundle(_, bundle) {
+      const hash = createHash("sha256");
+      const files = [];
+      for (const [fileName, chunk] of Object.entries(bundle)) {
+        files.push(fileName);
+        hash.update(fileName).update(chunk.type === "chunk" ? chunk.code : chunk.source);
+      }
+      for (const fileName of readdirSync("public")) {
+        files.push(fileName);
+        hash.update(fileName).update(readFileSync(`public/${fileName}`));
+      }
+      const source = readFileSync("src/serviceWorker.js", "utf8")
+        .replace("__PRECACHE__;", `${JSON.stringify(files.sort())};`)
+        .replace("__CACHE_NAME__;", `"escape-room-${hash.digest("hex").slice(0, 12)}";`);
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: "/escape-room-app/",
-});
\ No newline at end of file
+});